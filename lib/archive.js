@@ -0,0 +1,131 @@
+// lib/archive.js
+// Per-run snapshots for after-action reviews: each run's report.json and rendered pages
+// (index.html and its translations) are kept under archive/<date>/, and archive/index.json
+// lists them newest first for history.html. Snapshots older than the retention window are pruned.
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+const { getProductLevel, getLevelName } = require('./hazards');
+const { DEFAULT_LANGUAGE, createI18n, localizePath } = require('./i18n');
+
+const ARCHIVE_DIR = 'archive';
+const ARCHIVE_INDEX = 'index.json';
+const ARCHIVE_RETENTION_DAYS = 365;
+
+// 2099-04-02T23:00:00.000Z -> 2099-04-02T2300Z, safe as a file name on every platform
+function getSnapshotId(generatedAt) {
+    const iso = new Date(generatedAt).toISOString();
+    return `${iso.slice(0, 10)}T${iso.slice(11, 13)}${iso.slice(14, 16)}Z`;
+}
+
+function loadArchiveIndex(archiveDir = ARCHIVE_DIR) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(archiveDir, ARCHIVE_INDEX), 'utf8'));
+    } catch (error) {
+        return { snapshots: [] };
+    }
+}
+
+// Enough per snapshot for the history list to show what was happening without loading it
+function summarizeReport(report) {
+    const states = report.states.map(state => {
+        const level = Math.max(0, ...state.alerts.map(getProductLevel));
+        return {
+            code: state.code,
+            status: state.status,
+            alertCount: state.alerts.length,
+            highestLevel: state.alerts.length > 0 ? getLevelName(level) : null
+        };
+    });
+    const alerts = report.states.flatMap(state => state.alerts);
+    
+    return {
+        alertCount: alerts.length,
+        highestLevel: alerts.length > 0 ? getLevelName(Math.max(...alerts.map(getProductLevel))) : null,
+        tropicalSystems: report.tropical ? report.tropical.storms.length : 0,
+        states
+    };
+}
+
+// The archived copy says so up front, in the page's language, and tells the page script to
+// leave live mode off; data-snapshot lets it find the snapshot's own JSON and other languages
+function markArchivedPage(pageHtml, report, language = DEFAULT_LANGUAGE) {
+    const i18n = createI18n(language);
+    const generated = i18n.formatDate(report.generatedAt, { dateStyle: 'full', timeStyle: 'short', timeZone: 'UTC' });
+    const links = {
+        current: `<a href="../../${localizePath('index.html', language)}">${escapeHtml(i18n.t('archive.currentReport'))}</a>`,
+        history: `<a href="../../history.html">${escapeHtml(i18n.t('archive.history'))}</a>`
+    };
+    // Escape the catalog sentence first, then put the links in its {current} and {history} slots
+    const text = escapeHtml(i18n.t('archive.banner', { time: `${generated} UTC` }))
+        .replace(/\{(current|history)\}/g, (match, name) => links[name]);
+    
+    return pageHtml
+        .replace('<body>', `<body data-archived="${escapeHtml(report.generatedAt)}" data-snapshot="${getSnapshotId(report.generatedAt)}">\n    <div class="archive-banner">${text}</div>`)
+        .replace('href="history.html"', 'href="../../history.html"');
+}
+
+function pruneArchive(index, archiveDir, now) {
+    const cutoff = now.getTime() - ARCHIVE_RETENTION_DAYS * 86400000;
+    
+    return index.snapshots.filter(snapshot => {
+        if (new Date(snapshot.generatedAt).getTime() >= cutoff) {
+            return true;
+        }
+        [snapshot.json, snapshot.html, ...Object.values(snapshot.translations || {})]
+            .forEach(file => fs.rmSync(path.join(archiveDir, file), { force: true }));
+        
+        // Drop the day's directory once its last snapshot is gone
+        const dayDir = path.join(archiveDir, path.dirname(snapshot.json));
+        if (fs.existsSync(dayDir) && fs.readdirSync(dayDir).length === 0) {
+            fs.rmdirSync(dayDir);
+        }
+        return false;
+    });
+}
+
+// Save one run's model and pages, and record it in the index (a rerun of the same minute replaces it).
+// pages maps language -> rendered page; html is the default language's copy and translations
+// ({ es: '<day>/<id>.es.html' }) the others.
+function archiveReport(report, pages, { archiveDir = ARCHIVE_DIR, now = new Date() } = {}) {
+    const id = getSnapshotId(report.generatedAt);
+    const day = id.slice(0, 10);
+    const files = Object.fromEntries(Object.keys(pages).map(language => [language, localizePath(`${day}/${id}.html`, language)]));
+    const { [DEFAULT_LANGUAGE]: html, ...translations } = files;
+    const snapshot = {
+        id,
+        generatedAt: report.generatedAt,
+        json: `${day}/${id}.json`,
+        html,
+        translations,
+        ...summarizeReport(report)
+    };
+    
+    fs.mkdirSync(path.join(archiveDir, day), { recursive: true });
+    fs.writeFileSync(path.join(archiveDir, snapshot.json), JSON.stringify(report, null, 2) + '\n');
+    Object.entries(pages).forEach(([language, pageHtml]) => {
+        fs.writeFileSync(path.join(archiveDir, files[language]), markArchivedPage(pageHtml, report, language));
+    });
+    
+    const index = loadArchiveIndex(archiveDir);
+    const snapshots = [snapshot, ...index.snapshots.filter(existing => existing.id !== id)]
+        .sort((a, b) => b.generatedAt.localeCompare(a.generatedAt));
+    
+    const updated = {
+        updatedAt: now.toISOString(),
+        retentionDays: ARCHIVE_RETENTION_DAYS,
+        snapshots: pruneArchive({ snapshots }, archiveDir, now)
+    };
+    fs.writeFileSync(path.join(archiveDir, ARCHIVE_INDEX), JSON.stringify(updated, null, 2) + '\n');
+    
+    return snapshot;
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    getSnapshotId,
+    loadArchiveIndex,
+    summarizeReport,
+    markArchivedPage,
+    archiveReport
+};
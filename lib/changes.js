@@ -0,0 +1,150 @@
+// lib/changes.js
+// "What's new since the last report": compares the previous run's report.json with
+// the current report model, per state for alerts and per system for tropical data.
+
+const { compareAlertLevel } = require('./hazards');
+
+// "Flash Flood Warning" -> "Flash Flood", so a watch and a warning for one hazard can be paired
+function getHazardName(alert) {
+    return alert.event.replace(/\s+(Warning|Watch|Advisory|Statement)$/, '');
+}
+
+function getAlertAreaKeys(alert) {
+    return new Set([...(alert.same || []).map(code => code.slice(-5)), ...(alert.ugc || [])]);
+}
+
+function areasOverlap(a, b) {
+    const keys = getAlertAreaKeys(a);
+    return [...getAlertAreaKeys(b)].some(key => keys.has(key)) ||
+        (keys.size === 0 && a.areaDesc === b.areaDesc);
+}
+
+// Find the previous alert this one continues: same id, an NWS update that references it,
+// or failing that the same hazard over an overlapping area.
+function findPredecessor(alert, previousAlerts, claimed) {
+    const candidates = previousAlerts.filter(prev => !claimed.has(prev));
+    
+    return candidates.find(prev => prev.id && prev.id === alert.id) ||
+        candidates.find(prev => prev.id && (alert.references || []).includes(prev.id)) ||
+        candidates.find(prev => getHazardName(prev) === getHazardName(alert) && areasOverlap(prev, alert));
+}
+
+function describeAlert(alert) {
+    return {
+        id: alert.id,
+        event: alert.event,
+        areaDesc: alert.areaDesc,
+        expires: alert.expires
+    };
+}
+
+function diffStateAlerts(previousAlerts, currentAlerts) {
+    const changes = { new: [], upgraded: [], downgraded: [], extended: [], expired: [] };
+    const claimed = new Set();
+    
+    currentAlerts.forEach(alert => {
+        const previous = findPredecessor(alert, previousAlerts, claimed);
+        if (!previous) {
+            changes.new.push(describeAlert(alert));
+            return;
+        }
+        
+        claimed.add(previous);
+        const levelChange = compareAlertLevel(alert, previous);
+        
+        if (levelChange > 0) {
+            changes.upgraded.push({ ...describeAlert(alert), from: previous.event });
+        } else if (levelChange < 0) {
+            changes.downgraded.push({ ...describeAlert(alert), from: previous.event });
+        } else if (alert.expires && previous.expires && new Date(alert.expires) > new Date(previous.expires)) {
+            changes.extended.push({ ...describeAlert(alert), previousExpires: previous.expires });
+        }
+    });
+    
+    previousAlerts
+        .filter(prev => !claimed.has(prev))
+        .forEach(prev => changes.expired.push(describeAlert(prev)));
+    
+    return changes;
+}
+
+function hasChanges(changes) {
+    return Object.values(changes).some(list => list.length > 0);
+}
+
+function diffTropical(previous, current) {
+    const changes = [];
+    if (!previous || !current) {
+        return changes;
+    }
+    
+    const previousStorms = new Map((previous.storms || []).map(storm => [storm.id, storm]));
+    (current.storms || []).forEach(storm => {
+        const prev = previousStorms.get(storm.id);
+        if (!prev) {
+            changes.push({ type: 'new-storm', system: `${storm.classificationLabel} ${storm.name}`, to: storm.classificationLabel });
+        } else if (prev.classification !== storm.classification) {
+            changes.push({ type: 'reclassified', system: storm.name, from: prev.classificationLabel, to: storm.classificationLabel });
+        }
+        previousStorms.delete(storm.id);
+    });
+    previousStorms.forEach(storm => {
+        changes.push({ type: 'storm-ended', system: `${storm.classificationLabel} ${storm.name}` });
+    });
+    
+    // Disturbances are renumbered between outlooks, so pair them by their location heading
+    const previousDisturbances = new Map((previous.disturbances || []).map(d => [d.location, d]));
+    (current.disturbances || []).forEach(disturbance => {
+        const prev = previousDisturbances.get(disturbance.location);
+        if (!prev) {
+            changes.push({ type: 'new-disturbance', system: disturbance.location, to: disturbance.chance7day?.percent ?? null });
+        } else if (prev.chance7day?.percent !== disturbance.chance7day?.percent ||
+            prev.chance48hour?.percent !== disturbance.chance48hour?.percent) {
+            changes.push({
+                type: 'formation-chance',
+                system: disturbance.location,
+                from: { chance48hour: prev.chance48hour?.percent ?? null, chance7day: prev.chance7day?.percent ?? null },
+                to: { chance48hour: disturbance.chance48hour?.percent ?? null, chance7day: disturbance.chance7day?.percent ?? null }
+            });
+        }
+        previousDisturbances.delete(disturbance.location);
+    });
+    previousDisturbances.forEach(disturbance => {
+        changes.push({ type: 'disturbance-dropped', system: disturbance.location });
+    });
+    
+    return changes;
+}
+
+// States without usable data in either run are skipped rather than reported as all-expired
+function diffReports(previous, current) {
+    if (!previous || !Array.isArray(previous.states)) {
+        return { since: null, states: [], tropical: [] };
+    }
+    
+    const previousStates = new Map(previous.states.map(state => [state.name, state]));
+    
+    const states = current.states.map(state => {
+        const prev = previousStates.get(state.name);
+        if (!prev || prev.status === 'unavailable' || state.status === 'unavailable') {
+            return { name: state.name, compared: false };
+        }
+        
+        const changes = diffStateAlerts(prev.alerts || [], state.alerts || []);
+        return { name: state.name, compared: true, changed: hasChanges(changes), ...changes };
+    });
+    
+    return {
+        since: previous.generatedAt || null,
+        states,
+        tropical: diffTropical(previous.tropical, current.tropical)
+    };
+}
+
+module.exports = {
+    getHazardName,
+    findPredecessor,
+    diffStateAlerts,
+    diffTropical,
+    diffReports
+};
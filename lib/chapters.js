@@ -0,0 +1,27 @@
+// lib/chapters.js
+// Lookups over the report's regions, where each chapter lists the counties (areas) under
+// alerts and the ids of those alerts. Shared by the notifier and the recommendations.
+
+// alert id -> names of the SECAR chapters whose counties it touches
+function mapAlertsToChapters(report) {
+    const chapters = new Map();
+    
+    (report.regions || []).forEach(region => {
+        region.chapters.forEach(chapter => {
+            chapter.areas.forEach(area => {
+                area.alertIds.forEach(id => {
+                    if (!chapters.has(id)) {
+                        chapters.set(id, new Map());
+                    }
+                    chapters.get(id).set(chapter.id, chapter.name);
+                });
+            });
+        });
+    });
+    
+    return chapters;
+}
+
+module.exports = {
+    mapAlertsToChapters
+};
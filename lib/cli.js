@@ -0,0 +1,130 @@
+// lib/cli.js
+// Command-line options for update-weather.js and what its exit code says about the run:
+// 0 when every source was live, 2 when the report was published with cached or missing
+// parts, 1 when no report could be built, 64 for bad arguments.
+const { parseArgs } = require('util');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./i18n');
+
+const EXIT_CODES = {
+    complete: 0,
+    failed: 1,
+    partial: 2,
+    usage: 64
+};
+
+const DRY_RUN_FORMATS = ['html', 'json', 'md'];
+
+const USAGE = `Usage: node update-weather.js [options]
+
+Fetches NWS, NHC, SPC and WPC data and publishes index.html, report.json,
+briefing.html, email.html and report.md, plus a Spanish copy of each page and
+export (index.es.html, ...).
+
+Options:
+  --dry-run               Print the report to stdout and write nothing
+  --format <html|json|md> What --dry-run prints (default: html, the full page)
+  --lang <en|es>          Language --dry-run prints the page or Markdown in (default: en)
+  --states <list>         Only these states, by code or name (e.g. AL,GA)
+  --out <dir>             Write the published files under <dir> (default: .)
+  --template <file>       Page template (default: template.html)
+  --as-of <time>          Judge alert expiry, season and the report date at this ISO time
+  --from-fixtures <dir>   Answer every request from saved responses in <dir>/routes.json
+  --no-notify             Do not send notifications
+  --rebuild               Re-render from the last report.json without fetching
+  -h, --help              Show this help
+
+Runs with --dry-run, --as-of or --from-fixtures leave the caches, the archive and
+notifications alone.
+
+Exit codes: 0 all data live, 2 published with cached or unavailable parts,
+1 failed, 64 bad arguments.`;
+
+// "AL,north carolina" -> ['Alabama', 'North Carolina'], in configured order
+function resolveStates(list, stateConfigs) {
+    const items = list.split(',').map(item => item.trim()).filter(Boolean);
+    const wanted = items.map(item => item.toLowerCase());
+    const names = Object.keys(stateConfigs);
+    
+    const unknown = items.filter(item => !names.some(name =>
+        name.toLowerCase() === item.toLowerCase() || stateConfigs[name].code.toLowerCase() === item.toLowerCase()));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown state(s): ${unknown.join(', ')}. Use codes or names from config/secar-regions.json.`);
+    }
+    
+    return names.filter(name => wanted.includes(name.toLowerCase()) || wanted.includes(stateConfigs[name].code.toLowerCase()));
+}
+
+// Throws with a message fit for the user on anything it cannot make sense of
+function parseCliArgs(argv, stateConfigs) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            'dry-run': { type: 'boolean', default: false },
+            'format': { type: 'string', default: 'html' },
+            'lang': { type: 'string', default: DEFAULT_LANGUAGE },
+            'states': { type: 'string' },
+            'out': { type: 'string', default: '.' },
+            'template': { type: 'string' },
+            'as-of': { type: 'string' },
+            'from-fixtures': { type: 'string' },
+            'no-notify': { type: 'boolean', default: false },
+            'rebuild': { type: 'boolean', default: false },
+            'help': { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    
+    if (!DRY_RUN_FORMATS.includes(values.format)) {
+        throw new Error(`--format must be one of ${DRY_RUN_FORMATS.join(', ')}`);
+    }
+    if (!LANGUAGES[values.lang]) {
+        throw new Error(`--lang must be one of ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    
+    let asOf = null;
+    if (values['as-of']) {
+        asOf = new Date(values['as-of']);
+        if (Number.isNaN(asOf.getTime())) {
+            throw new Error(`--as-of "${values['as-of']}" is not a date/time (try 2025-08-16T18:00:00-04:00)`);
+        }
+    }
+    
+    const offline = values['dry-run'] || Boolean(asOf) || Boolean(values['from-fixtures']);
+    
+    return {
+        help: values.help,
+        rebuild: values.rebuild,
+        dryRun: values['dry-run'],
+        format: values.format,
+        language: values.lang,
+        states: values.states ? resolveStates(values.states, stateConfigs) : null,
+        outDir: values.out,
+        templatePath: values.template || null,
+        asOf,
+        fixturesDir: values['from-fixtures'] || null,
+        // Replays and what-ifs must not overwrite the last-good cache or the archive, or alert anyone
+        persist: !offline,
+        notify: !offline && !values['no-notify']
+    };
+}
+
+// complete: every state, the tropical outlook, every state outlook and every river gauge came back live.
+// failed: not one state has data. Anything in between is partial.
+function getRunStatus(report) {
+    const states = report.states;
+    if (states.length === 0 || states.every(state => state.status === 'unavailable')) {
+        return 'failed';
+    }
+    
+    const degraded = states.some(state => state.status !== 'live' || (state.outlook && state.outlook.status !== 'live')) ||
+        !report.tropical || report.tropical.status !== 'live' ||
+        (report.rivers && report.rivers.status !== 'live');
+    return degraded ? 'partial' : 'complete';
+}
+
+module.exports = {
+    EXIT_CODES,
+    USAGE,
+    resolveStates,
+    parseCliArgs,
+    getRunStatus
+};
@@ -0,0 +1,49 @@
+// lib/csp.js
+// Content-Security-Policy for the published page, written into its
+// <meta http-equiv="Content-Security-Policy"> once the page is otherwise finished. The page's
+// inline <style> and <script> are allowed by their SHA-256 hashes, so report text that somehow
+// got past escaping still can't run script or pull anything in; JSON blocks aren't run and need
+// nothing. Fetches may only go to this site (live refresh, exports) and api.weather.gov (live
+// alerts). frame-ancestors is ignored in a meta tag: which sites may frame the page is left to
+// the server's headers, and the embed API checks message origins itself (lib/embed.js).
+const crypto = require('crypto');
+
+const CONNECT_SOURCES = ["'self'", 'https://api.weather.gov'];
+
+function hashSource(text) {
+    return `'sha256-${crypto.createHash('sha256').update(text, 'utf8').digest('base64')}'`;
+}
+
+// Hashes of every inline script (a bare <script>, not a JSON block) and style in the page
+function getInlineHashes(pageHtml) {
+    const hashAll = pattern => [...pageHtml.matchAll(pattern)].map(match => hashSource(match[1]));
+    return {
+        scripts: hashAll(/<script>([\s\S]*?)<\/script>/g),
+        styles: hashAll(/<style>([\s\S]*?)<\/style>/g)
+    };
+}
+
+function buildContentSecurityPolicy(pageHtml) {
+    const { scripts, styles } = getInlineHashes(pageHtml);
+    return [
+        "default-src 'none'",
+        `script-src ${scripts.join(' ') || "'none'"}`,
+        `style-src ${styles.join(' ') || "'none'"}`,
+        `connect-src ${CONNECT_SOURCES.join(' ')}`,
+        "base-uri 'none'",
+        "form-action 'none'"
+    ].join('; ');
+}
+
+// Must run last: any later change to the inline script or style invalidates its hash
+function applyContentSecurityPolicy(pageHtml) {
+    const policy = buildContentSecurityPolicy(pageHtml);
+    return pageHtml.replace(/(<meta http-equiv="Content-Security-Policy" content=")[^"]*(">)/,
+        (match, open, close) => `${open}${policy}${close}`);
+}
+
+module.exports = {
+    getInlineHashes,
+    buildContentSecurityPolicy,
+    applyContentSecurityPolicy
+};
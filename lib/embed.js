@@ -0,0 +1,106 @@
+// lib/embed.js
+// Settings for the page's two-way embed API, used by ArcGIS Experience Builder (and any
+// other host that frames index.html). The updater writes them into the page's
+// <script type="application/json" id="embedConfig"> block; the page script does the talking.
+//
+// config/embed.json: { "allowedOrigins": ["https://experience.arcgis.com", "https://*.example.org"] }
+// Origins are scheme://host[:port]; a leading "*." matches any subdomain. The page ignores
+// messages from any other origin and only ever posts to an allowed one.
+//
+// Protocol, version 1. Every message is an object with a type and version: 1.
+//
+// Host -> widget (window.postMessage to the iframe). Each may carry a requestId, which the
+// widget echoes in its secar-weather-response { requestId, command, ok, result | error }:
+//   secar-weather-hello       handshake; result { version, language, archived, view, selection,
+//                             states: ['AL', ...], chapters: [{ id, name, state }], alertLevel }
+//   secar-weather-select      { states: ['AL', ...] | null, chapters: ['central-alabama', ...] | null }
+//                             shows only those states, plus the states of the chosen chapters, and
+//                             narrows Chapter Impacts to the chosen chapters; null for both shows all.
+//                             result { states, chapters, unknown } - unknown codes are ignored
+//   secar-weather-set-view    { view: 'compact' | 'full' }; result { view }
+//   secar-weather-get-report  result { report } - the report.json this page was built from (an archived
+//                             snapshot answers with its own archive/<day>/<id>.json)
+//   secar-weather-copy        copies the report to the clipboard, as the Copy Report button does
+//                             (the iframe needs allow="clipboard-write")
+//   secar-weather-export      { format: 'markdown' | 'email' | 'briefing' }; result { format, url, content }
+//                             (unavailable in an archived snapshot, which keeps no exports)
+// Errors are { code, message } with code unsupported-version, unknown-type, bad-request, unavailable or failed.
+//
+// Widget -> host (posted to the host's origin once known, else to every exact allowed origin):
+//   secar-weather-loaded      { height } when the page has loaded
+//   secar-weather-resize      { height } whenever its height may have changed
+//   secar-weather-alert-level { level, previous, states: [{ code, level }], bounds } on load and whenever
+//                             the highest alert level across the shown states changes. level is
+//                             warning, watch, advisory, statement, other, unknown (alerts couldn't
+//                             be fetched) or none; previous is null at first; bounds are
+//                             [minLon, minLat, maxLon, maxLat] around the areas at that level, or null.
+const fs = require('fs');
+const path = require('path');
+const { serializeJsonForScript } = require('./html');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'embed.json');
+const PROTOCOL_VERSION = 1;
+
+// Why an allowlist entry can't be used, or null when it can
+function validateOrigin(origin) {
+    if (typeof origin !== 'string' || origin === '*') {
+        return 'must be an origin such as https://experience.arcgis.com, not "*"';
+    }
+    const match = origin.match(/^(https?):\/\/(\*\.)?([a-z0-9-]+(\.[a-z0-9-]+)*)(:\d+)?$/i);
+    if (!match) {
+        return 'must be scheme://host[:port] with no path or trailing slash';
+    }
+    if (match[1] === 'http' && !/^(localhost|127\.0\.0\.1)$/.test(match[3])) {
+        return 'must use https (http is allowed for localhost only)';
+    }
+    return null;
+}
+
+// Entries with mistakes are logged and skipped; a missing file means no host may talk to the page
+function loadEmbedConfig(configPath = DEFAULT_CONFIG_PATH) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.log(`No embed config at ${configPath}:`, error.message);
+        return { allowedOrigins: [] };
+    }
+    
+    const allowedOrigins = (config.allowedOrigins || []).filter(origin => {
+        const problem = validateOrigin(origin);
+        if (problem) {
+            console.log(`Skipping embed origin ${origin}: ${problem}`);
+        }
+        return !problem;
+    });
+    
+    return { allowedOrigins };
+}
+
+// What the page script needs: the protocol version, who may talk to it and the chapters a
+// host can select, each with its state
+function buildEmbedSettings(config, regions) {
+    return {
+        version: PROTOCOL_VERSION,
+        allowedOrigins: config.allowedOrigins,
+        chapters: regions.flatMap(region => region.chapters.map(chapter => ({
+            id: chapter.id,
+            name: chapter.name,
+            state: chapter.state
+        })))
+    };
+}
+
+function applyEmbedSettings(pageHtml, settings) {
+    const json = serializeJsonForScript(settings);
+    return pageHtml.replace(/(<script type="application\/json" id="embedConfig">)[\s\S]*?(<\/script>)/,
+        (match, open, close) => `${open}${json}${close}`);
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    validateOrigin,
+    loadEmbedConfig,
+    buildEmbedSettings,
+    applyEmbedSettings
+};
@@ -0,0 +1,35 @@
+// lib/endpoints.js
+// Base URLs for every upstream service. Each is overridable through the environment
+// so tests and offline runs can point the updater at a local stand-in.
+
+const USER_AGENT = 'SECAR-Weather-Report (github.com/franzenjb/SECAR-claude)';
+
+function getNwsApiBase() {
+    return process.env.NWS_API_BASE || 'https://api.weather.gov';
+}
+
+function getNhcBase() {
+    return process.env.NHC_BASE || 'https://www.nhc.noaa.gov';
+}
+
+function getSpcBase() {
+    return process.env.SPC_BASE || 'https://www.spc.noaa.gov';
+}
+
+function getWpcBase() {
+    return process.env.WPC_BASE || 'https://www.wpc.ncep.noaa.gov';
+}
+
+// National Water Prediction Service river gauges
+function getWaterApiBase() {
+    return process.env.NWPS_BASE || 'https://api.water.noaa.gov/nwps/v1';
+}
+
+module.exports = {
+    USER_AGENT,
+    getNwsApiBase,
+    getNhcBase,
+    getSpcBase,
+    getWpcBase,
+    getWaterApiBase
+};
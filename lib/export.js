@@ -0,0 +1,410 @@
+// lib/export.js
+// The report in formats other than the live page, all rendered from one briefing outline
+// (buildBriefingOutline in update-weather.js): a print briefing for paper or PDF, email-safe
+// HTML that survives Outlook and Gmail, and Markdown that reads as plain text when pasted.
+const { escapeHtml, safeUrl } = require('./html');
+
+// Fixed wording for outlines that don't bring their own (outline.labels, from the message catalogs)
+const DEFAULT_LABELS = {
+    generated: 'Generated',
+    briefing: 'SECAR Weather Report Briefing',
+    organization: 'American Red Cross'
+};
+
+// Email clients drop <style> blocks, so every colour the page gets from a class is inlined here
+const TONE_STYLES = {
+    warning: 'color: #cc0000; font-weight: bold;',
+    watch: 'color: #cc6600; font-weight: bold;',
+    advisory: 'color: #0066cc; font-weight: bold;',
+    statement: 'color: #555555; font-weight: bold;',
+    other: 'color: #555555;',
+    unknown: 'color: #999999;',
+    elevated: 'color: #cc0000;',
+    emphasis: 'font-weight: bold;',
+    note: 'color: #666666; font-style: italic;',
+    'data-live': 'color: #006600; font-weight: bold;',
+    'data-cached': 'color: #cc6600; font-weight: bold;',
+    'data-unavailable': 'color: #cc0000; font-weight: bold;',
+    'flood-action': 'color: #b38f00; font-weight: bold;',
+    'flood-minor': 'color: #e67300; font-weight: bold;',
+    'flood-moderate': 'color: #cc0000; font-weight: bold;',
+    'flood-major': 'color: #9900cc; font-weight: bold;'
+};
+
+function getLabels(outline) {
+    return { ...DEFAULT_LABELS, ...outline.labels };
+}
+
+function formatGeneratedAt(generatedAt, locale = 'en-US') {
+    return new Date(generatedAt).toLocaleString(locale, {
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: 'America/New_York',
+        timeZoneName: 'short'
+    });
+}
+
+function renderMarkdownItem(item, full) {
+    const head = item.label ? `**${item.label}:** ${item.text || ''}`.trim() : item.text;
+    const lines = [`- ${head}`];
+    
+    if (item.note) {
+        lines.push(`  ${item.note}`);
+    }
+    if (full) {
+        (item.paragraphs || []).forEach(paragraph => lines.push('', `  ${paragraph}`));
+    }
+    if (item.link) {
+        lines.push(`  ${item.link.text}: ${item.link.href}`);
+    }
+    
+    return lines.join('\n');
+}
+
+function renderMarkdownBlock(block, full) {
+    if (block.type === 'paragraph') {
+        return block.tone === 'emphasis' ? `**${block.text}**` : block.text;
+    }
+    
+    if (block.type === 'list') {
+        const items = block.items.map(item => renderMarkdownItem(item, full)).join('\n');
+        return block.title ? `### ${block.title}\n\n${items}` : items;
+    }
+    
+    const row = cells => `| ${cells.join(' | ')} |`;
+    return [
+        row(block.header),
+        row(block.header.map(() => '---')),
+        ...block.rows.map(r => row([r.label, ...r.cells.map(cell => cell.text)]))
+    ].join('\n');
+}
+
+// Headings and bullets keep their shape when pasted into a chat or an email as plain text.
+// The full NWS alert text is left out unless asked for; each alert keeps its headline and link.
+function renderMarkdown(outline, { fullText = false } = {}) {
+    const parts = [
+        `# ${outline.title}`,
+        outline.subtitle,
+        `${outline.dateRange}\n${outline.checkTime}`
+    ];
+    
+    outline.sections.forEach(section => {
+        parts.push(`## ${section.title}`);
+        section.blocks.forEach(block => parts.push(renderMarkdownBlock(block, fullText)));
+    });
+    
+    parts.push(`_${outline.sources} ${getLabels(outline).generated} ${formatGeneratedAt(outline.generatedAt, outline.locale)}._`);
+    
+    return parts.join('\n\n') + '\n';
+}
+
+function toneStyle(tone) {
+    return TONE_STYLES[tone] || '';
+}
+
+function renderEmailBlock(block) {
+    if (block.type === 'paragraph') {
+        return `<p style="margin: 0 0 10px; ${toneStyle(block.tone)}">${escapeHtml(block.text)}</p>`;
+    }
+    
+    if (block.type === 'list') {
+        const items = block.items.map(item => {
+            const label = item.label ? `<span style="${toneStyle(item.tone) || 'font-weight: bold;'}">${escapeHtml(item.label)}:</span> ` : '';
+            const note = item.note ? `<br><span style="color: #333333;">${escapeHtml(item.note)}</span>` : '';
+            const href = item.link && safeUrl(item.link.href);
+            const link = href ? `<br><a href="${escapeHtml(href)}" style="color: #990000;">${escapeHtml(item.link.text)}</a>` : '';
+            return `<li style="margin: 0 0 6px;">${label}${escapeHtml(item.text || '')}${note}${link}</li>`;
+        }).join('');
+        const title = block.title ? `<p style="margin: 10px 0 4px; font-weight: bold;">${escapeHtml(block.title)}</p>` : '';
+        return `${title}<ul style="margin: 0 0 10px; padding-left: 20px;">${items}</ul>`;
+    }
+    
+    const cellStyle = 'border: 1px solid #cccccc; padding: 4px 6px; font-size: 12px;';
+    const header = block.header.map(text => `<th style="${cellStyle} background: #f2f2f2; text-align: left;">${escapeHtml(text)}</th>`).join('');
+    const rows = block.rows.map(r => `<tr><th style="${cellStyle} text-align: left;">${escapeHtml(r.label)}</th>${
+        r.cells.map(cell => `<td style="${cellStyle} ${toneStyle(cell.tone)}">${escapeHtml(cell.text)}</td>`).join('')}</tr>`).join('');
+    return `<table cellpadding="0" cellspacing="0" style="border-collapse: collapse; margin: 0 0 10px;"><tr>${header}</tr>${rows}</table>`;
+}
+
+// Table layout, inline styles and nothing scripted, interactive or SVG; the full NWS text is
+// left to the linked alerts so the message stays short enough not to be clipped
+function renderEmailHtml(outline) {
+    const labels = getLabels(outline);
+    const sections = outline.sections.map(section => `
+            <tr><td style="padding: 12px 20px 0;">
+                <h2 style="margin: 0 0 8px; font-size: 17px; color: #990000;">${escapeHtml(section.title)}</h2>
+                ${section.blocks.map(renderEmailBlock).join('\n                ')}
+            </td></tr>`).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="${outline.language || 'en'}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(outline.title)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #ffffff;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-family: Arial, sans-serif; font-size: 14px; line-height: 1.5; color: #000000;">
+        <tr><td align="center">
+        <table role="presentation" width="680" cellpadding="0" cellspacing="0" style="max-width: 680px; width: 100%;">
+            <tr><td style="padding: 20px 20px 12px; border-bottom: 3px solid #990000; text-align: center;">
+                <h1 style="margin: 0; font-size: 24px; color: #990000;">${escapeHtml(outline.title)}</h1>
+                <p style="margin: 4px 0 0;">${escapeHtml(outline.subtitle)}</p>
+                <p style="margin: 8px 0 0; font-weight: bold;">${escapeHtml(outline.dateRange)}</p>
+                <p style="margin: 4px 0 0; font-size: 12px; color: #666666;">${escapeHtml(outline.checkTime)}</p>
+            </td></tr>${sections}
+            <tr><td style="padding: 16px 20px; font-size: 12px; color: #666666; font-style: italic;">
+                ${escapeHtml(outline.sources)} ${escapeHtml(labels.generated)} ${escapeHtml(formatGeneratedAt(outline.generatedAt, outline.locale))}.
+            </td></tr>
+        </table>
+        </td></tr>
+    </table>
+</body>
+</html>
+`;
+}
+
+function renderPrintBlock(block) {
+    if (block.type === 'paragraph') {
+        return `<p${block.tone ? ` class="tone-${block.tone}"` : ''}>${escapeHtml(block.text)}</p>`;
+    }
+    
+    if (block.type === 'list') {
+        const items = block.items.map(item => {
+            const label = item.label ? `<span class="item-label${item.tone ? ` tone-${item.tone}` : ''}">${escapeHtml(item.label)}:</span> ` : '';
+            const note = item.note ? `<p class="item-note">${escapeHtml(item.note)}</p>` : '';
+            const paragraphs = (item.paragraphs || []).map(paragraph => `<p class="item-text">${escapeHtml(paragraph)}</p>`).join('');
+            const link = item.link ? `<p class="item-link">${escapeHtml(item.link.text)}: ${escapeHtml(item.link.href)}</p>` : '';
+            return `
+            <li>${label}${escapeHtml(item.text || '')}${note}${paragraphs}${link}</li>`;
+        }).join('');
+        return `${block.title ? `<h3>${escapeHtml(block.title)}</h3>` : ''}<ul>${items}
+        </ul>`;
+    }
+    
+    const header = block.header.map(text => `<th>${escapeHtml(text)}</th>`).join('');
+    const rows = block.rows.map(r => `<tr><th>${escapeHtml(r.label)}</th>${
+        r.cells.map(cell => `<td${cell.tone ? ` class="tone-${cell.tone}"` : ''}>${escapeHtml(cell.text)}</td>`).join('')}</tr>`).join('');
+    return `<table><thead><tr>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// Standalone page for Print / Save as PDF: Red Cross header, each section on a new page,
+// the full NWS text written out (nothing to expand on paper) and a footer with the run time
+// repeated on every printed page
+function renderPrintBriefing(outline) {
+    const labels = getLabels(outline);
+    const generated = formatGeneratedAt(outline.generatedAt, outline.locale);
+    const sections = outline.sections.map(section => `
+    <section class="briefing-section" data-section="${escapeHtml(section.id)}">
+        <h2>${escapeHtml(section.title)}</h2>
+        ${section.blocks.map(renderPrintBlock).join('\n        ')}
+    </section>
+    `).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="${outline.language || 'en'}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(labels.briefing)} – ${escapeHtml(generated)}</title>
+    <style>
+        @page {
+            size: letter;
+            margin: 0.6in 0.6in 0.8in;
+        }
+        
+        body {
+            font-family: Arial, sans-serif;
+            font-size: 11pt;
+            line-height: 1.4;
+            color: #000000;
+            margin: 0 auto;
+            max-width: 7.5in;
+            padding: 0 0 0.6in;
+        }
+        
+        .briefing-header {
+            display: flex;
+            align-items: center;
+            gap: 14px;
+            border-bottom: 3px solid #990000;
+            padding-bottom: 10px;
+            margin-bottom: 12px;
+        }
+        
+        .briefing-header svg {
+            flex: none;
+        }
+        
+        .briefing-header .org {
+            font-size: 10pt;
+            font-weight: bold;
+            color: #990000;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+        }
+        
+        .briefing-header h1 {
+            font-size: 20pt;
+            margin: 2px 0;
+            color: #990000;
+        }
+        
+        .briefing-header p {
+            margin: 0;
+        }
+        
+        .briefing-meta {
+            font-size: 10pt;
+            margin-bottom: 12px;
+        }
+        
+        .briefing-meta .date-range {
+            font-weight: bold;
+            font-size: 12pt;
+        }
+        
+        h2 {
+            color: #990000;
+            font-size: 15pt;
+            border-bottom: 1px solid #990000;
+            margin: 0 0 8px;
+        }
+        
+        h3 {
+            font-size: 11pt;
+            margin: 10px 0 4px;
+        }
+        
+        p {
+            margin: 0 0 6px;
+        }
+        
+        ul {
+            margin: 0 0 8px;
+            padding-left: 20px;
+        }
+        
+        li {
+            margin-bottom: 4px;
+            break-inside: avoid;
+        }
+        
+        table {
+            border-collapse: collapse;
+            width: 100%;
+            font-size: 9pt;
+        }
+        
+        th, td {
+            border: 1px solid #999999;
+            padding: 3px 5px;
+            text-align: left;
+        }
+        
+        thead th {
+            background: #eeeeee;
+        }
+        
+        .item-label {
+            font-weight: bold;
+        }
+        
+        .item-note {
+            font-weight: bold;
+            margin: 2px 0;
+        }
+        
+        .item-text {
+            font-size: 10pt;
+        }
+        
+        .item-link {
+            font-size: 9pt;
+            color: #555555;
+        }
+        
+        .tone-warning { color: #cc0000; font-weight: bold; }
+        .tone-watch { color: #cc6600; font-weight: bold; }
+        .tone-advisory { color: #0066cc; font-weight: bold; }
+        .tone-statement, .tone-other, .tone-unknown { color: #555555; }
+        .tone-elevated { color: #cc0000; }
+        .tone-emphasis { font-weight: bold; }
+        .tone-note { color: #666666; font-style: italic; }
+        .tone-data-live { color: #006600; font-weight: bold; }
+        .tone-data-cached { color: #cc6600; font-weight: bold; }
+        .tone-data-unavailable { color: #cc0000; font-weight: bold; }
+        .tone-flood-action { color: #b38f00; font-weight: bold; }
+        .tone-flood-minor { color: #e67300; font-weight: bold; }
+        .tone-flood-moderate { color: #cc0000; font-weight: bold; }
+        .tone-flood-major { color: #9900cc; font-weight: bold; }
+        
+        .briefing-section + .briefing-section {
+            margin-top: 20px;
+        }
+        
+        .briefing-footer {
+            font-size: 8pt;
+            color: #555555;
+            border-top: 1px solid #cccccc;
+            padding-top: 4px;
+            margin-top: 20px;
+        }
+        
+        @media print {
+            body {
+                max-width: none;
+                padding: 0;
+            }
+            
+            .briefing-section + .briefing-section {
+                break-before: page;
+                margin-top: 0;
+            }
+            
+            h2, h3 {
+                break-after: avoid;
+            }
+            
+            /* A fixed element repeats at the foot of every printed page */
+            .briefing-footer {
+                position: fixed;
+                bottom: 0;
+                left: 0;
+                right: 0;
+                margin: 0;
+            }
+        }
+    </style>
+</head>
+<body>
+    <header class="briefing-header">
+        <svg width="48" height="48" viewBox="0 0 48 48" role="img" aria-label="Red Cross">
+            <path fill="#ed1b2e" d="M16 0h16v16h16v16H32v16H16V32H0V16h16z"/>
+        </svg>
+        <div>
+            <div class="org">${escapeHtml(labels.organization)}</div>
+            <h1>${escapeHtml(labels.briefing)}</h1>
+            <p>${escapeHtml(outline.subtitle)}</p>
+        </div>
+    </header>
+    
+    <div class="briefing-meta">
+        <div class="date-range">${escapeHtml(outline.dateRange)}</div>
+        <div>${escapeHtml(outline.checkTime)}</div>
+    </div>
+    ${sections}
+    <footer class="briefing-footer">${escapeHtml(outline.title)} · ${escapeHtml(labels.generated)} ${escapeHtml(generated)} · ${escapeHtml(outline.sources)}</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderMarkdown,
+    renderEmailHtml,
+    renderPrintBriefing
+};
@@ -0,0 +1,156 @@
+// lib/exposure.js
+// Who and what is inside each alert: an estimated population from the bundled county
+// figures (data/county-population.json) and the Red Cross facilities listed in
+// config/facilities.json. County- and zone-based alerts count every county their SAME
+// codes name. Storm-based warnings count only their polygon, at the population density of
+// the counties they list. Facilities with coordinates are matched against a warning's
+// polygon; everything else is matched by county.
+//
+// config/facilities.json: { "facilities": [{ "id", "name", "type" (office, warehouse or
+// shelter), "chapter" (chapter id), "county" (5-digit FIPS), "lat", "lon" (optional) }] }
+// It ships with an empty list and one documented "example" entry, which is not loaded.
+const fs = require('fs');
+const path = require('path');
+const { pointInGeometry } = require('./geo');
+
+const DEFAULT_POPULATION_PATH = path.join(__dirname, '..', 'data', 'county-population.json');
+const DEFAULT_FACILITIES_PATH = path.join(__dirname, '..', 'config', 'facilities.json');
+const FACILITY_TYPES = ['office', 'warehouse', 'shelter'];
+
+// Miles per degree of latitude; a degree of longitude shrinks with the cosine of latitude
+const MILES_PER_DEGREE = 69.17;
+
+// FIPS -> { name, landSqMi, population }; population is null where no figure is bundled
+function loadCountyPopulation(dataPath = DEFAULT_POPULATION_PATH) {
+    return JSON.parse(fs.readFileSync(dataPath, 'utf8')).counties;
+}
+
+// Facilities that can't be placed are logged and skipped; a missing list means none
+function loadFacilities(configPath = DEFAULT_FACILITIES_PATH) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.log(`No facility list at ${configPath}:`, error.message);
+        return [];
+    }
+    
+    return (config.facilities || []).filter(facility => {
+        const problem = !facility.id || !facility.name ? 'needs an id and a name'
+            : !FACILITY_TYPES.includes(facility.type) ? `type must be one of ${FACILITY_TYPES.join(', ')}`
+            : !/^\d{5}$/.test(facility.county || '') ? 'county must be a 5-digit FIPS code'
+            : null;
+        if (problem) {
+            console.log(`Skipping facility ${facility.id || facility.name || '(unnamed)'}: ${problem}`);
+        }
+        return !problem;
+    });
+}
+
+// Shoelace area on an equirectangular projection centred on the ring; plenty for warning-sized shapes
+function ringAreaSqMi(ring) {
+    const meanLat = ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length;
+    const xScale = MILES_PER_DEGREE * Math.cos(meanLat * Math.PI / 180);
+    
+    let twiceArea = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        twiceArea += (ring[j][0] * xScale) * (ring[i][1] * MILES_PER_DEGREE) - (ring[i][0] * xScale) * (ring[j][1] * MILES_PER_DEGREE);
+    }
+    return Math.abs(twiceArea) / 2;
+}
+
+function geometryAreaSqMi(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+    
+    return polygons.reduce((sum, [outer, ...holes]) =>
+        sum + ringAreaSqMi(outer) - holes.reduce((holeSum, hole) => holeSum + ringAreaSqMi(hole), 0), 0);
+}
+
+// SAME codes are a subdivision digit followed by the county FIPS
+function getAlertCounties(alert) {
+    return [...new Set((alert.same || []).map(code => code.slice(-5)))];
+}
+
+function describeFacility(facility) {
+    return { id: facility.id, name: facility.name, type: facility.type, chapter: facility.chapter || null, county: facility.county };
+}
+
+// { counties, population, populationComplete, method, facilities } for one alert.
+// population is null when none of its counties has a figure; populationComplete says every one did.
+function estimateAlertExposure(alert, counties, facilities) {
+    const fipsList = getAlertCounties(alert);
+    const known = fipsList.filter(fips => typeof counties[fips]?.population === 'number');
+    const countyPopulation = known.reduce((sum, fips) => sum + counties[fips].population, 0);
+    
+    let population = known.length > 0 ? countyPopulation : null;
+    let method = 'counties';
+    if (alert.geometry && known.length > 0) {
+        const landSqMi = known.reduce((sum, fips) => sum + (counties[fips].landSqMi || 0), 0);
+        if (landSqMi > 0) {
+            population = Math.min(countyPopulation, Math.round(countyPopulation / landSqMi * geometryAreaSqMi(alert.geometry)));
+            method = 'polygon';
+        }
+    }
+    
+    const inside = facilities.filter(facility => alert.geometry && typeof facility.lat === 'number' && typeof facility.lon === 'number'
+        ? pointInGeometry([facility.lon, facility.lat], alert.geometry)
+        : fipsList.includes(facility.county));
+    
+    return {
+        counties: fipsList,
+        population,
+        populationComplete: fipsList.length > 0 && known.length === fipsList.length,
+        method,
+        facilities: inside.map(describeFacility)
+    };
+}
+
+// One state's alerts (each with its exposure) rolled up. Counties under county/zone alerts
+// count once however many alerts cover them; polygon warnings add their own estimate
+// unless every county they touch is already counted in full.
+function summarizeStateExposure(alerts, counties) {
+    const wholeCounties = new Set();
+    alerts
+        .filter(alert => alert.exposure.method === 'counties')
+        .forEach(alert => alert.exposure.counties.forEach(fips => wholeCounties.add(fips)));
+    
+    let population = 0;
+    let counted = false;
+    let complete = true;
+    wholeCounties.forEach(fips => {
+        if (typeof counties[fips]?.population === 'number') {
+            population += counties[fips].population;
+            counted = true;
+        } else {
+            complete = false;
+        }
+    });
+    
+    alerts
+        .filter(alert => alert.exposure.method === 'polygon' && !alert.exposure.counties.every(fips => wholeCounties.has(fips)))
+        .forEach(alert => {
+            population += alert.exposure.population;
+            counted = true;
+            complete = complete && alert.exposure.populationComplete;
+        });
+    
+    const facilities = new Map();
+    alerts.forEach(alert => alert.exposure.facilities.forEach(facility => facilities.set(facility.id, facility)));
+    
+    return {
+        population: counted ? population : null,
+        populationComplete: counted && complete,
+        facilities: [...facilities.values()]
+    };
+}
+
+module.exports = {
+    loadCountyPopulation,
+    loadFacilities,
+    geometryAreaSqMi,
+    getAlertCounties,
+    estimateAlertExposure,
+    summarizeStateExposure
+};
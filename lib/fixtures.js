@@ -0,0 +1,48 @@
+// lib/fixtures.js
+// Offline runs: a fetch that answers from saved API responses instead of the network, for
+// `update-weather.js --from-fixtures <dir>`. <dir>/routes.json maps a request path (with
+// query string, host ignored) to { status, fixture, productText } exactly like the test
+// stand-in; a '*' route answers anything not listed and everything else is a 404.
+const fs = require('fs');
+const path = require('path');
+
+const ROUTES_FILE = 'routes.json';
+// Saved responses link to each other as {{base}}/...; any host works since only paths are matched
+const FIXTURE_BASE = 'https://fixtures.invalid';
+
+function loadFixtureRoutes(dir) {
+    const routesPath = path.join(dir, ROUTES_FILE);
+    if (!fs.existsSync(routesPath)) {
+        throw new Error(`${routesPath} not found; --from-fixtures needs a routes file`);
+    }
+    return JSON.parse(fs.readFileSync(routesPath, 'utf8'));
+}
+
+function createFixtureFetch(dir) {
+    const routes = loadFixtureRoutes(dir);
+    const read = name => fs.readFileSync(path.join(dir, name), 'utf8');
+    
+    return async url => {
+        const { pathname, search } = new URL(url);
+        const key = decodeURIComponent(pathname + search);
+        const route = routes[key] || routes['*'] || { status: 404 };
+        const status = route.status || 200;
+        
+        let body;
+        if (route.fixture) {
+            body = read(route.fixture).replace(/\{\{base\}\}/g, FIXTURE_BASE);
+        } else if (route.productText) {
+            body = JSON.stringify({ productText: read(route.productText) });
+        } else {
+            body = JSON.stringify({ status, title: status >= 400 ? `No fixture for ${key}` : 'OK' });
+        }
+        
+        return new Response(body, { status, headers: { 'Content-Type': 'application/geo+json' } });
+    };
+}
+
+module.exports = {
+    ROUTES_FILE,
+    loadFixtureRoutes,
+    createFixtureFetch
+};
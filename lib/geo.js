@@ -0,0 +1,67 @@
+// lib/geo.js
+// Small geometry helpers for matching outlook/alert polygons against SECAR counties.
+// County centroids are derived from the Census cartographic boundaries in us-atlas.
+const path = require('path');
+
+const COUNTY_CENTROIDS = require(path.join(__dirname, '..', 'data', 'county-centroids.json'));
+
+// Ray-casting test against one ring of [lon, lat] positions
+function pointInRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+    
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    
+    return inside;
+}
+
+// GeoJSON Polygon/MultiPolygon containment, honoring holes
+function pointInGeometry(point, geometry) {
+    if (!geometry) {
+        return false;
+    }
+    
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+    
+    return polygons.some(([outer, ...holes]) =>
+        pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole)));
+}
+
+// [lon, lat] centroids for every county whose FIPS code starts with the given state FIPS
+function getStateCountyCentroids(stateFips) {
+    return Object.entries(COUNTY_CENTROIDS)
+        .filter(([fips]) => fips.startsWith(stateFips))
+        .map(([fips, point]) => ({ fips, point }));
+}
+
+// Polygon/MultiPolygon rounded to ~100 m so storm-based warning outlines stay small in report.json
+function roundGeometry(geometry, digits = 3) {
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+        return null;
+    }
+    
+    const roundRing = ring => ring.map(([lon, lat]) => [+lon.toFixed(digits), +lat.toFixed(digits)]);
+    
+    return {
+        type: geometry.type,
+        coordinates: geometry.type === 'Polygon'
+            ? geometry.coordinates.map(roundRing)
+            : geometry.coordinates.map(polygon => polygon.map(roundRing))
+    };
+}
+
+module.exports = {
+    COUNTY_CENTROIDS,
+    pointInRing,
+    pointInGeometry,
+    getStateCountyCentroids,
+    roundGeometry
+};
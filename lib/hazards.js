@@ -0,0 +1,133 @@
+// lib/hazards.js
+// One ranking for every NWS alert: product level (warning > watch > advisory > statement)
+// from the event name, then CAP severity, urgency and certainty. Each alert also lands in
+// exactly one hazard category, which drives the state-by-hazard matrix.
+
+// Higher level = more serious product type for the same hazard
+const PRODUCT_LEVELS = [
+    ['Warning', 4],
+    ['Watch', 3],
+    ['Advisory', 2],
+    ['Statement', 1]
+];
+
+const LEVEL_NAMES = { 4: 'Warning', 3: 'Watch', 2: 'Advisory', 1: 'Statement', 0: 'Other' };
+
+const SEVERITY_LEVELS = { Extreme: 4, Severe: 3, Moderate: 2, Minor: 1 };
+const URGENCY_LEVELS = { Immediate: 4, Expected: 3, Future: 2, Past: 1 };
+const CERTAINTY_LEVELS = { Observed: 4, Likely: 3, Possible: 2, Unlikely: 1 };
+
+// First match wins, so marine "Hurricane Force Wind" and "Storm Warning" are claimed before tropical
+const HAZARD_CATEGORIES = [
+    {
+        id: 'marine',
+        label: 'Marine',
+        pattern: /Marine|Small Craft|Gale|^Storm (Warning|Watch)$|Hurricane Force Wind|Hazardous Seas|Freezing Spray|Rip Current|Beach Hazards|High Surf|Tsunami|Low Water|Brisk Wind/
+    },
+    // NWS issues Extreme Wind Warnings only for a landfalling major hurricane's eyewall
+    { id: 'tropical', label: 'Tropical', pattern: /Hurricane|Tropical Storm|Tropical Depression|Typhoon|Storm Surge|Extreme Wind/ },
+    { id: 'tornado', label: 'Tornado / Severe Storm', pattern: /Tornado|Severe Thunderstorm/ },
+    { id: 'flood', label: 'Flood', pattern: /Flood|Hydrologic/ },
+    { id: 'heat', label: 'Heat', pattern: /Heat/ },
+    { id: 'winter', label: 'Winter', pattern: /Winter|Blizzard|Ice Storm|Snow|Sleet|Freez|Frost|Wind Chill|Cold/ },
+    { id: 'fire', label: 'Fire', pattern: /Fire|Red Flag/ },
+    { id: 'other', label: 'Other', pattern: /./ }
+];
+
+function getProductLevel(alert) {
+    const match = PRODUCT_LEVELS.find(([suffix]) => alert.event.endsWith(suffix));
+    return match ? match[1] : 0;
+}
+
+function getLevelName(level) {
+    return LEVEL_NAMES[level];
+}
+
+function getHazardCategory(alert) {
+    return HAZARD_CATEGORIES.find(category => category.pattern.test(alert.event)).id;
+}
+
+// Product level, then severity: what makes a replacement alert an upgrade or downgrade
+function compareAlertLevel(a, b) {
+    return (getProductLevel(a) - getProductLevel(b)) ||
+        ((SEVERITY_LEVELS[a.severity] || 0) - (SEVERITY_LEVELS[b.severity] || 0));
+}
+
+// Full ordering for display: level first, then how soon and how sure
+function compareAlertRank(a, b) {
+    return compareAlertLevel(a, b) ||
+        ((URGENCY_LEVELS[a.urgency] || 0) - (URGENCY_LEVELS[b.urgency] || 0)) ||
+        ((CERTAINTY_LEVELS[a.certainty] || 0) - (CERTAINTY_LEVELS[b.certainty] || 0));
+}
+
+// NWS can list the same alert twice, and an update stays active alongside the alert it
+// replaces until that one expires. Keep one copy and only the newest in each chain.
+function dedupeAlerts(alerts) {
+    const seen = new Set();
+    const unique = alerts.filter(alert => {
+        if (!alert.id) {
+            return true;
+        }
+        if (seen.has(alert.id)) {
+            return false;
+        }
+        seen.add(alert.id);
+        return true;
+    });
+    
+    const superseded = new Set(unique.flatMap(alert => alert.references || []));
+    return unique.filter(alert => !superseded.has(alert.id));
+}
+
+// Highest-ranked alert, or null when there are none
+function getTopAlert(alerts) {
+    return alerts.reduce((top, alert) => (!top || compareAlertRank(alert, top) > 0 ? alert : top), null);
+}
+
+// Order states most-threatened first; ties keep their configured order
+function compareStateThreat(a, b) {
+    const topA = getTopAlert(a.alerts);
+    const topB = getTopAlert(b.alerts);
+    
+    if (!topA || !topB) {
+        return (topB ? 1 : 0) - (topA ? 1 : 0);
+    }
+    return compareAlertRank(topB, topA);
+}
+
+// One row per state, one cell per hazard category holding the highest level in effect
+function buildHazardMatrix(states) {
+    return {
+        categories: HAZARD_CATEGORIES.map(({ id, label }) => ({ id, label })),
+        states: states.map(state => {
+            const cells = {};
+            
+            HAZARD_CATEGORIES.forEach(category => {
+                const alerts = state.alerts.filter(alert => getHazardCategory(alert) === category.id);
+                const top = getTopAlert(alerts);
+                
+                cells[category.id] = top ? {
+                    level: getProductLevel(top),
+                    label: getLevelName(getProductLevel(top)),
+                    severity: top.severity,
+                    events: [...new Set(alerts.sort((a, b) => compareAlertRank(b, a)).map(alert => alert.event))]
+                } : null;
+            });
+            
+            return { name: state.name, code: state.code, status: state.status, cells };
+        })
+    };
+}
+
+module.exports = {
+    HAZARD_CATEGORIES,
+    getProductLevel,
+    getLevelName,
+    getHazardCategory,
+    compareAlertLevel,
+    compareAlertRank,
+    dedupeAlerts,
+    getTopAlert,
+    compareStateThreat,
+    buildHazardMatrix
+};
@@ -0,0 +1,38 @@
+// lib/html.js
+// Escaping for text that comes from upstream feeds before it goes into report markup, one
+// helper per context: element text and quoted attribute values, link targets, and JSON
+// embedded in a script block.
+
+// Element text and double- or single-quoted attribute values
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// An absolute http(s) URL for an href, or null for anything else (javascript:, data:,
+// relative paths, garbage); still needs escapeHtml inside the attribute
+function safeUrl(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// JSON for a <script type="application/json"> block: nothing in it can close the element,
+// open a comment or end a line early when the block is read as JavaScript
+function serializeJsonForScript(value) {
+    return JSON.stringify(value).replace(/[<>&\u2028\u2029]/g,
+        character => `\\u${character.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+module.exports = {
+    escapeHtml,
+    safeUrl,
+    serializeJsonForScript
+};
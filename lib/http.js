@@ -0,0 +1,300 @@
+// lib/http.js
+// One HTTP client for every upstream GET in a run: at most N requests in flight, a timeout
+// on each attempt, retry with exponential backoff on network errors, timeouts, 5xx and 429
+// (honouring Retry-After), and ETag/Last-Modified revalidation against bodies kept from
+// earlier runs. Each request's endpoint, outcome and timing go into a run summary.
+// JSON responses can be checked against a schema (lib/schemas.js) on the way in.
+const fs = require('fs');
+const path = require('path');
+const { USER_AGENT } = require('./endpoints');
+const { validateResponse } = require('./validate');
+
+const HTTP_DEFAULTS = {
+    concurrency: 4,
+    timeoutMs: 20000,
+    retries: 2,
+    backoffMs: 1000,
+    // A server asking us to wait longer than this is treated as down for this run
+    maxRetryAfterMs: 30000
+};
+
+// Conditional-request bodies unused for this long are dropped when the cache is saved
+const HTTP_CACHE_MAX_AGE_DAYS = 3;
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) {
+        return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Group by host and path with numbers, coordinates and ids collapsed, so per-point and
+// per-product requests add up under one endpoint
+function getEndpointLabel(url) {
+    try {
+        const { host, pathname } = new URL(url);
+        return host + pathname.replace(/\/[^/]*\d[^/]*/g, '/:id');
+    } catch (error) {
+        return url;
+    }
+}
+
+function loadHttpCache(cachePath) {
+    if (!cachePath) {
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+function createLimiter(concurrency) {
+    let active = 0;
+    const queue = [];
+    
+    const next = () => {
+        if (active < concurrency && queue.length > 0) {
+            active++;
+            queue.shift()();
+        }
+    };
+    
+    return async task => {
+        await new Promise(resolve => {
+            queue.push(resolve);
+            next();
+        });
+        try {
+            return await task();
+        } finally {
+            active--;
+            next();
+        }
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// options override HTTP_DEFAULTS; cachePath (optional) persists validators and bodies between
+// runs; fetch and now can be swapped out in tests
+function createHttpClient(options = {}) {
+    const settings = { ...HTTP_DEFAULTS, ...options };
+    const fetchImpl = options.fetch || globalThis.fetch;
+    const now = options.now || (() => Date.now());
+    const limit = createLimiter(settings.concurrency);
+    const cache = loadHttpCache(settings.cachePath);
+    const records = [];
+    // Items dropped from responses for not fitting their schema, as { url, at, problems, item }
+    const quarantine = [];
+    let cacheChanged = false;
+    
+    // A single try: the timeout covers the body as well as the headers
+    async function attempt(url, headers) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+        
+        try {
+            const response = await fetchImpl(url, { headers, signal: controller.signal });
+            const body = response.status === 304 ? null : await response.text();
+            return { response, body };
+        } catch (error) {
+            if (controller.signal.aborted) {
+                const timeout = new Error(`${url} timed out after ${settings.timeoutMs} ms`);
+                timeout.timeout = true;
+                throw timeout;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    // Resolves to the response body as text, or throws once retries are used up.
+    // endpoint labels the request in the run summary (default: derived from the URL).
+    async function getText(url, { accept = 'application/json', endpoint = getEndpointLabel(url) } = {}) {
+        const started = now();
+        const cached = cache[url];
+        const headers = { 'User-Agent': USER_AGENT, 'Accept': accept };
+        if (cached?.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+        if (cached?.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+        
+        const record = { endpoint, url, outcome: null, status: null, attempts: 0, ms: 0 };
+        records.push(record);
+        
+        const succeed = (outcome, body) => {
+            record.outcome = outcome;
+            record.ms = now() - started;
+            return body;
+        };
+        const fail = error => {
+            record.outcome = error.timeout ? 'timeout' : 'error';
+            record.error = error.message;
+            record.ms = now() - started;
+            return error;
+        };
+        
+        for (let tries = 0; ; tries++) {
+            record.attempts++;
+            let waitMs = settings.backoffMs * 2 ** tries;
+            let failure;
+            let result;
+            
+            try {
+                result = await limit(() => attempt(url, headers));
+            } catch (error) {
+                // Network errors and timeouts are always worth another try
+                failure = error;
+            }
+            
+            if (result) {
+                const { response, body } = result;
+                record.status = response.status;
+                
+                if (response.status === 304 && cached) {
+                    cached.usedAt = new Date(now()).toISOString();
+                    cacheChanged = true;
+                    return succeed('not-modified', cached.body);
+                }
+                
+                if (response.ok) {
+                    const etag = response.headers.get('etag');
+                    const lastModified = response.headers.get('last-modified');
+                    if (settings.cachePath && (etag || lastModified)) {
+                        cache[url] = { etag, lastModified, body, usedAt: new Date(now()).toISOString() };
+                        cacheChanged = true;
+                    }
+                    return succeed('ok', body);
+                }
+                
+                failure = new Error(`${url} returned ${response.status}`);
+                failure.status = response.status;
+                if (!isRetryableStatus(response.status)) {
+                    throw fail(failure);
+                }
+                
+                const retryAfter = parseRetryAfter(response.headers.get('retry-after'), now());
+                if (retryAfter !== null && retryAfter > settings.maxRetryAfterMs) {
+                    failure.message += ` (Retry-After ${Math.round(retryAfter / 1000)} s is past the limit)`;
+                    throw fail(failure);
+                }
+                if (retryAfter !== null) {
+                    waitMs = Math.max(waitMs, retryAfter);
+                }
+            }
+            
+            if (tries >= settings.retries) {
+                throw fail(failure);
+            }
+            
+            console.log(`${endpoint}: ${failure.message}, retrying in ${waitMs} ms`);
+            await sleep(waitMs);
+        }
+    }
+    
+    // With a schema, a response that doesn't fit throws like a failed request, and the items of
+    // its quarantined lists that don't fit are left out and logged
+    async function getJson(url, { schema, ...options } = {}) {
+        const data = JSON.parse(await getText(url, options));
+        if (!schema) {
+            return data;
+        }
+        
+        const { value, quarantined } = validateResponse(data, schema);
+        quarantined.forEach(entry => {
+            console.log(`Quarantined ${entry.at} from ${url}: ${entry.problems.join('; ')}`);
+            quarantine.push({ url, ...entry });
+        });
+        return value;
+    }
+    
+    function getQuarantine() {
+        return [...quarantine];
+    }
+    
+    // Per-endpoint totals: request count, outcomes, retries and time spent (ms)
+    function getSummary() {
+        const endpoints = new Map();
+        
+        records.forEach(record => {
+            if (!endpoints.has(record.endpoint)) {
+                endpoints.set(record.endpoint, { endpoint: record.endpoint, requests: 0, ok: 0, notModified: 0, failed: 0, retries: 0, totalMs: 0, maxMs: 0 });
+            }
+            const entry = endpoints.get(record.endpoint);
+            entry.requests++;
+            entry.retries += record.attempts - 1;
+            entry.totalMs += record.ms;
+            entry.maxMs = Math.max(entry.maxMs, record.ms);
+            if (record.outcome === 'ok') {
+                entry.ok++;
+            } else if (record.outcome === 'not-modified') {
+                entry.notModified++;
+            } else {
+                entry.failed++;
+            }
+        });
+        
+        return [...endpoints.values()];
+    }
+    
+    function logSummary() {
+        console.log('HTTP run summary (endpoint: requests, ok/304/failed, retries, total/max ms):');
+        getSummary().forEach(entry => {
+            console.log(`  ${entry.endpoint}: ${entry.requests}, ${entry.ok}/${entry.notModified}/${entry.failed}, ${entry.retries}, ${entry.totalMs}/${entry.maxMs}`);
+        });
+        records.filter(record => record.error).forEach(record => {
+            console.log(`  failed ${record.url}: ${record.error}`);
+        });
+        if (quarantine.length > 0) {
+            console.log(`  ${quarantine.length} invalid item(s) quarantined (see "Quarantined" lines above)`);
+        }
+    }
+    
+    function saveCache() {
+        if (!settings.cachePath || !cacheChanged) {
+            return;
+        }
+        
+        const cutoff = now() - HTTP_CACHE_MAX_AGE_DAYS * 86400000;
+        const kept = Object.fromEntries(Object.entries(cache)
+            .filter(([, entry]) => new Date(entry.usedAt).getTime() >= cutoff));
+        
+        fs.mkdirSync(path.dirname(settings.cachePath), { recursive: true });
+        fs.writeFileSync(settings.cachePath, JSON.stringify(kept) + '\n');
+        cacheChanged = false;
+    }
+    
+    return {
+        getText,
+        getJson,
+        getQuarantine,
+        getSummary,
+        logSummary,
+        saveCache
+    };
+}
+
+module.exports = {
+    HTTP_DEFAULTS,
+    parseRetryAfter,
+    getEndpointLabel,
+    createLimiter,
+    createHttpClient
+};
@@ -0,0 +1,123 @@
+// lib/i18n.js
+// Message catalogs for the report in each published language. Catalogs live in
+// locales/<language>.json; keys are dotted paths ("report.sources") and values take
+// {name} placeholders. A key missing from a catalog falls back to English, then to
+// the key itself, so a half-finished translation still renders. "terms" maps fixed
+// English vocabulary from upstream feeds (NWS event names, SPC/WPC categories) to
+// the catalog's language; anything not listed is shown as NWS sent it.
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, serializeJsonForScript } = require('./html');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+// lang attribute and Intl locale for each language the updater publishes
+const LANGUAGES = {
+    en: { locale: 'en-US' },
+    es: { locale: 'es-US' }
+};
+const DEFAULT_LANGUAGE = 'en';
+
+const catalogs = new Map();
+const instances = new Map();
+
+function loadCatalog(language) {
+    if (!catalogs.has(language)) {
+        catalogs.set(language, JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${language}.json`), 'utf8')));
+    }
+    return catalogs.get(language);
+}
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), catalog);
+}
+
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Translator for one language: t(key, params), plural(key, count, params) for
+// { one, other } entries, term(english) and Intl formatting in the language's locale
+function createI18n(language = DEFAULT_LANGUAGE) {
+    if (!LANGUAGES[language]) {
+        throw new Error(`Unsupported language: ${language}`);
+    }
+    if (instances.has(language)) {
+        return instances.get(language);
+    }
+    
+    const catalog = loadCatalog(language);
+    const fallback = loadCatalog(DEFAULT_LANGUAGE);
+    const { locale } = LANGUAGES[language];
+    const pluralRules = new Intl.PluralRules(locale);
+    
+    const t = (key, params = {}) => {
+        const text = lookup(catalog, key) ?? lookup(fallback, key);
+        return typeof text === 'string' ? interpolate(text, params) : key;
+    };
+    
+    const i18n = {
+        language,
+        locale,
+        t,
+        plural: (key, count, params = {}) => {
+            const form = pluralRules.select(count);
+            const entry = lookup(catalog, key) || lookup(fallback, key) || {};
+            const text = entry[form] ?? entry.other;
+            return typeof text === 'string' ? interpolate(text, { count, ...params }) : key;
+        },
+        term: text => (catalog.terms && catalog.terms[text]) || text,
+        formatDate: (value, options) => new Date(value).toLocaleString(locale, options),
+        formatNumber: value => value.toLocaleString(locale),
+        // Messages the page's own script shows (live status, copy confirmation, ...)
+        scriptMessages: () => ({ locale, ...fallback.script, ...catalog.script })
+    };
+    
+    instances.set(language, i18n);
+    return i18n;
+}
+
+// An alert's display text in the translator's language: the Spanish text NWS issued
+// alongside it (translations.es) when there is one, otherwise the original text with
+// the event name looked up in terms
+function localizeAlert(alert, i18n) {
+    const translation = alert.translations?.[i18n.language];
+    return {
+        event: translation?.event || i18n.term(alert.event),
+        headline: translation?.headline || alert.headline,
+        description: translation?.description || alert.description,
+        instruction: translation?.instruction || alert.instruction
+    };
+}
+
+// index.html -> index.es.html; the default language keeps the plain name
+function localizePath(filePath, language) {
+    if (language === DEFAULT_LANGUAGE) {
+        return filePath;
+    }
+    const ext = path.extname(filePath);
+    return `${filePath.slice(0, filePath.length - ext.length)}.${language}${ext}`;
+}
+
+// Translate the page shell around the report: the html lang attribute, the text of every
+// element marked data-i18n="key" and the JSON messages block the page script reads
+function localizePage(pageHtml, i18n) {
+    const messages = serializeJsonForScript(i18n.scriptMessages());
+    
+    return pageHtml
+        .replace(/<html lang="[^"]*">/, `<html lang="${i18n.language}">`)
+        .replace(/(<(\w+)\b[^>]*\sdata-i18n="([\w.]+)"[^>]*>)[^<]*(<\/\2>)/g,
+            (match, open, tag, key, close) => `${open}${escapeHtml(i18n.t(key))}${close}`)
+        .replace(/(<script type="application\/json" id="pageMessages">)[\s\S]*?(<\/script>)/,
+            (match, open, close) => `${open}${messages}${close}`);
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    loadCatalog,
+    createI18n,
+    localizeAlert,
+    localizePath,
+    localizePage
+};
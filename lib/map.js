@@ -0,0 +1,219 @@
+// lib/map.js
+// Pre-rendered SVG alert map: SECAR state outlines, counties shaded by their highest
+// active alert and storm-based warning polygons on top. Boundaries are bundled in data/
+// so the map works embedded without a tile service; the page script only adds
+// click-for-details, and without it the SVG and its tooltips still stand on their own.
+const path = require('path');
+const { getProductLevel, getLevelName, compareAlertLevel } = require('./hazards');
+const { escapeHtml, serializeJsonForScript } = require('./html');
+const { createI18n, localizeAlert } = require('./i18n');
+
+const BOUNDARIES = require(path.join(__dirname, '..', 'data', 'secar-boundaries.json'));
+
+const MAP_WIDTH = 800;
+const MAP_PADDING = 10;
+// The Virgin Islands are too far from the mainland to share its scale; they get a corner inset
+const INSET_STATES = ['VI'];
+const INSET_WIDTH = 160;
+
+const LEGEND = [
+    ['map-warning', 'Warning'],
+    ['map-watch', 'Watch'],
+    ['map-advisory', 'Advisory'],
+    ['map-statement', 'Statement'],
+    ['map-other', 'Other alert']
+];
+
+function getBounds(rings) {
+    const bounds = { minLon: Infinity, maxLon: -Infinity, minLat: Infinity, maxLat: -Infinity };
+    
+    rings.forEach(ring => ring.forEach(([lon, lat]) => {
+        bounds.minLon = Math.min(bounds.minLon, lon);
+        bounds.maxLon = Math.max(bounds.maxLon, lon);
+        bounds.minLat = Math.min(bounds.minLat, lat);
+        bounds.maxLat = Math.max(bounds.maxLat, lat);
+    }));
+    
+    return bounds;
+}
+
+// Equirectangular projection scaled by cos(mid-latitude), fitted to a box of the given width
+function createProjection(bounds, x, y, width) {
+    const cosLat = Math.cos((bounds.minLat + bounds.maxLat) / 2 * Math.PI / 180);
+    const scale = width / ((bounds.maxLon - bounds.minLon) * cosLat);
+    
+    return {
+        height: (bounds.maxLat - bounds.minLat) * scale,
+        project: ([lon, lat]) => [
+            x + (lon - bounds.minLon) * cosLat * scale,
+            y + (bounds.maxLat - lat) * scale
+        ]
+    };
+}
+
+function createMapLayout() {
+    const mainlandRings = Object.entries(BOUNDARIES.states)
+        .filter(([code]) => !INSET_STATES.includes(code))
+        .flatMap(([, rings]) => rings);
+    const insetRings = INSET_STATES.flatMap(code => BOUNDARIES.states[code] || []);
+    
+    const mainland = createProjection(getBounds(mainlandRings), MAP_PADDING, MAP_PADDING, MAP_WIDTH - 2 * MAP_PADDING);
+    const height = Math.ceil(mainland.height + 2 * MAP_PADDING);
+    
+    // Inset sits in the open Atlantic at the bottom right, with room for its label
+    const insetBounds = getBounds(insetRings);
+    const insetX = MAP_WIDTH - MAP_PADDING - INSET_WIDTH;
+    const insetProbe = createProjection(insetBounds, 0, 0, INSET_WIDTH - 20);
+    const insetY = height - MAP_PADDING - insetProbe.height - 30;
+    const inset = createProjection(insetBounds, insetX + 10, insetY + 20, INSET_WIDTH - 20);
+    
+    return {
+        height,
+        inset: { x: insetX, y: insetY, width: INSET_WIDTH, height: inset.height + 30 },
+        // Pick the projection by where a shape lies, so alert polygons need no state lookup
+        projectRings: rings => {
+            const { minLon } = getBounds(rings);
+            const projection = minLon > insetBounds.minLon - 1 ? inset : mainland;
+            return rings.map(ring => ring.map(projection.project));
+        }
+    };
+}
+
+const LAYOUT = createMapLayout();
+
+function toSvgPath(rings) {
+    return LAYOUT.projectRings(rings)
+        .map(ring => 'M' + ring.map(([x, y]) => `${x.toFixed(1)} ${y.toFixed(1)}`).join('L') + 'Z')
+        .join('');
+}
+
+function geometryRings(geometry) {
+    if (!geometry) {
+        return [];
+    }
+    return geometry.type === 'Polygon' ? geometry.coordinates
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates.flat()
+        : [];
+}
+
+function getLevelClass(alert) {
+    return `map-${getLevelName(getProductLevel(alert)).toLowerCase()}`;
+}
+
+// Every mapped county with the alerts covering it, highest level first
+function collectCountyAlerts(report) {
+    const counties = new Map();
+    
+    report.states.forEach(stateReport => {
+        const names = new Map(stateReport.areas
+            .filter(area => area.fips)
+            .map(area => [area.fips, area.name]));
+        
+        stateReport.alerts.forEach(alert => {
+            // SAME codes are county FIPS even for zone-based alerts, so they shade fully
+            (alert.same || []).forEach(code => {
+                const fips = code.slice(-5);
+                if (!BOUNDARIES.counties[fips]) {
+                    return;
+                }
+                if (!counties.has(fips)) {
+                    counties.set(fips, { fips, name: names.get(fips) || fips, state: stateReport.name, alerts: [] });
+                }
+                const county = counties.get(fips);
+                if (!county.alerts.includes(alert)) {
+                    county.alerts.push(alert);
+                }
+            });
+        });
+    });
+    
+    counties.forEach(county => county.alerts.sort((a, b) => compareAlertLevel(b, a)));
+    
+    // Lower levels first so the strongest shading is drawn last
+    return [...counties.values()].sort((a, b) => compareAlertLevel(a.alerts[0], b.alerts[0]));
+}
+
+// [minLon, minLat, maxLon, maxLat] around the alerts' warning polygons, or around their
+// SAME counties when they have none; null when none of it is mapped
+function getAlertBounds(alerts) {
+    const rings = alerts.flatMap(alert => (alert.geometry
+        ? geometryRings(alert.geometry)
+        : (alert.same || []).flatMap(code => BOUNDARIES.counties[code.slice(-5)] || [])));
+    if (!rings.length) {
+        return null;
+    }
+    const bounds = getBounds(rings);
+    return [bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat].map(value => Math.round(value * 1000) / 1000);
+}
+
+// i18n (lib/i18n.js) words the labels, legend and tooltips
+function renderAlertMap(report, i18n = createI18n()) {
+    const counties = collectCountyAlerts(report);
+    const polygons = report.states.flatMap(stateReport => stateReport.alerts
+        .filter(alert => alert.geometry)
+        .map(alert => ({ alert, state: i18n.term(stateReport.name) })))
+        .sort((a, b) => compareAlertLevel(a.alert, b.alert));
+    const eventName = alert => localizeAlert(alert, i18n).event;
+    
+    // Details the page script shows when an area is clicked
+    const mapAlerts = {};
+    report.states.forEach(stateReport => stateReport.alerts.forEach(alert => {
+        const text = localizeAlert(alert, i18n);
+        mapAlerts[alert.id] = {
+            event: text.event,
+            state: i18n.term(stateReport.name),
+            areaDesc: alert.areaDesc,
+            headline: text.headline,
+            onset: alert.onset,
+            expires: alert.ends || alert.expires,
+            timeZone: alert.timeZone || null
+        };
+    }));
+    
+    const stateOutlines = Object.entries(BOUNDARIES.states)
+        .map(([code, rings]) => `<path class="map-state" data-state="${code}" d="${toSvgPath(rings)}"/>`)
+        .join('');
+    
+    const countyShapes = counties.map(county => {
+        const state = i18n.term(county.state);
+        const label = `${county.name}, ${state}: ${county.alerts.map(eventName).join(', ')}`;
+        return `<path class="map-area ${getLevelClass(county.alerts[0])}" tabindex="0" data-name="${escapeHtml(`${county.name}, ${state}`)}" data-alert-ids="${escapeHtml(county.alerts.map(alert => alert.id).join(' '))}" d="${toSvgPath(BOUNDARIES.counties[county.fips])}"><title>${escapeHtml(label)}</title></path>`;
+    }).join('');
+    
+    const polygonShapes = polygons.map(({ alert, state }) =>
+        `<path class="map-polygon ${getLevelClass(alert)}" tabindex="0" data-name="${escapeHtml(i18n.t('map.polygon', { event: eventName(alert), state }))}" data-alert-ids="${escapeHtml(alert.id)}" d="${toSvgPath(geometryRings(alert.geometry))}"><title>${escapeHtml(`${eventName(alert)}: ${alert.areaDesc}`)}</title></path>`
+    ).join('');
+    
+    const { inset } = LAYOUT;
+    const insetFrame = `<rect class="map-inset" x="${inset.x}" y="${inset.y.toFixed(1)}" width="${inset.width}" height="${inset.height.toFixed(1)}"/>` +
+        `<text class="map-inset-label" x="${inset.x + 8}" y="${(inset.y + 14).toFixed(1)}">${escapeHtml(i18n.term('U.S. Virgin Islands'))}</text>`;
+    
+    const legend = LEGEND.map(([className, label]) =>
+        `<span class="map-legend-item"><span class="map-key ${className}"></span>${i18n.term(label)}</span>`).join(' ');
+    
+    const summary = counties.length > 0
+        ? i18n.plural('map.counties', counties.length) + (polygons.length > 0 ? i18n.plural('map.polygons', polygons.length) : '')
+        : i18n.t('map.none');
+    
+    const alertData = serializeJsonForScript(mapAlerts);
+    
+    return `<div class="alert-map">
+            <div class="section-title">${i18n.t('map.title')}</div>
+            <svg class="alert-map-svg" viewBox="0 0 ${MAP_WIDTH} ${LAYOUT.height}" role="img" aria-label="${escapeHtml(i18n.t('map.label', { summary }))}">
+                <g class="map-states">${insetFrame}${stateOutlines}</g>
+                <g class="map-counties">${countyShapes}</g>
+                <g class="map-polygons">${polygonShapes}</g>
+            </svg>
+            <div class="map-legend">${legend}</div>
+            <div class="map-details">${i18n.t('map.details', { summary })}</div>
+            <script type="application/json" class="map-alerts">${alertData}</script>
+        </div>`;
+}
+
+module.exports = {
+    BOUNDARIES,
+    createProjection,
+    collectCountyAlerts,
+    getAlertBounds,
+    renderAlertMap
+};
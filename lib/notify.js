@@ -0,0 +1,332 @@
+// lib/notify.js
+// Notifier stage: turns escalations in the report model into webhook, Teams/Slack and
+// email messages. Triggers and channels live in config/notifications.json; channel
+// secrets come from the environment. Sent notifications are remembered per alert id
+// (per trigger and disturbance for formation chances) so a warning is announced once,
+// not on every 6-hour run.
+const fs = require('fs');
+const path = require('path');
+const { sendMail } = require('./smtp');
+const { mapAlertsToChapters } = require('./chapters');
+
+// Use built-in fetch in Node 18+
+const fetch = globalThis.fetch;
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'notifications.json');
+const STATE_RETENTION_DAYS = 14;
+const WEBHOOK_TIMEOUT_MS = 20000;
+
+function loadNotificationConfig(configPath = DEFAULT_CONFIG_PATH) {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+function loadSentState(statePath) {
+    try {
+        return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (error) {
+        return { sent: {} };
+    }
+}
+
+// Drop entries for alerts long expired so the state file doesn't grow forever
+function pruneSentState(state, now) {
+    const cutoff = now.getTime() - STATE_RETENTION_DAYS * 86400000;
+    const sent = {};
+    
+    Object.entries(state.sent || {}).forEach(([key, entry]) => {
+        const lastRelevant = Math.max(new Date(entry.sentAt).getTime(), entry.expires ? new Date(entry.expires).getTime() : 0);
+        if (lastRelevant >= cutoff) {
+            sent[key] = entry;
+        }
+    });
+    
+    return { sent };
+}
+
+function saveSentState(statePath, state) {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n');
+}
+
+function alertMatchesTrigger(alert, trigger, chapterIds) {
+    if (trigger.severities && !trigger.severities.includes(alert.severity)) {
+        return false;
+    }
+    if (trigger.events && !trigger.events.includes(alert.event)) {
+        return false;
+    }
+    if (trigger.eventSuffixes && !trigger.eventSuffixes.some(suffix => alert.event.endsWith(suffix))) {
+        return false;
+    }
+    if (trigger.chapters) {
+        if (chapterIds.length === 0) {
+            return false;
+        }
+        if (trigger.chapters.length > 0 && !trigger.chapters.some(id => chapterIds.includes(id))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// An NWS update carries a new id but references the alert it replaces; treat it as already sent.
+// Entries keyed "<trigger id>|<alert id>" predate one notification per alert and still count.
+function alreadySent(state, alert, triggerIds) {
+    return [alert.id, ...(alert.references || [])]
+        .some(id => id && (state.sent[`alert|${id}`] || triggerIds.some(triggerId => state.sent[`${triggerId}|${id}`])));
+}
+
+// NHC's invest number (AL97) from the outlook heading when it has one, otherwise the
+// disturbance's number in the outlook; the location text changes as a system moves
+function getDisturbanceId(disturbance) {
+    const invest = (disturbance.location || '').match(/\b(AL|EP|CP)9\d\b/);
+    return invest ? invest[0] : `#${disturbance.number}`;
+}
+
+// One notification per alert, however many triggers it matches; triggerIds lists them all
+function findNotifications(report, config, state) {
+    const notifications = [];
+    const alertChapters = mapAlertsToChapters(report);
+    const alertTriggers = config.triggers.filter(trigger => trigger.type === 'alert');
+    
+    report.states.forEach(stateReport => {
+        stateReport.alerts.forEach(alert => {
+            const chapters = alertChapters.get(alert.id) || new Map();
+            const triggerIds = alertTriggers
+                .filter(trigger => alertMatchesTrigger(alert, trigger, [...chapters.keys()]))
+                .map(trigger => trigger.id);
+            if (triggerIds.length === 0 || alreadySent(state, alert, triggerIds)) {
+                return;
+            }
+            
+            notifications.push({
+                key: `alert|${alert.id}`,
+                triggerIds,
+                title: `${alert.event} – ${stateReport.name}`,
+                text: [
+                    alert.headline || `${alert.event} for ${alert.areaDesc}`,
+                    `Areas: ${alert.areaDesc}`,
+                    chapters.size > 0 ? `Chapters: ${[...chapters.values()].join(', ')}` : null,
+                    alert.expires ? `Expires: ${alert.expires}` : null
+                ].filter(Boolean).join('\n'),
+                severity: alert.severity,
+                expires: alert.expires,
+                alert: { ...alert, state: stateReport.name }
+            });
+        });
+    });
+    
+    config.triggers.filter(trigger => trigger.type === 'tropical-formation' && report.tropical).forEach(trigger => {
+        const chanceKey = trigger.period === '48hour' ? 'chance48hour' : 'chance7day';
+        const label = trigger.period === '48hour' ? '48-hour' : '7-day';
+        
+        report.tropical.disturbances.forEach(disturbance => {
+            const key = `${trigger.id}|${getDisturbanceId(disturbance)}`;
+            const percent = disturbance[chanceKey]?.percent;
+            
+            // Falling back below the threshold re-arms the trigger for a later crossing
+            if (typeof percent !== 'number' || percent < trigger.thresholdPercent) {
+                delete state.sent[key];
+                return;
+            }
+            if (state.sent[key]) {
+                return;
+            }
+            
+            notifications.push({
+                key,
+                triggerIds: [trigger.id],
+                title: `Tropical formation chance ${percent}% – ${disturbance.location}`,
+                text: `${label} formation chance is ${percent}% (threshold ${trigger.thresholdPercent}%).\n${disturbance.description}`,
+                severity: 'Tropical',
+                expires: null,
+                disturbance
+            });
+        });
+    });
+    
+    return notifications;
+}
+
+function buildWebhookPayload(notifications, report, reportUrl) {
+    return {
+        source: 'secar-weather-report',
+        reportGeneratedAt: report.generatedAt,
+        reportUrl: reportUrl || null,
+        notifications: notifications.map(({ key, triggerIds, title, text, severity, alert, disturbance }) => ({
+            key, triggerIds, title, text, severity,
+            alert: alert || null,
+            disturbance: disturbance || null
+        }))
+    };
+}
+
+function buildTeamsPayload(notifications, report, reportUrl) {
+    return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: `SECAR weather: ${notifications.length} new notification(s)`,
+        themeColor: '990000',
+        title: 'SECAR Weather Report – new escalations',
+        sections: notifications.map(notification => ({
+            activityTitle: notification.title,
+            text: notification.text.replace(/\n/g, '<br>')
+        })),
+        potentialAction: reportUrl ? [{
+            '@type': 'OpenUri',
+            name: 'Open report',
+            targets: [{ os: 'default', uri: reportUrl }]
+        }] : []
+    };
+}
+
+function buildSlackPayload(notifications, report, reportUrl) {
+    const lines = notifications.map(notification => `*${notification.title}*\n${notification.text}`);
+    return {
+        text: `SECAR weather: ${notifications.length} new notification(s)`,
+        blocks: [
+            ...lines.map(line => ({ type: 'section', text: { type: 'mrkdwn', text: line } })),
+            ...(reportUrl ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `<${reportUrl}|Open report>` }] }] : [])
+        ]
+    };
+}
+
+function buildEmail(notifications, report, reportUrl) {
+    const subject = notifications.length === 1
+        ? `SECAR weather: ${notifications[0].title}`
+        : `SECAR weather: ${notifications.length} new notifications`;
+    const text = [
+        ...notifications.map(notification => `${notification.title}\n${notification.text}`),
+        reportUrl ? `Full report: ${reportUrl}` : null,
+        `Report generated ${report.generatedAt}`
+    ].filter(Boolean).join('\n\n');
+    
+    return { subject, text };
+}
+
+const PAYLOAD_BUILDERS = {
+    webhook: buildWebhookPayload,
+    teams: buildTeamsPayload,
+    slack: buildSlackPayload
+};
+
+// Resolve a channel's settings from the environment; null when it isn't configured
+function resolveChannel(channel, env) {
+    if (PAYLOAD_BUILDERS[channel.type]) {
+        const url = channel.url || env[channel.urlEnv];
+        return url ? { type: channel.type, url } : null;
+    }
+    
+    if (channel.type === 'email') {
+        const host = channel.host || env[channel.hostEnv];
+        const to = (channel.to || env[channel.toEnv] || '').split(',').map(address => address.trim()).filter(Boolean);
+        if (!host || to.length === 0) {
+            return null;
+        }
+        return {
+            type: 'email',
+            host,
+            port: parseInt(channel.port || env[channel.portEnv] || '587', 10),
+            secure: String(channel.secure ?? env[channel.secureEnv] ?? 'false') === 'true',
+            // Lets AUTH go over a plain connection to a remote server that has no STARTTLS
+            allowInsecure: ['1', 'true'].includes(String(channel.allowInsecure ?? env[channel.allowInsecureEnv] ?? '')),
+            username: channel.username || env[channel.usernameEnv] || null,
+            password: channel.password || env[channel.passwordEnv] || null,
+            from: channel.from || env[channel.fromEnv] || 'SECAR Weather Report <noreply@localhost>',
+            to
+        };
+    }
+    
+    return null;
+}
+
+async function sendToChannel(channel, notifications, report, reportUrl, timeoutMs = WEBHOOK_TIMEOUT_MS) {
+    if (channel.type === 'email') {
+        const email = buildEmail(notifications, report, reportUrl);
+        await sendMail({ ...channel, ...email });
+        return;
+    }
+    
+    // A hung endpoint must not hold up the other channels or the run
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+        const response = await fetch(channel.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(PAYLOAD_BUILDERS[channel.type](notifications, report, reportUrl)),
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`${channel.type} webhook returned ${response.status}`);
+        }
+    } catch (error) {
+        if (controller.signal.aborted) {
+            throw new Error(`${channel.type} webhook timed out after ${timeoutMs} ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function runNotifier(report, options = {}) {
+    const {
+        config = loadNotificationConfig(options.configPath),
+        env = process.env,
+        now = new Date(),
+        outDir = '.',
+        webhookTimeoutMs = WEBHOOK_TIMEOUT_MS
+    } = options;
+    // The sent-state file sits with the published output, like the HTTP cache beside last-good.json
+    const statePath = options.statePath || path.resolve(outDir, config.stateFile);
+    
+    const state = pruneSentState(loadSentState(statePath), now);
+    const notifications = findNotifications(report, config, state);
+    const channels = config.channels.map(channel => resolveChannel(channel, env)).filter(Boolean);
+    const summary = { notifications: notifications.length, channels: channels.length, sent: [], failed: [] };
+    
+    if (notifications.length === 0) {
+        console.log('No new notifications to send');
+    } else if (channels.length === 0) {
+        console.log(`${notifications.length} notification(s) found but no channels are configured`);
+    } else {
+        for (const channel of channels) {
+            try {
+                await sendToChannel(channel, notifications, report, env[config.reportUrlEnv], webhookTimeoutMs);
+                summary.sent.push(channel.type);
+            } catch (error) {
+                console.log(`Notification via ${channel.type} failed:`, error.message);
+                summary.failed.push(channel.type);
+            }
+        }
+        
+        // Only remember what actually went out somewhere, so a total failure retries next run
+        if (summary.sent.length > 0) {
+            notifications.forEach(notification => {
+                state.sent[notification.key] = { sentAt: now.toISOString(), expires: notification.expires };
+            });
+        }
+        console.log(`Sent ${notifications.length} notification(s) via ${summary.sent.join(', ') || 'no channels'}`);
+    }
+    
+    saveSentState(statePath, state);
+    return summary;
+}
+
+module.exports = {
+    loadNotificationConfig,
+    loadSentState,
+    pruneSentState,
+    alertMatchesTrigger,
+    getDisturbanceId,
+    findNotifications,
+    buildWebhookPayload,
+    buildTeamsPayload,
+    buildSlackPayload,
+    buildEmail,
+    resolveChannel,
+    runNotifier
+};
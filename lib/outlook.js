@@ -0,0 +1,274 @@
+// lib/outlook.js
+// Forward-looking hazards for the "5-Day Outlook": NWS gridpoint forecasts at each
+// state's representative points, SPC convective outlook categories (days 1-3) and
+// WPC Excessive Rainfall Outlook risk (days 1-3), matched against county centroids.
+const { getNwsApiBase, getSpcBase, getWpcBase } = require('./endpoints');
+const { pointInGeometry, getStateCountyCentroids } = require('./geo');
+const { createHttpClient } = require('./http');
+const { POINT, GRIDPOINT_FORECAST, OUTLOOK_FEATURES } = require('./schemas');
+
+const FORECAST_DAYS = 5;
+const CATEGORICAL_OUTLOOK_DAYS = 3;
+
+const SPC_CATEGORIES = {
+    TSTM: { rank: 1, label: 'General Thunderstorms' },
+    MRGL: { rank: 2, label: 'Marginal Risk' },
+    SLGT: { rank: 3, label: 'Slight Risk' },
+    ENH: { rank: 4, label: 'Enhanced Risk' },
+    MDT: { rank: 5, label: 'Moderate Risk' },
+    HIGH: { rank: 6, label: 'High Risk' }
+};
+
+const ERO_CATEGORIES = {
+    Marginal: { rank: 1, label: 'Marginal Risk' },
+    Slight: { rank: 2, label: 'Slight Risk' },
+    Moderate: { rank: 3, label: 'Moderate Risk' },
+    High: { rank: 4, label: 'High Risk' }
+};
+
+// Keywords in gridpoint shortForecast/detailedForecast text, most significant first
+const HAZARD_PATTERNS = [
+    ['Hurricane conditions', /hurricane conditions/i],
+    ['Tropical storm conditions', /tropical storm conditions/i],
+    ['Severe thunderstorms', /severe/i],
+    ['Thunderstorms', /thunderstorm|t-storm/i],
+    ['Heavy rain', /heavy rain/i],
+    ['Freezing rain', /freezing rain|freezing drizzle/i],
+    ['Sleet', /sleet/i],
+    ['Snow', /snow/i],
+    ['Fog', /\bfog\b/i],
+    ['Strong winds', /\bwindy\b/i]
+];
+
+const EXTREME_HEAT_F = 100;
+const FREEZING_F = 32;
+
+function fetchJson(client, url, schema) {
+    return client.getJson(url, { accept: 'application/geo+json, application/json', schema });
+}
+
+async function fetchPointForecast(point, client = createHttpClient()) {
+    const pointData = await fetchJson(client, `${getNwsApiBase()}/points/${point.lat},${point.lon}`, POINT);
+    const forecastUrl = pointData.properties?.forecast;
+    if (!forecastUrl) {
+        throw new Error(`No gridpoint forecast for ${point.name}`);
+    }
+    
+    const forecast = await fetchJson(client, forecastUrl, GRIDPOINT_FORECAST);
+    return forecast.properties?.periods || [];
+}
+
+function getPeriodHazards(period) {
+    const text = `${period.shortForecast || ''} ${period.detailedForecast || ''}`;
+    const hazards = HAZARD_PATTERNS
+        .filter(([, pattern]) => pattern.test(text))
+        .map(([hazard]) => hazard);
+    
+    const temperatureF = period.temperatureUnit === 'C' ? period.temperature * 9 / 5 + 32 : period.temperature;
+    if (period.isDaytime && temperatureF >= EXTREME_HEAT_F) {
+        hazards.push('Extreme heat');
+    }
+    if (!period.isDaytime && temperatureF <= FREEZING_F) {
+        hazards.push('Freezing temperatures');
+    }
+    
+    return hazards;
+}
+
+// Collapse forecast periods from several points into one entry per local calendar date
+function summarizeForecastPeriods(periodsByPoint) {
+    const days = new Map();
+    
+    periodsByPoint.forEach(({ point, periods }) => {
+        periods.forEach(period => {
+            const date = String(period.startTime).slice(0, 10);
+            if (!days.has(date)) {
+                days.set(date, { hazards: new Map(), maxPrecipChance: null });
+            }
+            
+            const day = days.get(date);
+            getPeriodHazards(period).forEach(hazard => {
+                if (!day.hazards.has(hazard)) {
+                    day.hazards.set(hazard, new Set());
+                }
+                day.hazards.get(hazard).add(point.name);
+            });
+            
+            const precipChance = period.probabilityOfPrecipitation?.value;
+            if (typeof precipChance === 'number') {
+                day.maxPrecipChance = Math.max(day.maxPrecipChance ?? 0, precipChance);
+            }
+        });
+    });
+    
+    return days;
+}
+
+// Fetch days 1-3 of a categorical outlook; a failed day is null rather than an empty outlook
+function fetchCategoricalOutlooks(urlForDay, label, client) {
+    const days = Array.from({ length: CATEGORICAL_OUTLOOK_DAYS }, (_, i) => i + 1);
+    
+    return Promise.all(days.map(async day => {
+        try {
+            const data = await fetchJson(client, urlForDay(day), OUTLOOK_FEATURES);
+            return data.features || [];
+        } catch (error) {
+            console.log(`${label} day ${day} failed:`, error.message);
+            return null;
+        }
+    }));
+}
+
+function fetchSpcOutlooks(client = createHttpClient()) {
+    console.log('Fetching SPC convective outlooks...');
+    return fetchCategoricalOutlooks(
+        day => `${getSpcBase()}/products/outlook/day${day}otlk_cat.nolyr.geojson`,
+        'SPC convective outlook',
+        client
+    );
+}
+
+function fetchExcessiveRainfallOutlooks(client = createHttpClient()) {
+    console.log('Fetching WPC excessive rainfall outlooks...');
+    return fetchCategoricalOutlooks(
+        day => `${getWpcBase()}/exper/eromap/geojson/Day${day}_Latest.geojson`,
+        'WPC excessive rainfall outlook',
+        client
+    );
+}
+
+function getSpcCategory(feature) {
+    return SPC_CATEGORIES[String(feature.properties?.LABEL || '').toUpperCase()] || null;
+}
+
+function getEroCategory(feature) {
+    const props = feature.properties || {};
+    const text = [props.OUTLOOK, props.outlook, props.CATEGORY, props.LABEL]
+        .filter(Boolean)
+        .join(' ');
+    const match = text.match(/\b(Marginal|Slight|Moderate|High)\b/i);
+    if (!match) {
+        return null;
+    }
+    
+    const key = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
+    return ERO_CATEGORIES[key];
+}
+
+// Highest category whose polygon contains any of the state's county centroids
+function highestCategoryForCounties(features, counties, getCategory) {
+    let highest = null;
+    
+    features.forEach(feature => {
+        const category = getCategory(feature);
+        if (!category || (highest && highest.rank >= category.rank)) {
+            return;
+        }
+        
+        const inside = counties.filter(county => pointInGeometry(county.point, feature.geometry));
+        if (inside.length > 0) {
+            highest = { ...category, counties: inside.length };
+        }
+    });
+    
+    return highest;
+}
+
+// null past day 3, an explicit "unavailable" when that day's product failed, and rank 0 for no risk
+function rateDay(dayIndex, features, counties, getCategory) {
+    if (dayIndex >= CATEGORICAL_OUTLOOK_DAYS) {
+        return null;
+    }
+    if (!features) {
+        return { rank: null, label: 'Unavailable' };
+    }
+    
+    return highestCategoryForCounties(features, counties, getCategory) || { rank: 0, label: 'No risk' };
+}
+
+// Local calendar dates for day 1..N in the state's time zone
+function getOutlookDates(now, timeZone) {
+    const format = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    return Array.from({ length: FORECAST_DAYS }, (_, i) => format.format(new Date(now.getTime() + i * 86400000)));
+}
+
+async function getStateOutlook(stateConfig, spcOutlooks, eroOutlooks, now, client = createHttpClient()) {
+    const points = stateConfig.forecastPoints || [];
+    const results = await Promise.all(points.map(point => fetchPointForecast(point, client).catch(error => {
+        console.log(`Gridpoint forecast failed for ${point.name}:`, error.message);
+        return null;
+    })));
+    
+    // Keep the configured point order whatever order the requests finished in
+    const periodsByPoint = points
+        .map((point, i) => ({ point, periods: results[i] }))
+        .filter(({ periods }) => periods !== null);
+    const failedPoints = points.filter((point, i) => results[i] === null).map(point => point.name);
+    
+    const forecastDays = summarizeForecastPeriods(periodsByPoint);
+    const counties = getStateCountyCentroids(stateConfig.fips);
+    
+    // Convective/rainfall day N is taken to be the Nth local date starting today
+    const days = getOutlookDates(now, stateConfig.timeZone).map((date, i) => {
+        const forecast = forecastDays.get(date);
+        const spcFeatures = spcOutlooks[i];
+        const eroFeatures = eroOutlooks[i];
+        
+        return {
+            date,
+            hazards: forecast ? [...forecast.hazards.entries()].map(([hazard, points]) => ({ hazard, points: [...points] })) : [],
+            maxPrecipChance: forecast ? forecast.maxPrecipChance : null,
+            convectiveOutlook: rateDay(i, spcFeatures, counties, getSpcCategory),
+            excessiveRainfall: rateDay(i, eroFeatures, counties, getEroCategory)
+        };
+    });
+    
+    const anyForecast = periodsByPoint.length > 0;
+    const anyOutlook = spcOutlooks.some(Boolean) || eroOutlooks.some(Boolean);
+    
+    return {
+        status: anyForecast && failedPoints.length === 0 && spcOutlooks.every(Boolean) && eroOutlooks.every(Boolean) ? 'live'
+            : anyForecast || anyOutlook ? 'partial'
+            : 'unavailable',
+        forecastPoints: periodsByPoint.map(({ point }) => point.name),
+        failedPoints,
+        days
+    };
+}
+
+// Outlook per state name. Categorical products are fetched once and shared across states.
+async function fetchFiveDayOutlook(states, now = new Date(), client = createHttpClient()) {
+    const [spcOutlooks, eroOutlooks] = await Promise.all([
+        fetchSpcOutlooks(client),
+        fetchExcessiveRainfallOutlooks(client)
+    ]);
+    const entries = Object.entries(states);
+    
+    const results = await Promise.all(entries.map(([state, stateConfig]) => {
+        console.log(`Fetching 5-day outlook for ${state}...`);
+        return getStateOutlook(stateConfig, spcOutlooks, eroOutlooks, now, client);
+    }));
+    
+    const outlooks = {};
+    entries.forEach(([state], i) => {
+        outlooks[state] = results[i];
+    });
+    return outlooks;
+}
+
+module.exports = {
+    SPC_CATEGORIES,
+    ERO_CATEGORIES,
+    fetchPointForecast,
+    getPeriodHazards,
+    summarizeForecastPeriods,
+    fetchSpcOutlooks,
+    fetchExcessiveRainfallOutlooks,
+    getSpcCategory,
+    getEroCategory,
+    highestCategoryForCounties,
+    rateDay,
+    getOutlookDates,
+    getStateOutlook,
+    fetchFiveDayOutlook
+};
@@ -0,0 +1,264 @@
+// lib/recommendations.js
+// Recommendations driven by the hazards actually in the report. Each rule in
+// config/recommendations.json matches one kind of trigger:
+//   alert     - active NWS alerts, by events (exact names), hazards (hazard categories from
+//               lib/hazards.js) and levels (Warning, Watch, ...); every listed filter must match
+//   storm     - active NHC systems, by classifications (TS, HU, MH, ...)
+//   formation - TWO disturbances whose chance for period (48hour or 7day) reaches thresholdPercent
+//   outlook   - a state's day 1-3 convectiveOutlook (SPC) or excessiveRainfall (WPC) at or above
+//               the atLeast category label
+// A rule that fires adds its public recommendation under its priority (immediate or monitoring)
+// and its Red Cross actions for the affected chapters, each citing what triggered it.
+// Sections with nothing triggered show the file's quiet list instead.
+// A rule's translations.<language> ({ recommendation, actions }) and quiet.translations.<language>
+// ({ immediate, monitoring }) word it for that language's report; citations use lib/i18n.js.
+const fs = require('fs');
+const path = require('path');
+const { getProductLevel, getLevelName, getHazardCategory } = require('./hazards');
+const { SPC_CATEGORIES, ERO_CATEGORIES } = require('./outlook');
+const { mapAlertsToChapters } = require('./chapters');
+const { createI18n } = require('./i18n');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'recommendations.json');
+const RULE_TYPES = ['alert', 'storm', 'formation', 'outlook'];
+const PRIORITIES = ['immediate', 'monitoring'];
+
+// Product names in citations are recommendations.<product> in the message catalogs
+const OUTLOOK_PRODUCTS = {
+    convectiveOutlook: { categories: SPC_CATEGORIES },
+    excessiveRainfall: { categories: ERO_CATEGORIES }
+};
+
+const FORMATION_PERIODS = ['48hour', '7day'];
+
+// "Enhanced Risk" -> its rank in the product's scale, or null if the product has no such category
+function getOutlookRank(product, label) {
+    const category = Object.values(OUTLOOK_PRODUCTS[product]?.categories || {}).find(entry => entry.label === label);
+    return category ? category.rank : null;
+}
+
+// Why a rule can't be used, or null when it can
+function validateRule(rule) {
+    if (!rule.id) {
+        return 'missing id';
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+        return `type must be one of ${RULE_TYPES.join(', ')}`;
+    }
+    if (!PRIORITIES.includes(rule.priority)) {
+        return `priority must be one of ${PRIORITIES.join(', ')}`;
+    }
+    if (!rule.recommendation && !(rule.actions || []).length) {
+        return 'needs a recommendation or actions';
+    }
+    if (rule.type === 'formation' && (!FORMATION_PERIODS.includes(rule.period) || typeof rule.thresholdPercent !== 'number')) {
+        return `formation rules need a period (${FORMATION_PERIODS.join(', ')}) and a thresholdPercent`;
+    }
+    if (rule.type === 'outlook' && getOutlookRank(rule.product, rule.atLeast) === null) {
+        return `outlook rules need a product (${Object.keys(OUTLOOK_PRODUCTS).join(', ')}) and an atLeast category of that product`;
+    }
+    return null;
+}
+
+// Rules with mistakes are logged and skipped so one bad edit doesn't take the report down
+function loadRecommendationRules(rulesPath = DEFAULT_RULES_PATH) {
+    const config = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    
+    const rules = (config.rules || []).filter(rule => {
+        const problem = validateRule(rule);
+        if (problem) {
+            console.log(`Skipping recommendation rule ${rule.id || '(no id)'}: ${problem}`);
+        }
+        return !problem;
+    });
+    
+    return { rules, quiet: { immediate: [], monitoring: [], ...config.quiet } };
+}
+
+function alertMatchesRule(alert, rule) {
+    if (rule.events && !rule.events.includes(alert.event)) {
+        return false;
+    }
+    if (rule.hazards && !rule.hazards.includes(getHazardCategory(alert))) {
+        return false;
+    }
+    if (rule.levels && !rule.levels.includes(getLevelName(getProductLevel(alert)))) {
+        return false;
+    }
+    return true;
+}
+
+// "A; B; C; D; E" -> "A; B; C and 2 more", so a citation stays one line
+function shortenAreaDesc(areaDesc, i18n) {
+    const areas = (areaDesc || '').split(/;\s*/).filter(Boolean);
+    return areas.length > 3 ? areas.slice(0, 3).join('; ') + i18n.t('list.more', { count: areas.length - 3 }) : areas.join('; ');
+}
+
+function formatOutlookDate(date, i18n) {
+    return i18n.formatDate(`${date}T12:00:00Z`, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+// Everything in the report that sets the rule off: [{ citation, chapters (id -> name), state }]
+function findTriggers(rule, report, context, i18n = createI18n()) {
+    if (rule.type === 'alert') {
+        return report.states.flatMap(stateReport => stateReport.alerts
+            .filter(alert => alertMatchesRule(alert, rule))
+            .map(alert => ({
+                citation: {
+                    id: alert.id || null,
+                    label: i18n.t('recommendations.citation', {
+                        event: alert.translations?.[i18n.language]?.event || i18n.term(alert.event),
+                        state: i18n.term(stateReport.name),
+                        areas: shortenAreaDesc(alert.areaDesc, i18n)
+                    }),
+                    url: alert.url || null
+                },
+                chapters: context.alertChapters.get(alert.id) || new Map(),
+                state: i18n.term(stateReport.name)
+            })));
+    }
+    
+    const tropical = report.tropical || { storms: [], disturbances: [], secarAlerts: [] };
+    
+    if (rule.type === 'storm') {
+        return tropical.storms
+            .filter(storm => !rule.classifications || rule.classifications.includes(storm.classification))
+            .map(storm => {
+                // Chapters under this storm's tropical watches and warnings, if any yet
+                const chapters = new Map();
+                (tropical.secarAlerts || [])
+                    .filter(alert => alert.stormId === storm.id)
+                    .forEach(alert => (context.alertChapters.get(alert.id) || new Map()).forEach((name, id) => chapters.set(id, name)));
+                
+                return {
+                    citation: {
+                        id: storm.id,
+                        label: i18n.t('recommendations.storm', { classification: i18n.term(storm.classificationLabel), name: storm.name, id: storm.id }),
+                        url: storm.advisoryUrl || null
+                    },
+                    chapters,
+                    state: null
+                };
+            });
+    }
+    
+    if (rule.type === 'formation') {
+        return tropical.disturbances
+            .filter(disturbance => (disturbance[`chance${rule.period}`]?.percent ?? -1) >= rule.thresholdPercent)
+            .map(disturbance => ({
+                citation: {
+                    id: null,
+                    label: i18n.t('recommendations.formation', {
+                        location: disturbance.location,
+                        percent: disturbance[`chance${rule.period}`].percent,
+                        period: i18n.t(`recommendations.${rule.period}`)
+                    }),
+                    url: null
+                },
+                chapters: new Map(),
+                state: null
+            }));
+    }
+    
+    // Outlooks: one trigger per state, for its worst day at or above the threshold
+    const minRank = getOutlookRank(rule.product, rule.atLeast);
+    return report.states.flatMap(stateReport => {
+        const days = (stateReport.outlook?.days || [])
+            .filter(day => day[rule.product] && day[rule.product].rank >= minRank)
+            .sort((a, b) => b[rule.product].rank - a[rule.product].rank);
+        if (days.length === 0) {
+            return [];
+        }
+        
+        const chapters = new Map(context.regions
+            .flatMap(region => region.chapters)
+            .filter(chapter => chapter.state === stateReport.code)
+            .map(chapter => [chapter.id, chapter.name]));
+        return [{
+            citation: {
+                id: null,
+                label: i18n.t('recommendations.outlook', {
+                    label: i18n.term(days[0][rule.product].label),
+                    product: i18n.t(`recommendations.${rule.product}`),
+                    state: i18n.term(stateReport.name),
+                    date: formatOutlookDate(days[0].date, i18n)
+                }),
+                url: null
+            },
+            chapters,
+            state: i18n.term(stateReport.name)
+        }];
+    });
+}
+
+// "A, B and C"
+function joinNames(names, i18n) {
+    return names.length > 1 ? names.slice(0, -1).join(', ') + i18n.t('list.and') + names[names.length - 1] : names.join('');
+}
+
+// regions is the SECAR config's region list, used to find every chapter of a state for outlook rules;
+// i18n (lib/i18n.js) picks the language the recommendations and their citations are worded in
+function buildRecommendations(report, ruleSet, regions = [], i18n = createI18n()) {
+    const context = { alertChapters: mapAlertsToChapters(report), regions };
+    const recommendations = { immediate: [], monitoring: [], operations: [] };
+    
+    ruleSet.rules.forEach(rule => {
+        const triggers = findTriggers(rule, report, context, i18n);
+        if (triggers.length === 0) {
+            return;
+        }
+        
+        // An alert listed under several states is cited once
+        const citations = [];
+        const cited = new Set();
+        triggers.forEach(({ citation }) => {
+            const key = citation.id || citation.label;
+            if (!cited.has(key)) {
+                cited.add(key);
+                citations.push(citation);
+            }
+        });
+        
+        const chapters = new Map();
+        triggers.forEach(trigger => trigger.chapters.forEach((name, id) => chapters.set(id, name)));
+        const states = [...new Set(triggers.map(trigger => trigger.state).filter(Boolean))];
+        const places = chapters.size > 0 ? joinNames([...chapters.values()], i18n)
+            : states.length > 0 ? joinNames(states, i18n)
+            : i18n.t('recommendations.secarChapters');
+        
+        // Untranslated rules keep their own wording
+        const translation = rule.translations?.[i18n.language] || {};
+        const text = translation.recommendation || rule.recommendation;
+        if (text) {
+            recommendations[rule.priority].push({ rule: rule.id, text, citations });
+        }
+        (translation.actions || rule.actions || []).forEach(action => {
+            recommendations.operations.push({
+                rule: rule.id,
+                priority: rule.priority,
+                text: action.replace(/\{chapters\}/g, places),
+                chapters: [...chapters].map(([id, name]) => ({ id, name })),
+                citations
+            });
+        });
+    });
+    
+    PRIORITIES.forEach(priority => {
+        if (recommendations[priority].length === 0) {
+            const quiet = ruleSet.quiet.translations?.[i18n.language]?.[priority] || ruleSet.quiet[priority];
+            recommendations[priority] = quiet.map(text => ({ rule: null, text, citations: [] }));
+        }
+    });
+    // Actions for immediate hazards first; rules keep their file order within a priority
+    recommendations.operations.sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority));
+    
+    return recommendations;
+}
+
+module.exports = {
+    loadRecommendationRules,
+    validateRule,
+    alertMatchesRule,
+    findTriggers,
+    buildRecommendations
+};
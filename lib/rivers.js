@@ -0,0 +1,142 @@
+// lib/rivers.js
+// River gauges from the National Water Prediction Service (NWPS, api.water.noaa.gov): each
+// configured gauge's flood stages, latest observed stage and forecast crest, flagged with the
+// highest flood category (action, minor, moderate, major) it is at or forecast to reach.
+// Gauges are listed per state as riverGauges in config/secar-regions.json, each with the
+// county FIPS it sits in so it is routed to that county's chapter like an alert.
+const { getWaterApiBase } = require('./endpoints');
+const { createHttpClient } = require('./http');
+const { GAUGE, STAGEFLOW } = require('./schemas');
+
+// Lowest first
+const FLOOD_CATEGORIES = ['action', 'minor', 'moderate', 'major'];
+// NWPS fills unset stages with -9999 and missing readings with -999
+const MISSING_VALUE = -999;
+// A reading older than this no longer says where the river is: it is marked stale and
+// left out of the gauge's flood category
+const OBSERVATION_MAX_AGE_HOURS = 12;
+
+function readStage(value) {
+    return typeof value === 'number' && value > MISSING_VALUE ? value : null;
+}
+
+// { action, minor, moderate, major } in the gauge's stage units; null where NWPS sets none
+function getFloodStages(gaugeData) {
+    const categories = gaugeData.flood?.categories || {};
+    return Object.fromEntries(FLOOD_CATEGORIES.map(category => [category, readStage(categories[category]?.stage)]));
+}
+
+// Highest category whose stage the reading reaches, or null below action stage
+function getFloodCategory(stage, stages) {
+    if (stage === null) {
+        return null;
+    }
+    return [...FLOOD_CATEGORIES].reverse().find(category => stages[category] !== null && stage >= stages[category]) || null;
+}
+
+function compareFloodCategory(a, b) {
+    return FLOOD_CATEGORIES.indexOf(a) - FLOOD_CATEGORIES.indexOf(b);
+}
+
+function readSeries(series) {
+    return (series?.data || [])
+        .map(point => ({ stage: readStage(point.primary), time: point.validTime }))
+        .filter(point => point.stage !== null && point.time)
+        .sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+// NWPS's own summary on the gauge record: status.observed is the latest reading and
+// status.forecast the forecast crest. Null when NWPS leaves it empty.
+function readStatus(status) {
+    const stage = readStage(status?.primary);
+    return stage !== null && !Number.isNaN(Date.parse(status.validTime)) ? { stage, time: status.validTime } : null;
+}
+
+// The gauge as the report carries it. Throws when NWPS answered with something that isn't
+// this gauge, so the caller falls back as it would for a failed request. The stageflow
+// series stand in for the NWPS status fields when the gauge record has none.
+function summarizeGauge(gauge, gaugeData, stageflow, now = new Date()) {
+    if (!gaugeData || gaugeData.lid !== gauge.lid) {
+        throw new Error(`Response is not gauge ${gauge.lid}`);
+    }
+    
+    const stages = getFloodStages(gaugeData);
+    const observed = readStatus(gaugeData.status?.observed) || readSeries(stageflow?.observed).pop() || null;
+    // The first of equal highs is when the river is forecast to crest
+    const crest = readStatus(gaugeData.status?.forecast) ||
+        readSeries(stageflow?.forecast).reduce((highest, point) => (!highest || point.stage > highest.stage ? point : highest), null);
+    
+    const stale = observed !== null && (now - new Date(observed.time)) / 3600000 > OBSERVATION_MAX_AGE_HOURS;
+    const observedCategory = observed && getFloodCategory(observed.stage, stages);
+    const crestCategory = crest && getFloodCategory(crest.stage, stages);
+    
+    return {
+        lid: gauge.lid,
+        name: gauge.name || gaugeData.name,
+        fips: gauge.fips,
+        units: gaugeData.flood?.stageUnits || stageflow?.observed?.primaryUnits || 'ft',
+        stages,
+        observed: observed ? { ...observed, category: observedCategory, stale } : null,
+        crest: crest ? { ...crest, category: crestCategory } : null,
+        forecastIssuedAt: stageflow?.forecast?.issuedTime || null,
+        category: [stale ? null : observedCategory, crestCategory].filter(Boolean).sort(compareFloodCategory).pop() || null,
+        url: `https://water.noaa.gov/gauges/${gauge.lid.toLowerCase()}`
+    };
+}
+
+async function fetchGauge(gauge, client = createHttpClient(), now = new Date()) {
+    const base = `${getWaterApiBase()}/gauges/${gauge.lid}`;
+    const [gaugeData, stageflow] = await Promise.all([
+        client.getJson(base, { accept: 'application/json', schema: GAUGE }),
+        client.getJson(`${base}/stageflow`, { accept: 'application/json', schema: STAGEFLOW })
+    ]);
+    return summarizeGauge(gauge, gaugeData, stageflow, now);
+}
+
+// cache holds each gauge's last good summary by LID; one older than maxAgeHours is not used
+async function getGaugeConditions(gauge, cache, client, now, maxAgeHours) {
+    try {
+        const summary = { status: 'live', fetchedAt: now.toISOString(), ...await fetchGauge(gauge, client, now) };
+        cache[gauge.lid] = summary;
+        return summary;
+    } catch (error) {
+        console.log(`River gauge ${gauge.lid} failed (${error.message}), checking cache`);
+    }
+    
+    const cached = cache[gauge.lid];
+    const ageHours = cached ? (now - new Date(cached.fetchedAt)) / 3600000 : Infinity;
+    if (!(ageHours <= maxAgeHours)) {
+        console.log(`No cached data within ${maxAgeHours} hours for gauge ${gauge.lid}, marking unavailable`);
+        return { status: 'unavailable', lid: gauge.lid, name: gauge.name || gauge.lid, fips: gauge.fips };
+    }
+    
+    console.log(`Using cached data for gauge ${gauge.lid} from ${cached.fetchedAt}`);
+    return { ...cached, status: 'cached' };
+}
+
+// gauges are { lid, name, fips, state } entries; the result keeps their order
+async function fetchRiverGauges(gauges, { cache = {}, client = createHttpClient(), now = new Date(), maxAgeHours = 12 } = {}) {
+    console.log(`Fetching ${gauges.length} river gauges...`);
+    const results = await Promise.all(gauges.map(async gauge => ({
+        state: gauge.state,
+        ...await getGaugeConditions(gauge, cache, client, now, maxAgeHours)
+    })));
+    
+    return {
+        status: results.every(result => result.status === 'live') ? 'live'
+            : results.some(result => result.status !== 'unavailable') ? 'partial'
+            : 'unavailable',
+        gauges: results
+    };
+}
+
+module.exports = {
+    FLOOD_CATEGORIES,
+    OBSERVATION_MAX_AGE_HOURS,
+    getFloodStages,
+    getFloodCategory,
+    compareFloodCategory,
+    summarizeGauge,
+    fetchGauge,
+    fetchRiverGauges
+};
@@ -0,0 +1,274 @@
+// lib/schemas.js
+// What the report expects from each upstream JSON response (checked by lib/validate.js when a
+// schema is passed to the HTTP client's getJson). Only the fields the report reads are
+// described; anything else in a response is ignored. Lists marked quarantine lose the items
+// that don't fit, which are logged, rather than failing the whole response.
+
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const WEB_URL = { type: 'string', format: 'url' };
+const TEXT = { type: 'string' };
+const TEXT_LIST = { type: 'array', items: TEXT };
+
+const GEOMETRY = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: TEXT,
+        coordinates: { type: 'array' }
+    }
+};
+
+// /alerts?area=XX. An alert without an expiry time can't be shown as active or timed, so it is
+// quarantined along with anything else missing its event, area or id.
+const ALERTS = {
+    type: 'object',
+    required: ['features'],
+    properties: {
+        features: {
+            type: 'array',
+            quarantine: true,
+            items: {
+                type: 'object',
+                required: ['properties'],
+                properties: {
+                    id: TEXT,
+                    geometry: GEOMETRY,
+                    properties: {
+                        type: 'object',
+                        required: ['id', 'event', 'expires', 'areaDesc'],
+                        properties: {
+                            '@id': WEB_URL,
+                            id: { type: 'string', minLength: 1 },
+                            event: { type: 'string', minLength: 1 },
+                            areaDesc: TEXT,
+                            sent: DATE_TIME,
+                            effective: DATE_TIME,
+                            onset: DATE_TIME,
+                            expires: DATE_TIME,
+                            ends: DATE_TIME,
+                            severity: TEXT,
+                            certainty: TEXT,
+                            urgency: TEXT,
+                            senderName: TEXT,
+                            headline: TEXT,
+                            description: TEXT,
+                            instruction: TEXT,
+                            language: TEXT,
+                            geocode: {
+                                type: 'object',
+                                properties: {
+                                    UGC: { type: 'array', items: { type: 'string', pattern: '^[A-Z]{2}[CZ]\\d{3}$' } },
+                                    SAME: { type: 'array', items: { type: 'string', pattern: '^\\d{6}$' } }
+                                }
+                            },
+                            references: {
+                                type: 'array',
+                                items: { type: 'object', properties: { identifier: TEXT } }
+                            },
+                            parameters: {
+                                type: 'object',
+                                properties: {
+                                    VTEC: TEXT_LIST,
+                                    NWSheadline: TEXT_LIST
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// /products/types/XXX: newest first
+const PRODUCT_LIST = {
+    type: 'object',
+    required: ['@graph'],
+    properties: {
+        '@graph': {
+            type: 'array',
+            quarantine: true,
+            items: {
+                type: 'object',
+                required: ['@id'],
+                properties: {
+                    '@id': WEB_URL,
+                    wmoCollectiveId: TEXT
+                }
+            }
+        }
+    }
+};
+
+// /products/{id}
+const PRODUCT = {
+    type: 'object',
+    required: ['productText'],
+    properties: {
+        productText: TEXT
+    }
+};
+
+// NHC CurrentStorms.json; NHC sends intensity and pressure as strings. Classifications run to
+// three letters (PTC, STS, STD); any not in update-weather.js's list are shown as NHC sends them.
+const CURRENT_STORMS = {
+    type: 'object',
+    properties: {
+        activeStorms: {
+            type: 'array',
+            quarantine: true,
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'classification'],
+                properties: {
+                    id: { type: 'string', pattern: '^[a-z]{2}\\d{6}$' },
+                    name: { type: 'string', minLength: 1 },
+                    classification: { type: 'string', pattern: '^[A-Z]{2,3}$' },
+                    intensity: { type: ['string', 'number'] },
+                    pressure: { type: ['string', 'number'] },
+                    latitude: TEXT,
+                    longitude: TEXT,
+                    movementDir: { type: ['number', 'string'] },
+                    movementSpeed: { type: ['number', 'string'] },
+                    lastUpdate: DATE_TIME,
+                    publicAdvisory: {
+                        type: 'object',
+                        properties: {
+                            advNum: { type: ['string', 'number'] },
+                            issuance: DATE_TIME,
+                            url: WEB_URL
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// /points/{lat},{lon}
+const POINT = {
+    type: 'object',
+    required: ['properties'],
+    properties: {
+        properties: {
+            type: 'object',
+            required: ['forecast'],
+            properties: {
+                forecast: WEB_URL
+            }
+        }
+    }
+};
+
+// /gridpoints/{wfo}/{x},{y}/forecast
+const GRIDPOINT_FORECAST = {
+    type: 'object',
+    required: ['properties'],
+    properties: {
+        properties: {
+            type: 'object',
+            required: ['periods'],
+            properties: {
+                periods: {
+                    type: 'array',
+                    quarantine: true,
+                    items: {
+                        type: 'object',
+                        required: ['startTime', 'isDaytime', 'temperature'],
+                        properties: {
+                            startTime: DATE_TIME,
+                            isDaytime: { type: 'boolean' },
+                            temperature: { type: 'number' },
+                            temperatureUnit: { type: 'string', enum: ['F', 'C'] },
+                            shortForecast: TEXT,
+                            detailedForecast: TEXT,
+                            probabilityOfPrecipitation: {
+                                type: 'object',
+                                properties: {
+                                    value: { type: 'number' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// SPC and WPC day 1-3 outlook GeoJSON
+const OUTLOOK_FEATURES = {
+    type: 'object',
+    required: ['features'],
+    properties: {
+        features: {
+            type: 'array',
+            quarantine: true,
+            items: {
+                type: 'object',
+                properties: {
+                    geometry: GEOMETRY,
+                    properties: { type: 'object' }
+                }
+            }
+        }
+    }
+};
+
+// NWPS /gauges/{lid}
+const GAUGE = {
+    type: 'object',
+    required: ['lid'],
+    properties: {
+        lid: { type: 'string', pattern: '^[A-Z0-9]{5}$' },
+        name: TEXT,
+        flood: {
+            type: 'object',
+            properties: {
+                stageUnits: TEXT,
+                categories: { type: 'object' }
+            }
+        }
+    }
+};
+
+const STAGEFLOW_SERIES = {
+    type: 'object',
+    properties: {
+        issuedTime: DATE_TIME,
+        primaryUnits: TEXT,
+        data: {
+            type: 'array',
+            quarantine: true,
+            items: {
+                type: 'object',
+                required: ['validTime', 'primary'],
+                properties: {
+                    validTime: DATE_TIME,
+                    primary: { type: 'number' }
+                }
+            }
+        }
+    }
+};
+
+// NWPS /gauges/{lid}/stageflow
+const STAGEFLOW = {
+    type: 'object',
+    properties: {
+        observed: STAGEFLOW_SERIES,
+        forecast: STAGEFLOW_SERIES
+    }
+};
+
+module.exports = {
+    ALERTS,
+    PRODUCT_LIST,
+    PRODUCT,
+    CURRENT_STORMS,
+    POINT,
+    GRIDPOINT_FORECAST,
+    OUTLOOK_FEATURES,
+    GAUGE,
+    STAGEFLOW
+};
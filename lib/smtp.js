@@ -0,0 +1,210 @@
+// lib/smtp.js
+// Minimal SMTP client for notification email: EHLO, optional STARTTLS or implicit TLS,
+// AUTH LOGIN, and a single plain-text/HTML message. No external dependencies.
+// Credentials only go out over TLS, unless the server is on this machine or allowInsecure is set.
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const SMTP_TIMEOUT_MS = 30000;
+
+// Collects SMTP replies (including multi-line "250-..." continuations) from a socket
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiters = [];
+    let failure = null;
+    
+    function deliver(reply) {
+        if (waiters.length > 0) {
+            waiters.shift().resolve(reply);
+        } else {
+            replies.push(reply);
+        }
+    }
+    
+    function onData(chunk) {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                deliver({ code: parseInt(line.slice(0, 3), 10), lines });
+                lines = [];
+            }
+        }
+    }
+    
+    function onError(error) {
+        failure = error;
+        waiters.splice(0).forEach(waiter => waiter.reject(error));
+    }
+    
+    // A server that hangs up cleanly sends no error; without this a pending reply would wait forever
+    function onClose() {
+        if (!failure) {
+            onError(new Error('SMTP server closed the connection'));
+        }
+    }
+    
+    let current = null;
+    
+    function attach(newSocket) {
+        if (current) {
+            current.removeListener('data', onData);
+            current.removeListener('error', onError);
+            current.removeListener('end', onClose);
+            current.removeListener('close', onClose);
+        }
+        current = newSocket;
+        current.on('data', onData);
+        current.on('error', onError);
+        current.on('end', onClose);
+        current.on('close', onClose);
+    }
+    
+    attach(socket);
+    
+    return {
+        attach,
+        next() {
+            if (replies.length > 0) {
+                return Promise.resolve(replies.shift());
+            }
+            if (failure) {
+                return Promise.reject(failure);
+            }
+            return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+        }
+    };
+}
+
+function connect({ host, port, secure }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+            : net.connect({ host, port }, () => resolve(socket));
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.once('error', reject);
+    });
+}
+
+// localhost, 127.0.0.0/8 and ::1: credentials sent there never cross the network
+function isLoopbackHost(host) {
+    const name = String(host).toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    return name === 'localhost' || name === '::1' || /^(::ffff:)?127\.\d+\.\d+\.\d+$/.test(name);
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text, html, date = new Date() }) {
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        'MIME-Version: 1.0'
+    ];
+    
+    let body;
+    if (html) {
+        const boundary = `secar-${date.getTime().toString(36)}`;
+        headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+        body = [
+            `--${boundary}`,
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit',
+            '',
+            text,
+            `--${boundary}`,
+            'Content-Type: text/html; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit',
+            '',
+            html,
+            `--${boundary}--`
+        ].join('\r\n');
+    } else {
+        headers.push('Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: 8bit');
+        body = text;
+    }
+    
+    // Normalize line endings and dot-stuff lines that begin with a period
+    return `${headers.join('\r\n')}\r\n\r\n${body}`
+        .replace(/\r?\n/g, '\r\n')
+        .replace(/^\./gm, '..');
+}
+
+async function sendMail(options) {
+    const { host, port = 587, secure = false, allowInsecure = false, username, password, from, to } = options;
+    let socket = await connect({ host, port, secure });
+    const reader = createReplyReader(socket);
+    
+    async function expect(codes) {
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) {
+            throw new Error(`SMTP ${reply.code}: ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+    
+    async function command(line, codes) {
+        socket.write(`${line}\r\n`);
+        return expect(codes);
+    }
+    
+    try {
+        await expect([220]);
+        let ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        let encrypted = secure;
+        
+        if (!secure && ehlo.lines.some(line => /STARTTLS/i.test(line))) {
+            await command('STARTTLS', [220]);
+            socket = await new Promise((resolve, reject) => {
+                const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+                upgraded.once('error', reject);
+            });
+            reader.attach(socket);
+            encrypted = true;
+            ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        }
+        
+        if (username) {
+            if (!encrypted && !allowInsecure && !isLoopbackHost(host)) {
+                throw new Error(`${host} offers no STARTTLS; refusing to send SMTP credentials unencrypted`);
+            }
+            await command('AUTH LOGIN', [334]);
+            await command(Buffer.from(username).toString('base64'), [334]);
+            await command(Buffer.from(password || '').toString('base64'), [235]);
+        }
+        
+        await command(`MAIL FROM:<${extractAddress(from)}>`, [250]);
+        for (const recipient of to) {
+            await command(`RCPT TO:<${extractAddress(recipient)}>`, [250, 251]);
+        }
+        await command('DATA', [354]);
+        await command(`${buildMessage(options)}\r\n.`, [250]);
+        await command('QUIT', [221]);
+    } finally {
+        socket.end();
+    }
+}
+
+// "SECAR Weather <weather@example.org>" -> "weather@example.org"
+function extractAddress(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return match ? match[1] : String(value).trim();
+}
+
+module.exports = {
+    buildMessage,
+    extractAddress,
+    isLoopbackHost,
+    sendMail
+};
@@ -0,0 +1,135 @@
+// lib/validate.js
+// Checks upstream JSON against the response schemas in lib/schemas.js before anything reads it.
+// Schemas use a small subset of JSON Schema: type (one name or a list; 'integer' included),
+// required, properties, items, enum, pattern, minLength and format ('date-time' or 'url',
+// meaning an absolute http/https URL). One extension: an array schema with quarantine: true
+// drops the items that fail and records them instead of failing the whole response, so one
+// malformed alert or forecast period doesn't cost the rest of the feed.
+// A property that is null counts as absent: NWS sends null for fields it has no value for.
+
+const FORMATS = {
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value)),
+    url: value => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+function getTypeName(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+        return String(value);
+    }
+    return typeof value;
+}
+
+function hasType(value, type) {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    if (type === 'number') {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    return getTypeName(value) === type;
+}
+
+function joinPath(at, key) {
+    return at ? `${at}.${key}` : key;
+}
+
+// { value, problems }: value is the input with quarantined items removed (the input itself is
+// left alone), problems are "path: message" strings. Quarantined items are appended to
+// quarantined as { at, problems, item }.
+function validate(value, schema, at = '', quarantined = []) {
+    const where = at || 'response';
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => hasType(value, type))) {
+        return { value, problems: [`${where}: expected ${types.join(' or ')}, got ${getTypeName(value)}`] };
+    }
+    
+    const problems = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+    }
+    
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            problems.push(`${where}: shorter than ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            problems.push(`${where}: does not match ${schema.pattern}`);
+        }
+        if (schema.format && !FORMATS[schema.format](value)) {
+            problems.push(`${where}: ${JSON.stringify(value.slice(0, 40))} is not a valid ${schema.format}`);
+        }
+    }
+    
+    if (getTypeName(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                problems.push(`${joinPath(at, key)}: is required`);
+            }
+        });
+        
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] === undefined || value[key] === null) {
+                return;
+            }
+            const result = validate(value[key], propertySchema, joinPath(at, key), quarantined);
+            problems.push(...result.problems);
+            if (result.value !== value[key]) {
+                value = { ...value, [key]: result.value };
+            }
+        });
+    }
+    
+    if (Array.isArray(value) && schema.items) {
+        let changed = false;
+        const kept = [];
+        value.forEach((item, index) => {
+            // Items quarantined inside an item only count if the item itself is kept
+            const itemQuarantine = [];
+            const result = validate(item, schema.items, `${at}[${index}]`, itemQuarantine);
+            
+            if (result.problems.length > 0 && schema.quarantine) {
+                quarantined.push({ at: `${at}[${index}]`, problems: result.problems, item });
+                changed = true;
+                return;
+            }
+            problems.push(...result.problems);
+            quarantined.push(...itemQuarantine);
+            kept.push(result.value);
+            changed = changed || result.value !== item;
+        });
+        if (changed) {
+            value = kept;
+        }
+    }
+    
+    return { value, problems };
+}
+
+// The response with any failing quarantined items removed, and those items. Throws when the
+// response itself doesn't fit, which callers treat like a failed request.
+function validateResponse(data, schema) {
+    const quarantined = [];
+    const { value, problems } = validate(data, schema, '', quarantined);
+    if (problems.length > 0) {
+        const more = problems.length > 3 ? ` (and ${problems.length - 3} more)` : '';
+        throw new Error(`Invalid response: ${problems.slice(0, 3).join('; ')}${more}`);
+    }
+    return { value, quarantined };
+}
+
+module.exports = {
+    validate,
+    validateResponse
+};
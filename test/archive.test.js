@@ -0,0 +1,73 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const archive = require('../lib/archive.js');
+
+const PAGE = '<html><body>\n    <a class="btn" href="history.html">History</a><div>report</div></body></html>';
+const PAGES = { en: PAGE, es: PAGE.replace('History', 'Historial') };
+
+function report(generatedAt, alerts = []) {
+    return {
+        generatedAt,
+        states: [{ name: 'Alabama', code: 'AL', status: 'live', alerts }],
+        tropical: { storms: [] }
+    };
+}
+
+let archiveDir;
+
+before(() => {
+    archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secar-archive-'));
+});
+
+after(() => {
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+});
+
+describe('archiveReport', () => {
+    test('writes dated JSON and HTML snapshots and indexes them newest first', () => {
+        const now = new Date('2099-04-03T00:00:00Z');
+        archive.archiveReport(report('2099-04-02T12:00:00.000Z'), PAGES, { archiveDir, now });
+        const snapshot = archive.archiveReport(
+            report('2099-04-02T18:05:00.000Z', [{ id: 'tor', event: 'Tornado Warning' }, { id: 'ffa', event: 'Flood Watch' }]),
+            PAGES, { archiveDir, now });
+        
+        assert.equal(snapshot.id, '2099-04-02T1805Z');
+        assert.equal(snapshot.json, '2099-04-02/2099-04-02T1805Z.json');
+        assert.equal(snapshot.html, '2099-04-02/2099-04-02T1805Z.html');
+        assert.deepEqual(snapshot.translations, { es: '2099-04-02/2099-04-02T1805Z.es.html' });
+        assert.equal(snapshot.highestLevel, 'Warning');
+        assert.deepEqual(snapshot.states, [{ code: 'AL', status: 'live', alertCount: 2, highestLevel: 'Warning' }]);
+        
+        const saved = JSON.parse(fs.readFileSync(path.join(archiveDir, snapshot.json), 'utf8'));
+        assert.equal(saved.generatedAt, '2099-04-02T18:05:00.000Z');
+        
+        const html = fs.readFileSync(path.join(archiveDir, snapshot.html), 'utf8');
+        assert.match(html, /<body data-archived="2099-04-02T18:05:00.000Z" data-snapshot="2099-04-02T1805Z">/);
+        assert.match(html, /Archived report generated Thursday, April 2, 2099 at 6:05\sPM UTC\./);
+        assert.match(html, /see the <a href="..\/..\/index.html">current report<\/a> or the <a href="..\/..\/history.html">report history<\/a>/);
+        assert.match(html, /href="..\/..\/history.html">History/);
+        
+        // The Spanish page is archived too, with its banner from the Spanish catalog
+        const spanish = fs.readFileSync(path.join(archiveDir, snapshot.translations.es), 'utf8');
+        assert.match(spanish, /Informe archivado generado el jueves, 2 de abril de 2099/);
+        assert.match(spanish, /consulte el <a href="..\/..\/index.es.html">informe actual<\/a>/);
+        assert.match(spanish, /href="..\/..\/history.html">Historial/);
+        
+        assert.deepEqual(archive.loadArchiveIndex(archiveDir).snapshots.map(s => s.id),
+            ['2099-04-02T1805Z', '2099-04-02T1200Z']);
+    });
+    
+    test('replaces a rerun of the same minute and prunes past the retention window', () => {
+        archive.archiveReport(report('2099-04-02T12:00:30.000Z'), PAGES, { archiveDir, now: new Date('2099-04-03T00:00:00Z') });
+        assert.equal(archive.loadArchiveIndex(archiveDir).snapshots.filter(s => s.id === '2099-04-02T1200Z').length, 1);
+        
+        archive.archiveReport(report('2100-06-01T00:00:00.000Z'), PAGES, { archiveDir, now: new Date('2100-06-01T00:00:00Z') });
+        
+        assert.deepEqual(archive.loadArchiveIndex(archiveDir).snapshots.map(s => s.id), ['2100-06-01T0000Z']);
+        assert.equal(fs.existsSync(path.join(archiveDir, '2099-04-02')), false);
+    });
+});
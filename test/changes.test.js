@@ -0,0 +1,96 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const changes = require('../lib/changes.js');
+
+function alert(overrides) {
+    return {
+        id: 'a',
+        event: 'Flood Watch',
+        severity: 'Severe',
+        areaDesc: 'Autauga',
+        ugc: ['ALZ046'],
+        same: ['001001'],
+        references: [],
+        expires: '2099-04-03T12:00:00Z',
+        ...overrides
+    };
+}
+
+function report(generatedAt, stateAlerts, tropical = null, status = 'live') {
+    return {
+        generatedAt,
+        states: [{ name: 'Alabama', status, alerts: stateAlerts }],
+        tropical
+    };
+}
+
+describe('diffStateAlerts', () => {
+    test('classifies new, upgraded, extended and expired alerts', () => {
+        const previous = [
+            alert({ id: 'watch-1', event: 'Tornado Watch', ugc: ['ALC001'] }),
+            alert({ id: 'flood-1' }),
+            alert({ id: 'heat-1', event: 'Heat Advisory', ugc: ['ALZ024'], same: ['001073'], areaDesc: 'Jefferson' })
+        ];
+        const current = [
+            alert({ id: 'tor-1', event: 'Tornado Warning', ugc: ['ALC001'] }),
+            alert({ id: 'flood-2', references: ['flood-1'], expires: '2099-04-04T12:00:00Z' }),
+            alert({ id: 'wind-1', event: 'Wind Advisory', ugc: ['ALZ263'], same: ['001097'], areaDesc: 'Mobile Inland' })
+        ];
+        
+        const result = changes.diffStateAlerts(previous, current);
+        
+        assert.deepEqual(result.upgraded.map(a => [a.event, a.from]), [['Tornado Warning', 'Tornado Watch']]);
+        assert.deepEqual(result.extended.map(a => a.id), ['flood-2']);
+        assert.deepEqual(result.new.map(a => a.event), ['Wind Advisory']);
+        assert.deepEqual(result.expired.map(a => a.event), ['Heat Advisory']);
+        assert.deepEqual(result.downgraded, []);
+    });
+    
+    test('reports a warning replaced by an advisory as a downgrade', () => {
+        const result = changes.diffStateAlerts(
+            [alert({ id: 'w', event: 'Flood Warning' })],
+            [alert({ id: 'adv', event: 'Flood Advisory', references: ['w'] })]
+        );
+        
+        assert.deepEqual(result.downgraded.map(a => a.from), ['Flood Warning']);
+    });
+});
+
+describe('diffReports', () => {
+    test('returns an empty diff without a previous report', () => {
+        const result = changes.diffReports(null, report('2099-04-02T18:00:00Z', []));
+        
+        assert.equal(result.since, null);
+        assert.deepEqual(result.states, []);
+    });
+    
+    test('does not claim expirations when current data is unavailable', () => {
+        const result = changes.diffReports(
+            report('2099-04-02T12:00:00Z', [alert({})]),
+            report('2099-04-02T18:00:00Z', [], null, 'unavailable')
+        );
+        
+        assert.equal(result.since, '2099-04-02T12:00:00Z');
+        assert.deepEqual(result.states, [{ name: 'Alabama', compared: false }]);
+    });
+    
+    test('tracks formation chance changes and new storms', () => {
+        const previousTropical = {
+            storms: [],
+            disturbances: [{ location: 'Central Tropical Atlantic (AL97)', chance48hour: { percent: 40 }, chance7day: { percent: 60 } }]
+        };
+        const currentTropical = {
+            storms: [{ id: 'AL052025', name: 'Erin', classification: 'TS', classificationLabel: 'Tropical Storm' }],
+            disturbances: [{ location: 'Central Tropical Atlantic (AL97)', chance48hour: { percent: 70 }, chance7day: { percent: 90 } }]
+        };
+        
+        const result = changes.diffReports(
+            report('2099-04-02T12:00:00Z', [], previousTropical),
+            report('2099-04-02T18:00:00Z', [], currentTropical)
+        );
+        
+        assert.deepEqual(result.tropical.map(change => change.type), ['new-storm', 'formation-chance']);
+        assert.deepEqual(result.tropical[1].to, { chance48hour: 70, chance7day: 90 });
+    });
+});
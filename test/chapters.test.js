@@ -0,0 +1,23 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mapAlertsToChapters } = require('../lib/chapters.js');
+
+describe('mapAlertsToChapters', () => {
+    test('lists every chapter an alert touches, once each', () => {
+        const report = {
+            regions: [{
+                id: 'alabama',
+                chapters: [
+                    { id: 'central-alabama', name: 'Central Alabama', areas: [{ alertIds: ['a', 'b'] }, { alertIds: ['a'] }] },
+                    { id: 'north-alabama', name: 'North Alabama', areas: [{ alertIds: ['a'] }] }
+                ]
+            }]
+        };
+        const chapters = mapAlertsToChapters(report);
+        
+        assert.deepEqual([...chapters.get('a')], [['central-alabama', 'Central Alabama'], ['north-alabama', 'North Alabama']]);
+        assert.deepEqual([...chapters.get('b')], [['central-alabama', 'Central Alabama']]);
+        assert.equal(mapAlertsToChapters({}).size, 0);
+    });
+});
@@ -0,0 +1,135 @@
+const { test, describe, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const path = require('path');
+
+const { EXIT_CODES, resolveStates, parseCliArgs, getRunStatus } = require('../lib/cli.js');
+const { createFixtureFetch } = require('../lib/fixtures.js');
+const { SECAR_CONFIG, main } = require('../update-weather.js');
+const { FIXTURES_DIR } = require('./support/nws-stand-in.js');
+
+const SCRIPT = path.join(__dirname, '..', 'update-weather.js');
+const AS_OF = '2099-04-02T23:00:00Z';
+
+// Runs the real script; the environment is cleared of stand-in bases so fixtures answer everything
+function runCli(args) {
+    const env = { ...process.env };
+    ['NWS_API_BASE', 'NHC_BASE', 'SPC_BASE', 'WPC_BASE', 'NWPS_BASE'].forEach(name => delete env[name]);
+    
+    return new Promise(resolve => {
+        execFile(process.execPath, [SCRIPT, ...args], { env, timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('parseCliArgs', () => {
+    test('defaults to a live, published, notifying run', () => {
+        const options = parseCliArgs([], SECAR_CONFIG.states);
+        
+        assert.equal(options.dryRun, false);
+        assert.equal(options.states, null);
+        assert.equal(options.outDir, '.');
+        assert.equal(options.language, 'en');
+        assert.equal(options.persist, true);
+        assert.equal(options.notify, true);
+    });
+    
+    test('keeps dry runs, what-ifs and replays away from caches, archive and notifications', () => {
+        ['--dry-run', `--as-of=${AS_OF}`, '--from-fixtures=test/fixtures'].forEach(flag => {
+            const options = parseCliArgs([flag], SECAR_CONFIG.states);
+            assert.equal(options.persist, false, flag);
+            assert.equal(options.notify, false, flag);
+        });
+        assert.equal(parseCliArgs(['--no-notify'], SECAR_CONFIG.states).persist, true);
+    });
+    
+    test('rejects bad formats, dates and unknown flags', () => {
+        assert.throws(() => parseCliArgs(['--dry-run', '--format', 'pdf'], SECAR_CONFIG.states), /--format must be one of html, json, md/);
+        assert.throws(() => parseCliArgs(['--as-of', 'yesterday'], SECAR_CONFIG.states), /not a date/);
+        assert.throws(() => parseCliArgs(['--dry-run', '--lang', 'fr'], SECAR_CONFIG.states), /--lang must be one of en, es/);
+        assert.throws(() => parseCliArgs(['--verbose'], SECAR_CONFIG.states));
+    });
+});
+
+describe('resolveStates', () => {
+    test('accepts codes and names in any case, in configured order', () => {
+        assert.deepEqual(resolveStates('al, Tennessee ,TN', SECAR_CONFIG.states), ['Tennessee', 'Alabama']);
+    });
+    
+    test('names every state it does not know', () => {
+        assert.throws(() => resolveStates('AL,XX,Texas', SECAR_CONFIG.states), /Unknown state\(s\): XX, Texas/);
+    });
+});
+
+describe('getRunStatus', () => {
+    const live = { status: 'live', outlook: { status: 'live' } };
+    
+    test('tells a complete run from a partial or failed one', () => {
+        assert.equal(getRunStatus({ states: [live], tropical: { status: 'live' } }), 'complete');
+        assert.equal(getRunStatus({ states: [live, { status: 'cached', outlook: null }], tropical: { status: 'live' } }), 'partial');
+        assert.equal(getRunStatus({ states: [{ ...live, outlook: { status: 'partial' } }], tropical: { status: 'live' } }), 'partial');
+        assert.equal(getRunStatus({ states: [live], tropical: { status: 'fallback' } }), 'partial');
+        assert.equal(getRunStatus({ states: [live], tropical: { status: 'live' }, rivers: { status: 'partial' } }), 'partial');
+        assert.equal(getRunStatus({ states: [live], tropical: { status: 'live' }, rivers: { status: 'live' } }), 'complete');
+        assert.equal(getRunStatus({ states: [{ status: 'unavailable' }], tropical: { status: 'live' } }), 'failed');
+        assert.equal(getRunStatus({ states: [], tropical: null }), 'failed');
+    });
+});
+
+describe('createFixtureFetch', () => {
+    test('answers by path and query from routes.json, whatever the host', async () => {
+        const fetch = createFixtureFetch(FIXTURES_DIR);
+        
+        const alerts = await (await fetch('https://api.weather.gov/alerts?area=AL')).json();
+        const point = await (await fetch('https://example.test/points/36.16,-86.78')).json();
+        
+        assert.ok(alerts.features.length > 0);
+        assert.equal(point.properties.forecast, 'https://fixtures.invalid/gridpoints/OHX/50,57/forecast');
+    });
+    
+    test('refuses a directory without a routes file', () => {
+        assert.throws(() => createFixtureFetch(path.join(FIXTURES_DIR, '..')), /routes\.json not found/);
+    });
+});
+
+describe('update-weather.js command line', () => {
+    test('prints a replayed report to stdout and exits 0 when every source is live', async () => {
+        const { code, stdout, stderr } = await runCli(['--from-fixtures', FIXTURES_DIR, '--dry-run', '--format', 'json', '--as-of', AS_OF, '--states', 'TN']);
+        
+        assert.equal(code, EXIT_CODES.complete, stderr);
+        const report = JSON.parse(stdout);
+        assert.equal(report.generatedAt, '2099-04-02T23:00:00.000Z');
+        assert.deepEqual(report.states.map(state => state.name), ['Tennessee']);
+        assert.match(stderr, /Run status: complete/);
+    });
+    
+    test('exits 2 when some sources are missing and 64 on bad arguments', async () => {
+        const partial = await runCli(['--from-fixtures', FIXTURES_DIR, '--dry-run', '--format', 'md', '--as-of', AS_OF]);
+        assert.equal(partial.code, EXIT_CODES.partial);
+        assert.match(partial.stdout, /^# SECAR Weather Report/);
+        assert.match(partial.stdout, /\*\*Tornado Warning:\*\*/);
+        
+        const usage = await runCli(['--states', 'Texas']);
+        assert.equal(usage.code, EXIT_CODES.usage);
+        assert.match(usage.stderr, /Unknown state\(s\): Texas[\s\S]*Usage:/);
+        assert.equal(usage.stdout, '');
+    });
+    
+    test('puts console.log back after a dry run in the same process', async () => {
+        const log = console.log;
+        const written = [];
+        mock.method(process.stdout, 'write', chunk => written.push(String(chunk)));
+        mock.method(console, 'error', () => {});
+        
+        try {
+            const code = await main(['--from-fixtures', FIXTURES_DIR, '--dry-run', '--format', 'md', '--as-of', AS_OF, '--states', 'TN']);
+            assert.equal(code, EXIT_CODES.complete);
+        } finally {
+            mock.restoreAll();
+        }
+        
+        assert.equal(console.log, log);
+        assert.match(written.join(''), /^# SECAR Weather Report/);
+    });
+});
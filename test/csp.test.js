@@ -0,0 +1,38 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { getInlineHashes, applyContentSecurityPolicy } = require('../lib/csp.js');
+
+const hash = text => `'sha256-${crypto.createHash('sha256').update(text).digest('base64')}'`;
+
+const PAGE = '<html><head><meta http-equiv="Content-Security-Policy" content=""><style>p { color: red; }</style></head><body>' +
+    '<script type="application/json" id="pageMessages">{"a":1}</script><script>run();</script></body></html>';
+
+describe('content security policy', () => {
+    test('hashes the inline script and style but not JSON blocks', () => {
+        assert.deepEqual(getInlineHashes(PAGE), { scripts: [hash('run();')], styles: [hash('p { color: red; }')] });
+    });
+    
+    test('fills in the page\'s policy meta tag', () => {
+        const html = applyContentSecurityPolicy(PAGE);
+        
+        assert.ok(html.includes(`<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src ${hash('run();')}; ` +
+            `style-src ${hash('p { color: red; }')}; connect-src 'self' https://api.weather.gov; base-uri 'none'; form-action 'none'">`));
+        assert.equal(applyContentSecurityPolicy(html), html);
+    });
+    
+    test('allows no script at all on a page without one', () => {
+        const html = applyContentSecurityPolicy('<head><meta http-equiv="Content-Security-Policy" content=""></head>');
+        assert.match(html, /script-src 'none'; style-src 'none'/);
+    });
+    
+    test('is current in the committed pages', () => {
+        ['index.html', 'index.es.html'].forEach(name => {
+            const html = fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+            assert.equal(applyContentSecurityPolicy(html), html, name);
+        });
+    });
+});
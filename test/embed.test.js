@@ -0,0 +1,74 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const embed = require('../lib/embed.js');
+
+describe('validateOrigin', () => {
+    test('accepts exact https origins and wildcard subdomains', () => {
+        assert.equal(embed.validateOrigin('https://experience.arcgis.com'), null);
+        assert.equal(embed.validateOrigin('https://*.maps.arcgis.com'), null);
+        assert.equal(embed.validateOrigin('http://localhost:3344'), null);
+    });
+    
+    test('rejects "*", paths and plain http', () => {
+        assert.match(embed.validateOrigin('*'), /not "\*"/);
+        assert.match(embed.validateOrigin('https://experience.arcgis.com/'), /no path/);
+        assert.match(embed.validateOrigin('https://experience.arcgis.com/experience/abc'), /no path/);
+        assert.match(embed.validateOrigin('http://experience.arcgis.com'), /must use https/);
+        assert.match(embed.validateOrigin(42), /must be an origin/);
+    });
+});
+
+describe('loadEmbedConfig', () => {
+    let tempDir;
+    
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secar-embed-'));
+        mock.method(console, 'log', () => {});
+    });
+    
+    afterEach(() => {
+        mock.restoreAll();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+    
+    test('keeps the valid origins and logs the rest', () => {
+        const configPath = path.join(tempDir, 'embed.json');
+        fs.writeFileSync(configPath, JSON.stringify({ allowedOrigins: ['https://experience.arcgis.com', '*', 'https://*.example.org'] }));
+        
+        assert.deepEqual(embed.loadEmbedConfig(configPath).allowedOrigins, ['https://experience.arcgis.com', 'https://*.example.org']);
+        assert.ok(console.log.mock.calls.some(call => /^Skipping embed origin \*/.test(call.arguments[0])));
+    });
+    
+    test('allows no host when the config is missing', () => {
+        assert.deepEqual(embed.loadEmbedConfig(path.join(tempDir, 'missing.json')), { allowedOrigins: [] });
+    });
+    
+    test('ships an allowlist for Experience Builder', () => {
+        assert.deepEqual(embed.loadEmbedConfig().allowedOrigins, ['https://experience.arcgis.com']);
+    });
+});
+
+describe('applyEmbedSettings', () => {
+    const regions = [{
+        id: 'alabama',
+        name: 'Alabama Region',
+        chapters: [{ id: 'central-alabama', name: 'Central </script> Chapter', state: 'AL', wfos: ['BMX'], counties: ['01001'] }]
+    }];
+    
+    test('writes the protocol version, allowlist and selectable chapters into the page', () => {
+        const settings = embed.buildEmbedSettings({ allowedOrigins: ['https://experience.arcgis.com'] }, regions);
+        const html = embed.applyEmbedSettings('<p></p><script type="application/json" id="embedConfig">{}</script>', settings);
+        const json = html.match(/id="embedConfig">(.*?)<\/script>/)[1];
+        
+        assert.doesNotMatch(json, /<\/script>/);
+        assert.deepEqual(JSON.parse(json), {
+            version: embed.PROTOCOL_VERSION,
+            allowedOrigins: ['https://experience.arcgis.com'],
+            chapters: [{ id: 'central-alabama', name: 'Central </script> Chapter', state: 'AL' }]
+        });
+    });
+});
@@ -0,0 +1,98 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderMarkdown, renderEmailHtml, renderPrintBriefing } = require('../lib/export.js');
+
+const OUTLINE = {
+    title: 'SECAR Weather Report',
+    subtitle: 'Southeast Coordination and Regional Outlook',
+    generatedAt: '2099-04-02T23:00:00.000Z',
+    checkTime: 'Weather.gov map checked at 6:00 PM CDT.',
+    dateRange: 'Thursday, April 2, 2099 – Monday, April 6, 2099',
+    sources: 'Sources: NWS local offices, National Weather Service, NOAA.',
+    sections: [
+        {
+            id: 'hazards',
+            title: 'Hazards in Effect by State',
+            blocks: [{
+                type: 'table',
+                header: ['State', 'Tornado / Severe Storm', 'Flood'],
+                rows: [{ label: 'Alabama', cells: [{ text: 'Warning', tone: 'warning' }, { text: '–', tone: null }] }]
+            }]
+        },
+        {
+            id: 'state-AL',
+            title: 'Alabama',
+            blocks: [
+                { type: 'paragraph', text: 'Data status: Live', tone: 'data-live' },
+                {
+                    type: 'list',
+                    title: 'Alerts',
+                    items: [{
+                        label: 'Tornado Warning',
+                        text: 'Autauga, AL <Elmore> (From Apr 2, 6:05 PM CDT)',
+                        tone: 'warning',
+                        note: 'Tornado Warning issued April 2 by NWS Birmingham AL',
+                        paragraphs: ['HAZARD...Tornado.', 'TAKE COVER NOW!'],
+                        link: { text: 'NWS alert', href: 'https://api.weather.gov/alerts/tor1?a=1&b=2' }
+                    }]
+                }
+            ]
+        }
+    ]
+};
+
+describe('renderMarkdown', () => {
+    test('keeps headings, bullets and tables with one line per alert fact', () => {
+        const markdown = renderMarkdown(OUTLINE);
+        
+        assert.match(markdown, /^# SECAR Weather Report\n\nSoutheast Coordination and Regional Outlook\n\nThursday, April 2, 2099/);
+        assert.match(markdown, /## Hazards in Effect by State\n\n\| State \| Tornado \/ Severe Storm \| Flood \|\n\| --- \| --- \| --- \|\n\| Alabama \| Warning \| – \|/);
+        assert.match(markdown, /### Alerts\n\n- \*\*Tornado Warning:\*\* Autauga, AL <Elmore> \(From Apr 2, 6:05 PM CDT\)\n  Tornado Warning issued April 2 by NWS Birmingham AL\n  NWS alert: https:\/\/api.weather.gov\/alerts\/tor1\?a=1&b=2/);
+        assert.doesNotMatch(markdown, /TAKE COVER/);
+        assert.match(markdown, /_Sources: NWS local offices, National Weather Service, NOAA. Generated April 2, 2099 at 7:00\sPM EDT._\n$/);
+    });
+    
+    test('includes the full NWS text when asked', () => {
+        assert.match(renderMarkdown(OUTLINE, { fullText: true }), /by NWS Birmingham AL\n\n  HAZARD...Tornado.\n\n  TAKE COVER NOW!\n  NWS alert/);
+    });
+});
+
+describe('renderEmailHtml', () => {
+    test('inlines every style and leaves out scripts, style blocks and classes', () => {
+        const html = renderEmailHtml(OUTLINE);
+        
+        assert.doesNotMatch(html, /<script|<style|<svg|<details|class=/);
+        assert.match(html, /<td style="[^"]*color: #cc0000; font-weight: bold;">Warning<\/td>/);
+        assert.match(html, /<span style="color: #cc0000; font-weight: bold;">Tornado Warning:<\/span> Autauga, AL &lt;Elmore&gt;/);
+        assert.match(html, /<a href="https:\/\/api.weather.gov\/alerts\/tor1\?a=1&amp;b=2" style="color: #990000;">NWS alert<\/a>/);
+        assert.doesNotMatch(html, /TAKE COVER/);
+    });
+});
+
+describe('renderPrintBriefing', () => {
+    test('writes out the full alert text under a Red Cross header with a timestamp footer', () => {
+        const html = renderPrintBriefing(OUTLINE);
+        
+        assert.match(html, /<div class="org">American Red Cross<\/div>/);
+        assert.match(html, /<section class="briefing-section" data-section="hazards">/);
+        assert.match(html, /\.briefing-section \+ \.briefing-section {\s+break-before: page;/);
+        assert.match(html, /<p class="item-text">HAZARD...Tornado.<\/p><p class="item-text">TAKE COVER NOW!<\/p>/);
+        assert.match(html, /<footer class="briefing-footer">SECAR Weather Report · Generated April 2, 2099 at 7:00\sPM EDT/);
+        assert.doesNotMatch(html, /<script/);
+    });
+    
+    test('takes its fixed wording and date format from the outline\'s language', () => {
+        const html = renderPrintBriefing({
+            ...OUTLINE,
+            language: 'es',
+            locale: 'es-US',
+            labels: { generated: 'Generado', briefing: 'Resumen informativo: Informe del Tiempo de SECAR', organization: 'Cruz Roja Americana' }
+        });
+        
+        assert.match(html, /<html lang="es">/);
+        assert.match(html, /<div class="org">Cruz Roja Americana<\/div>/);
+        assert.match(html, /<h1>Resumen informativo: Informe del Tiempo de SECAR<\/h1>/);
+        assert.match(html, /· Generado 2 de abril de 2099/);
+    });
+});
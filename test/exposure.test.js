@@ -0,0 +1,141 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    loadCountyPopulation,
+    loadFacilities,
+    geometryAreaSqMi,
+    estimateAlertExposure,
+    summarizeStateExposure
+} = require('../lib/exposure.js');
+
+const COUNTIES = {
+    '01001': { name: 'Autauga', landSqMi: 600, population: 60000 },
+    '01051': { name: 'Elmore', landSqMi: 600, population: 90000 },
+    '01047': { name: 'Dallas', landSqMi: 1000, population: null }
+};
+
+const FACILITIES = [
+    { id: 'montgomery-office', name: 'Montgomery Chapter Office', type: 'office', chapter: 'central-alabama', county: '01001' },
+    { id: 'prattville-shelter', name: 'Prattville Shelter', type: 'shelter', chapter: 'central-alabama', county: '01001', lat: 32.46, lon: -86.47 },
+    { id: 'wetumpka-warehouse', name: 'Wetumpka Warehouse', type: 'warehouse', chapter: 'central-alabama', county: '01051', lat: 32.54, lon: -86.21 }
+];
+
+// About 10 x 10 miles around Prattville
+const POLYGON = {
+    type: 'Polygon',
+    coordinates: [[[-86.55, 32.39], [-86.38, 32.39], [-86.38, 32.53], [-86.55, 32.53], [-86.55, 32.39]]]
+};
+
+function withExposure(alert) {
+    return { ...alert, exposure: estimateAlertExposure(alert, COUNTIES, FACILITIES) };
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('estimateAlertExposure', () => {
+    test('counts every county a zone alert names and the facilities in them', () => {
+        const exposure = estimateAlertExposure({ same: ['001001', '001051'] }, COUNTIES, FACILITIES);
+        
+        assert.equal(exposure.method, 'counties');
+        assert.equal(exposure.population, 150000);
+        assert.equal(exposure.populationComplete, true);
+        assert.deepEqual(exposure.facilities.map(facility => facility.id), ['montgomery-office', 'prattville-shelter', 'wetumpka-warehouse']);
+    });
+    
+    test('scales a storm-based warning to its polygon and places facilities by coordinates', () => {
+        const exposure = estimateAlertExposure({ same: ['001001'], geometry: POLYGON }, COUNTIES, FACILITIES);
+        const expected = Math.round(60000 / 600 * geometryAreaSqMi(POLYGON));
+        
+        assert.equal(exposure.method, 'polygon');
+        assert.equal(exposure.population, expected);
+        assert.ok(expected > 9000 && expected < 16000, `${expected}`);
+        // The office has no coordinates, so its county decides
+        assert.deepEqual(exposure.facilities.map(facility => facility.id), ['montgomery-office', 'prattville-shelter']);
+    });
+    
+    test('says which counties have no figure instead of guessing', () => {
+        const partial = estimateAlertExposure({ same: ['001001', '001047'] }, COUNTIES, []);
+        const none = estimateAlertExposure({ same: ['001047'] }, COUNTIES, []);
+        
+        assert.equal(partial.population, 60000);
+        assert.equal(partial.populationComplete, false);
+        assert.equal(none.population, null);
+        assert.equal(none.populationComplete, false);
+        assert.equal(estimateAlertExposure({}, COUNTIES, []).population, null);
+    });
+});
+
+describe('summarizeStateExposure', () => {
+    test('counts a county once and skips polygons inside counties already counted', () => {
+        const alerts = [
+            withExposure({ same: ['001001', '001051'] }),
+            withExposure({ same: ['001001'] }),
+            withExposure({ same: ['001001'], geometry: POLYGON })
+        ];
+        const summary = summarizeStateExposure(alerts, COUNTIES);
+        
+        assert.equal(summary.population, 150000);
+        assert.equal(summary.populationComplete, true);
+        assert.equal(summary.facilities.length, 3);
+    });
+    
+    test('adds polygon estimates for counties not otherwise under an alert', () => {
+        const warning = withExposure({ same: ['001001'], geometry: POLYGON });
+        const summary = summarizeStateExposure([withExposure({ same: ['001051'] }), warning], COUNTIES);
+        
+        assert.equal(summary.population, 90000 + warning.exposure.population);
+        assert.equal(summarizeStateExposure([], COUNTIES).population, null);
+    });
+});
+
+describe('loading data', () => {
+    test('bundles a record for every county in the SECAR states', () => {
+        const counties = loadCountyPopulation();
+        
+        assert.equal(counties['01001'].name, 'Autauga');
+        assert.ok(Object.keys(counties).length > 600);
+        assert.ok(Object.values(counties).every(county => county.population === null || (Number.isInteger(county.population) && county.population > 0)));
+    });
+    
+    // The 2020 Census counts (P1_001N) still have to be filled in from api.census.gov
+    test('has a 2020 Census population for every county', { todo: 'county populations are not bundled yet' }, () => {
+        const missing = Object.entries(loadCountyPopulation())
+            .filter(([, county]) => !Number.isInteger(county.population) || county.population <= 0)
+            .map(([fips]) => fips);
+        assert.deepEqual(missing, []);
+    });
+    
+    test('skips facilities that cannot be placed and treats a missing list as empty', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secar-facilities-'));
+        const configPath = path.join(dir, 'facilities.json');
+        fs.writeFileSync(configPath, JSON.stringify({
+            facilities: [
+                FACILITIES[0],
+                { id: 'tent', name: 'Tent', type: 'tent', county: '01001' },
+                { id: 'nowhere', name: 'Nowhere', type: 'shelter', county: 'Autauga' }
+            ]
+        }));
+        
+        try {
+            assert.deepEqual(loadFacilities(configPath).map(facility => facility.id), ['montgomery-office']);
+            assert.deepEqual(loadFacilities(path.join(dir, 'missing.json')), []);
+            assert.deepEqual(loadFacilities(), []);
+            
+            // The shipped example is a facility the loader would accept
+            fs.writeFileSync(configPath, JSON.stringify({ facilities: [JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'facilities.json'), 'utf8')).example] }));
+            assert.deepEqual(loadFacilities(configPath).map(facility => facility.id), ['birmingham-chapter-office']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
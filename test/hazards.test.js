@@ -0,0 +1,114 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const hazards = require('../lib/hazards.js');
+const weather = require('../update-weather.js');
+
+function alert(overrides) {
+    return {
+        id: 'a',
+        event: 'Flood Watch',
+        severity: 'Severe',
+        urgency: 'Expected',
+        certainty: 'Possible',
+        references: [],
+        ...overrides
+    };
+}
+
+describe('getHazardCategory', () => {
+    test('puts each event in exactly one category', () => {
+        const categories = {
+            'Hurricane Warning': 'tropical',
+            'Storm Surge Watch': 'tropical',
+            'Extreme Wind Warning': 'tropical',
+            'Hurricane Force Wind Warning': 'marine',
+            'Storm Warning': 'marine',
+            'Rip Current Statement': 'marine',
+            'Severe Thunderstorm Warning': 'tornado',
+            'Coastal Flood Advisory': 'flood',
+            'Extreme Heat Warning': 'heat',
+            'Hard Freeze Warning': 'winter',
+            'Red Flag Warning': 'fire',
+            'Special Weather Statement': 'other'
+        };
+        
+        Object.entries(categories).forEach(([event, category]) => {
+            assert.equal(hazards.getHazardCategory({ event }), category, event);
+        });
+    });
+});
+
+describe('ranking', () => {
+    test('ranks by product level before severity, urgency and certainty', () => {
+        const extremeAdvisory = alert({ event: 'Heat Advisory', severity: 'Extreme' });
+        const watch = alert({ event: 'Tornado Watch', severity: 'Moderate' });
+        const likelyWatch = alert({ event: 'Tornado Watch', severity: 'Moderate', certainty: 'Likely' });
+        
+        assert.ok(hazards.compareAlertRank(watch, extremeAdvisory) > 0);
+        assert.ok(hazards.compareAlertRank(likelyWatch, watch) > 0);
+        assert.equal(hazards.compareAlertLevel(likelyWatch, watch), 0);
+        assert.equal(hazards.getTopAlert([extremeAdvisory, watch, likelyWatch]), likelyWatch);
+    });
+    
+    test('orders states by their highest alert and keeps ties in place', () => {
+        const states = [
+            { name: 'Tennessee', alerts: [] },
+            { name: 'Georgia', alerts: [alert({ event: 'Heat Advisory' })] },
+            { name: 'Florida', alerts: [] },
+            { name: 'Alabama', alerts: [alert({ event: 'Tornado Warning' })] }
+        ];
+        
+        assert.deepEqual([...states].sort(hazards.compareStateThreat).map(s => s.name),
+            ['Alabama', 'Georgia', 'Tennessee', 'Florida']);
+    });
+});
+
+describe('dedupeAlerts', () => {
+    test('drops repeated ids and alerts superseded by an active update', () => {
+        const result = hazards.dedupeAlerts([
+            alert({ id: 'one' }),
+            alert({ id: 'one' }),
+            alert({ id: 'two', references: ['one'] }),
+            alert({ id: 'three' })
+        ]);
+        
+        assert.deepEqual(result.map(a => a.id), ['two', 'three']);
+    });
+});
+
+describe('buildHazardMatrix', () => {
+    test('keeps the highest level per hazard with every event listed', () => {
+        const matrix = hazards.buildHazardMatrix([{
+            name: 'Alabama',
+            code: 'AL',
+            status: 'live',
+            alerts: [
+                alert({ id: 'w', event: 'Flood Watch' }),
+                alert({ id: 'ff', event: 'Flash Flood Warning' }),
+                alert({ id: 'sws', event: 'Special Weather Statement', severity: 'Moderate' })
+            ]
+        }]);
+        const cells = matrix.states[0].cells;
+        
+        assert.deepEqual(matrix.categories.map(c => c.id),
+            ['marine', 'tropical', 'tornado', 'flood', 'heat', 'winter', 'fire', 'other']);
+        assert.equal(cells.flood.label, 'Warning');
+        assert.deepEqual(cells.flood.events, ['Flash Flood Warning', 'Flood Watch']);
+        assert.equal(cells.other.label, 'Statement');
+        assert.equal(cells.heat, null);
+    });
+});
+
+describe('describeAlerts', () => {
+    test('mentions each event once at its own level', () => {
+        const text = weather.describeAlerts([
+            alert({ id: '1', event: 'Heat Advisory', severity: 'Extreme' }),
+            alert({ id: '2', event: 'Flood Watch' }),
+            alert({ id: '3', event: 'Flood Watch' }),
+            alert({ id: '4', event: 'Special Weather Statement', severity: 'Moderate' })
+        ]);
+        
+        assert.equal(text, 'Flood Watch WATCHES in effect. Heat Advisory ADVISORIES in effect. Special Weather Statement statements in effect. ');
+    });
+});
@@ -0,0 +1,193 @@
+const { test, describe, before, after, afterEach, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createHttpClient, parseRetryAfter, getEndpointLabel, createLimiter } = require('../lib/http.js');
+const { ALERTS, GAUGE } = require('../lib/schemas.js');
+const { startStandIn, createTestClient } = require('./support/nws-stand-in.js');
+
+let tempDir;
+let standIn;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secar-http-'));
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    if (standIn) {
+        await standIn.close();
+        standIn = null;
+    }
+});
+
+describe('retries', () => {
+    test('retries 5xx and 429 with backoff and then succeeds', async () => {
+        standIn = await startStandIn({
+            '/alerts?area=AL': {
+                fixture: 'alerts-empty.json',
+                failures: [{ status: 503 }, { status: 429, headers: { 'Retry-After': '0' } }]
+            }
+        });
+        const client = createTestClient();
+        
+        const data = await client.getJson(`${standIn.url}/alerts?area=AL`);
+        
+        assert.deepEqual(data.features, []);
+        assert.equal(standIn.requests.length, 3);
+        assert.deepEqual(client.getSummary().map(({ endpoint, requests, ok, failed, retries }) => ({ endpoint, requests, ok, failed, retries })),
+            [{ endpoint: `${new URL(standIn.url).host}/alerts`, requests: 1, ok: 1, failed: 0, retries: 2 }]);
+    });
+    
+    test('gives up after the configured retries and does not retry other 4xx', async () => {
+        standIn = await startStandIn({ '/down': { status: 500 }, '/missing': { status: 404 } });
+        const client = createTestClient({ retries: 1 });
+        
+        await assert.rejects(client.getJson(`${standIn.url}/down`), { message: /\/down returned 500/ });
+        await assert.rejects(client.getJson(`${standIn.url}/missing`), { status: 404 });
+        assert.deepEqual(standIn.requests, ['/down', '/down', '/missing']);
+        assert.deepEqual(client.getSummary().map(entry => entry.failed), [1, 1]);
+    });
+    
+    test('waits as long as Retry-After asks, and fails fast when that is too long', async () => {
+        standIn = await startStandIn({
+            '/slow-down': { fixture: 'alerts-empty.json', failures: [{ status: 429, headers: { 'Retry-After': '1' } }] },
+            '/come-back-later': { status: 503, headers: { 'Retry-After': '3600' } }
+        });
+        const client = createTestClient();
+        
+        const started = Date.now();
+        await client.getJson(`${standIn.url}/slow-down`);
+        assert.ok(Date.now() - started >= 950);
+        
+        await assert.rejects(client.getJson(`${standIn.url}/come-back-later`), /Retry-After 3600 s is past the limit/);
+        assert.equal(standIn.requests.filter(url => url === '/come-back-later').length, 1);
+    });
+    
+    test('times out a slow response and retries it', async () => {
+        standIn = await startStandIn({
+            '/products/types/TWO': { fixture: 'products-two.json', failures: [{ status: 200, delayMs: 500 }] }
+        });
+        const client = createTestClient({ timeoutMs: 100 });
+        
+        const data = await client.getJson(`${standIn.url}/products/types/TWO`);
+        
+        assert.ok(data['@graph'].length > 0);
+        assert.equal(standIn.requests.length, 2);
+        assert.equal(client.getSummary()[0].retries, 1);
+    });
+    
+    test('records a timeout as the outcome once retries run out', async () => {
+        standIn = await startStandIn({ '/hang': { fixture: 'alerts-empty.json', delayMs: 300 } });
+        const client = createTestClient({ timeoutMs: 50, retries: 0 });
+        
+        await assert.rejects(client.getJson(`${standIn.url}/hang`), /timed out after 50 ms/);
+        assert.equal(client.getSummary()[0].failed, 1);
+    });
+});
+
+describe('conditional requests', () => {
+    test('revalidates with If-None-Match across runs and reuses the stored body on 304', async () => {
+        standIn = await startStandIn({ '/alerts?area=FL': { fixture: 'alerts-fl-tropical.json', etag: '"v1"' } });
+        const cachePath = path.join(tempDir, 'http.json');
+        
+        const first = createTestClient({ cachePath });
+        const original = await first.getJson(`${standIn.url}/alerts?area=FL`);
+        first.saveCache();
+        
+        const second = createTestClient({ cachePath });
+        const revalidated = await second.getJson(`${standIn.url}/alerts?area=FL`);
+        
+        assert.equal(standIn.headers[0]['if-none-match'], undefined);
+        assert.equal(standIn.headers[1]['if-none-match'], '"v1"');
+        assert.deepEqual(revalidated, original);
+        assert.equal(second.getSummary()[0].notModified, 1);
+    });
+    
+    test('sends the shared User-Agent on every request', async () => {
+        standIn = await startStandIn({ '*': { fixture: 'alerts-empty.json' } });
+        await createTestClient().getText(`${standIn.url}/anything`);
+        
+        assert.match(standIn.headers[0]['user-agent'], /^SECAR-Weather-Report/);
+    });
+});
+
+describe('response validation', () => {
+    test('leaves out and logs the items that fail the schema', async () => {
+        standIn = await startStandIn({ '/alerts?area=AL': { fixture: 'alerts-al-malformed.json' } });
+        const client = createTestClient();
+        const url = `${standIn.url}/alerts?area=AL`;
+        
+        const data = await client.getJson(url, { schema: ALERTS });
+        
+        assert.equal(data.features.length, 1);
+        assert.deepEqual(client.getQuarantine().map(entry => [entry.url, entry.at]), [[url, 'features[1]'], [url, 'features[2]']]);
+        assert.ok(console.log.mock.calls.some(call => call.arguments[0] === `Quarantined features[1] from ${url}: features[1].properties.expires: is required`));
+        
+        client.logSummary();
+        assert.ok(console.log.mock.calls.some(call => /2 invalid item\(s\) quarantined/.test(call.arguments[0])));
+    });
+    
+    test('rejects a response that does not fit at all', async () => {
+        standIn = await startStandIn({ '*': { fixture: 'alerts-empty.json' } });
+        const client = createTestClient();
+        
+        await assert.rejects(client.getJson(`${standIn.url}/gauges/NAST1`, { schema: GAUGE }), { message: 'Invalid response: lid: is required' });
+        assert.deepEqual((await client.getJson(`${standIn.url}/gauges/NAST1`)).features, []);
+    });
+});
+
+describe('parallelism', () => {
+    test('never has more requests in flight than the limit', async () => {
+        let active = 0;
+        let peak = 0;
+        const fetch = async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            active--;
+            return new Response('{}', { status: 200 });
+        };
+        const client = createHttpClient({ fetch, concurrency: 3 });
+        
+        await Promise.all(Array.from({ length: 10 }, (_, i) => client.getJson(`https://example.test/points/${i}`)));
+        
+        assert.equal(peak, 3);
+        assert.equal(client.getSummary()[0].requests, 10);
+    });
+    
+    test('runs queued tasks in order once a slot frees', async () => {
+        const limit = createLimiter(1);
+        const order = [];
+        await Promise.all([1, 2, 3].map(n => limit(async () => order.push(n))));
+        
+        assert.deepEqual(order, [1, 2, 3]);
+    });
+});
+
+describe('helpers', () => {
+    test('parses Retry-After seconds and HTTP dates', () => {
+        const now = Date.parse('2099-04-02T23:00:00Z');
+        
+        assert.equal(parseRetryAfter('120', now), 120000);
+        assert.equal(parseRetryAfter('Thu, 02 Apr 2099 23:00:30 GMT', now), 30000);
+        assert.equal(parseRetryAfter('soon', now), null);
+        assert.equal(parseRetryAfter(null, now), null);
+    });
+    
+    test('groups per-point and per-product URLs under one endpoint', () => {
+        assert.equal(getEndpointLabel('https://api.weather.gov/points/36.16,-86.78'), 'api.weather.gov/points/:id');
+        assert.equal(getEndpointLabel('https://api.weather.gov/alerts?area=AL'), 'api.weather.gov/alerts');
+        assert.equal(getEndpointLabel('https://www.spc.noaa.gov/products/outlook/day2otlk_cat.nolyr.geojson'), 'www.spc.noaa.gov/products/outlook/:id');
+    });
+});
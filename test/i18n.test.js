@@ -0,0 +1,113 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const i18n = require('../lib/i18n.js');
+
+// Every key in a catalog, as dotted paths; terms are free-form and left out
+function catalogKeys(catalog, prefix = '') {
+    return Object.entries(catalog).flatMap(([key, value]) => {
+        if (!prefix && key === 'terms') {
+            return [];
+        }
+        return value && typeof value === 'object' && !('other' in value)
+            ? catalogKeys(value, `${prefix}${key}.`)
+            : [`${prefix}${key}`];
+    });
+}
+
+describe('createI18n', () => {
+    test('looks up messages and fills in their placeholders', () => {
+        const es = i18n.createI18n('es');
+        
+        assert.equal(es.t('page.title'), 'Informe del Tiempo de SECAR');
+        assert.equal(es.t('exposure.noFacilities', { count: 3 }), ' · Instalaciones en riesgo: ninguna de las 3 registradas');
+        assert.equal(i18n.createI18n().t('changes.titleSince', { since: 'Apr 2' }), 'Changes Since Last Update (Apr 2)');
+    });
+    
+    test('falls back to English, then to the key, and leaves unknown terms alone', () => {
+        const es = i18n.createI18n('es');
+        
+        assert.equal(es.t('no.such.key'), 'no.such.key');
+        assert.equal(es.term('Tornado Warning'), 'Aviso de Tornado');
+        assert.equal(es.term('Volcano Warning'), 'Volcano Warning');
+    });
+    
+    test('picks the plural form for the count', () => {
+        assert.equal(i18n.createI18n('en').plural('map.counties', 1), '1 county under active alerts');
+        assert.equal(i18n.createI18n('es').plural('map.counties', 4), '4 condados bajo alertas activas');
+    });
+    
+    test('formats dates and numbers in the language\'s locale', () => {
+        const es = i18n.createI18n('es');
+        
+        assert.equal(es.formatDate('2099-04-02T12:00:00Z', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' }), 'jueves, 2 de abril');
+        assert.equal(i18n.createI18n('en').formatNumber(12345), '12,345');
+    });
+    
+    test('refuses languages with no catalog', () => {
+        assert.throws(() => i18n.createI18n('fr'), /Unsupported language: fr/);
+    });
+    
+    test('has every English message in the Spanish catalog with the same placeholders', () => {
+        const load = language => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', `${language}.json`), 'utf8'));
+        const en = load('en');
+        const es = load('es');
+        const placeholders = (catalog, key) => JSON.stringify(key.split('.').reduce((value, part) => value[part], catalog)).match(/\{\w+\}/g)?.sort() || [];
+        
+        assert.deepEqual(catalogKeys(es).sort(), catalogKeys(en).sort());
+        catalogKeys(en).forEach(key => assert.deepEqual(placeholders(es, key), placeholders(en, key), key));
+    });
+});
+
+describe('localizeAlert', () => {
+    const alert = {
+        event: 'Flood Advisory',
+        headline: 'Flood Advisory until 9 PM',
+        description: 'Urban flooding.',
+        instruction: null,
+        translations: { es: { event: 'Advertencia de Inundaciones', headline: 'ADVERTENCIA HASTA LAS 9 PM', description: 'Inundaciones urbanas.', instruction: null } }
+    };
+    
+    test('uses the text NWS issued in the language when there is one', () => {
+        assert.deepEqual(i18n.localizeAlert(alert, i18n.createI18n('es')), {
+            event: 'Advertencia de Inundaciones',
+            headline: 'ADVERTENCIA HASTA LAS 9 PM',
+            description: 'Inundaciones urbanas.',
+            instruction: null
+        });
+    });
+    
+    test('otherwise keeps the NWS text and translates only the event name', () => {
+        const text = i18n.localizeAlert({ ...alert, translations: null }, i18n.createI18n('es'));
+        
+        assert.equal(text.event, 'Advertencia de Inundación');
+        assert.equal(text.headline, 'Flood Advisory until 9 PM');
+        assert.equal(i18n.localizeAlert(alert, i18n.createI18n('en')).event, 'Flood Advisory');
+    });
+});
+
+describe('pages', () => {
+    test('names each language\'s copy of a file after the default one', () => {
+        assert.equal(i18n.localizePath('index.html', 'en'), 'index.html');
+        assert.equal(i18n.localizePath('index.html', 'es'), 'index.es.html');
+        assert.equal(i18n.localizePath(path.join('out', 'report.md'), 'es'), path.join('out', 'report.es.md'));
+    });
+    
+    test('translates the page shell and hands the script its messages', () => {
+        const page = '<html lang="en"><title data-i18n="page.title">SECAR Weather Report</title>' +
+            '<button id="x" data-i18n="page.copy">Copy Report</button>' +
+            '<script type="application/json" id="pageMessages">{}</script></html>';
+        const html = i18n.localizePage(page, i18n.createI18n('es'));
+        
+        assert.match(html, /^<html lang="es">/);
+        assert.match(html, /<title data-i18n="page.title">Informe del Tiempo de SECAR<\/title>/);
+        assert.match(html, /<button id="x" data-i18n="page.copy">Copiar informe<\/button>/);
+        
+        const messages = JSON.parse(html.match(/id="pageMessages">(.*?)<\/script>/)[1]);
+        assert.equal(messages.locale, 'es-US');
+        assert.equal(messages.switchTo, 'en');
+        assert.deepEqual(messages.minutesAgo, { one: 'hace {count} minuto', other: 'hace {count} minutos' });
+    });
+});
@@ -0,0 +1,102 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const map = require('../lib/map.js');
+const { roundGeometry } = require('../lib/geo.js');
+
+function alert(overrides) {
+    return {
+        id: 'a',
+        event: 'Flood Watch',
+        severity: 'Severe',
+        areaDesc: 'Autauga',
+        headline: null,
+        same: ['001001'],
+        geometry: null,
+        expires: '2099-04-03T12:00:00Z',
+        ...overrides
+    };
+}
+
+function report(alerts) {
+    return {
+        states: [{
+            name: 'Alabama',
+            areas: [{ fips: '01001', name: 'Autauga' }],
+            alerts
+        }]
+    };
+}
+
+describe('createProjection', () => {
+    test('fits the bounds into the box with north up', () => {
+        const { project, height } = map.createProjection({ minLon: -90, maxLon: -80, minLat: 30, maxLat: 35 }, 10, 20, 400);
+        
+        assert.deepEqual(project([-90, 35]), [10, 20]);
+        assert.equal(Math.round(project([-80, 30])[0]), 410);
+        assert.equal(project([-80, 30])[1], 20 + height);
+    });
+});
+
+describe('collectCountyAlerts', () => {
+    test('ranks each county by its highest alert and skips unknown FIPS', () => {
+        const counties = map.collectCountyAlerts(report([
+            alert({ id: 'watch' }),
+            alert({ id: 'warning', event: 'Tornado Warning', same: ['001001', '099999'] })
+        ]));
+        
+        assert.equal(counties.length, 1);
+        assert.equal(counties[0].name, 'Autauga');
+        assert.deepEqual(counties[0].alerts.map(a => a.id), ['warning', 'watch']);
+    });
+});
+
+describe('renderAlertMap', () => {
+    test('shades counties, outlines polygons and escapes alert text', () => {
+        const html = map.renderAlertMap(report([
+            alert({
+                id: 'tor',
+                event: 'Tornado Warning',
+                headline: 'Take cover </script><b>now</b>',
+                geometry: roundGeometry({
+                    type: 'Polygon',
+                    coordinates: [[[-86.71234, 32.4], [-86.3, 32.45], [-86.3, 32.62], [-86.71234, 32.4]]]
+                })
+            })
+        ]));
+        
+        assert.match(html, /<path class="map-area map-warning" tabindex="0" data-name="Autauga, Alabama" data-alert-ids="tor"/);
+        assert.match(html, /<path class="map-polygon map-warning"/);
+        assert.match(html, /<path class="map-state" data-state="VI"/);
+        assert.match(html, /1 county under active alerts; 1 storm-based polygon outlined/);
+        assert.doesNotMatch(html, /<\/script><b>/);
+        
+        const data = JSON.parse(html.match(/<script type="application\/json" class="map-alerts">(.*)<\/script>/)[1]);
+        assert.equal(data.tor.headline, 'Take cover </script><b>now</b>');
+    });
+    
+    test('still draws the states when nothing is active', () => {
+        const html = map.renderAlertMap(report([]));
+        
+        assert.match(html, /No active alerts in SECAR counties/);
+        assert.equal((html.match(/class="map-state"/g) || []).length, Object.keys(map.BOUNDARIES.states).length);
+    });
+});
+
+describe('getAlertBounds', () => {
+    test('boxes warning polygons, or the SAME counties of alerts without one', () => {
+        const polygon = { type: 'Polygon', coordinates: [[[-86.5, 32.4], [-86.2, 32.6], [-86.3, 32.3], [-86.5, 32.4]]] };
+        
+        assert.deepEqual(map.getAlertBounds([alert({ geometry: polygon })]), [-86.5, 32.3, -86.2, 32.6]);
+        assert.deepEqual(map.getAlertBounds([alert()]), [-86.92, 32.31, -86.41, 32.71]);
+        assert.equal(map.getAlertBounds([alert({ same: ['099999'] })]), null);
+    });
+});
+
+describe('roundGeometry', () => {
+    test('keeps polygons only, rounded to three decimals', () => {
+        assert.equal(roundGeometry(null), null);
+        assert.equal(roundGeometry({ type: 'Point', coordinates: [-86, 32] }), null);
+        assert.deepEqual(roundGeometry({ type: 'MultiPolygon', coordinates: [[[[-86.12345, 32.98765]]]] }).coordinates, [[[[-86.123, 32.988]]]]);
+    });
+});
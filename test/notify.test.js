@@ -0,0 +1,285 @@
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const notify = require('../lib/notify.js');
+const { isLoopbackHost, sendMail } = require('../lib/smtp.js');
+const { startMockSmtp, startMockWebhook } = require('./support/mock-smtp.js');
+
+const CONFIG = notify.loadNotificationConfig();
+
+function alert(overrides) {
+    return {
+        id: 'tor-1',
+        event: 'Tornado Warning',
+        severity: 'Extreme',
+        areaDesc: 'Autauga, AL',
+        headline: 'Tornado Warning issued for Autauga County',
+        references: [],
+        expires: '2099-04-03T12:00:00Z',
+        ...overrides
+    };
+}
+
+function report(alerts, disturbances = []) {
+    return {
+        generatedAt: '2099-04-03T00:00:00Z',
+        states: [{ name: 'Alabama', alerts }],
+        regions: [{
+            id: 'alabama-mississippi',
+            chapters: [{
+                id: 'central-alabama',
+                name: 'Central Alabama',
+                areas: [{ name: 'Autauga', alertIds: alerts.map(a => a.id) }]
+            }]
+        }],
+        tropical: { disturbances }
+    };
+}
+
+function disturbance(percent, location = 'Central Tropical Atlantic (AL97)') {
+    return {
+        number: 1,
+        location,
+        description: 'A tropical wave is producing showers.',
+        chance48hour: { category: 'low', percent: 20 },
+        chance7day: { category: percent >= 60 ? 'high' : 'medium', percent }
+    };
+}
+
+let tempDir;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secar-notify-'));
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    fs.rmSync(path.join(tempDir, 'notified.json'), { force: true });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('findNotifications', () => {
+    test('matches severity, event and chapter triggers', () => {
+        const alerts = [
+            alert({}),
+            alert({ id: 'hu-1', event: 'Hurricane Watch', severity: 'Severe' }),
+            alert({ id: 'adv-1', event: 'Heat Advisory', severity: 'Moderate' })
+        ];
+        const found = notify.findNotifications(report(alerts), CONFIG, { sent: {} });
+        
+        // The Tornado Warning matches two triggers but goes out once, listing both
+        assert.deepEqual(found.map(n => [n.key, n.triggerIds]), [
+            ['alert|tor-1', ['extreme-alert', 'chapter-warning']],
+            ['alert|hu-1', ['tropical-watch-warning']]
+        ]);
+        assert.match(found[0].text, /Chapters: Central Alabama/);
+    });
+    
+    test('skips a warning outside the listed chapters', () => {
+        const config = {
+            triggers: [{ id: 'chapter-warning', type: 'alert', eventSuffixes: ['Warning'], chapters: ['mid-tennessee'] }]
+        };
+        
+        assert.deepEqual(notify.findNotifications(report([alert({})]), config, { sent: {} }), []);
+    });
+    
+    test('treats an update referencing a sent alert as already sent', () => {
+        const update = report([alert({ id: 'tor-2', references: ['tor-1'] })]);
+        
+        assert.deepEqual(notify.findNotifications(update, CONFIG, { sent: { 'alert|tor-1': { sentAt: '2099-04-02T00:00:00Z' } } }), []);
+        // State written when each trigger sent its own copy
+        assert.deepEqual(notify.findNotifications(update, CONFIG, { sent: { 'extreme-alert|tor-1': { sentAt: '2099-04-02T00:00:00Z' } } }), []);
+    });
+    
+    test('fires a formation threshold once and re-arms after it drops', () => {
+        const state = { sent: {} };
+        const first = notify.findNotifications(report([], [disturbance(70)]), CONFIG, state);
+        assert.deepEqual(first.map(n => n.key), ['tropical-formation-high|AL97']);
+        
+        // Still the same system once NHC describes it somewhere else
+        state.sent[first[0].key] = { sentAt: '2099-04-03T00:00:00Z' };
+        assert.deepEqual(notify.findNotifications(report([], [disturbance(80, 'Eastern Caribbean Sea (AL97)')]), CONFIG, state), []);
+        
+        notify.findNotifications(report([], [disturbance(40)]), CONFIG, state);
+        assert.deepEqual(state.sent, {});
+    });
+});
+
+describe('getDisturbanceId', () => {
+    test('uses the invest number, or the outlook number when there is none', () => {
+        assert.equal(notify.getDisturbanceId({ number: 1, location: 'Central Tropical Atlantic (AL97)' }), 'AL97');
+        assert.equal(notify.getDisturbanceId({ number: 2, location: 'Northwestern Gulf' }), '#2');
+    });
+});
+
+describe('runNotifier against local sinks', () => {
+    test('posts each channel format, emails once and de-duplicates the next run', async () => {
+        const webhook = await startMockWebhook();
+        const smtp = await startMockSmtp();
+        const env = {
+            SECAR_WEBHOOK_URL: `${webhook.url}/generic`,
+            SECAR_TEAMS_WEBHOOK_URL: `${webhook.url}/teams`,
+            SECAR_SLACK_WEBHOOK_URL: `${webhook.url}/slack`,
+            SECAR_SMTP_HOST: smtp.host,
+            SECAR_SMTP_PORT: String(smtp.port),
+            SECAR_SMTP_USERNAME: 'secar',
+            SECAR_SMTP_PASSWORD: 'secret',
+            SECAR_NOTIFY_EMAILS: 'duty@example.org, lead@example.org',
+            SECAR_REPORT_URL: 'https://example.org/report'
+        };
+        const statePath = path.join(tempDir, 'notified.json');
+        const options = { env, statePath, now: new Date('2099-04-03T00:10:00Z') };
+        
+        try {
+            const summary = await notify.runNotifier(report([alert({})]), options);
+            
+            assert.deepEqual(summary.sent, ['webhook', 'teams', 'slack', 'email']);
+            assert.deepEqual(webhook.posts.map(p => p.path), ['/generic', '/teams', '/slack']);
+            assert.deepEqual(webhook.posts[0].body.notifications.map(n => n.triggerIds), [['extreme-alert', 'chapter-warning']]);
+            assert.equal(webhook.posts[1].body['@type'], 'MessageCard');
+            assert.match(webhook.posts[2].body.blocks[0].text.text, /Tornado Warning/);
+            
+            assert.equal(smtp.messages.length, 1);
+            assert.deepEqual(smtp.messages[0].to, ['duty@example.org', 'lead@example.org']);
+            assert.deepEqual(smtp.messages[0].auth, { username: 'secar', password: 'secret' });
+            assert.ok(smtp.messages[0].data.includes(`Subject: =?UTF-8?B?${Buffer.from('SECAR weather: Tornado Warning – Alabama').toString('base64')}?=`));
+            assert.match(smtp.messages[0].data, /Full report: https:\/\/example.org\/report/);
+            
+            const again = await notify.runNotifier(report([alert({})]), options);
+            assert.equal(again.notifications, 0);
+            assert.equal(webhook.posts.length, 3);
+        } finally {
+            await webhook.close();
+            await smtp.close();
+        }
+    });
+    
+    test('keeps notifications pending when every channel fails', async () => {
+        const webhook = await startMockWebhook({ status: 500 });
+        const statePath = path.join(tempDir, 'notified.json');
+        
+        try {
+            const summary = await notify.runNotifier(report([alert({})]), {
+                env: { SECAR_WEBHOOK_URL: webhook.url },
+                statePath,
+                now: new Date('2099-04-03T00:10:00Z')
+            });
+            
+            assert.deepEqual(summary.failed, ['webhook']);
+            assert.deepEqual(notify.loadSentState(statePath).sent, {});
+        } finally {
+            await webhook.close();
+        }
+    });
+    
+    test('gives up on a webhook that does not answer in time', async () => {
+        const webhook = await startMockWebhook({ delayMs: 500 });
+        
+        try {
+            const summary = await notify.runNotifier(report([alert({})]), {
+                env: { SECAR_WEBHOOK_URL: webhook.url },
+                statePath: path.join(tempDir, 'notified.json'),
+                now: new Date('2099-04-03T00:10:00Z'),
+                webhookTimeoutMs: 50
+            });
+            
+            assert.deepEqual(summary.failed, ['webhook']);
+            assert.ok(console.log.mock.calls.some(call => /webhook timed out after 50 ms/.test(call.arguments.join(' '))));
+        } finally {
+            await webhook.close();
+        }
+    });
+    
+    test('keeps its sent state in the output directory', async () => {
+        const webhook = await startMockWebhook();
+        const outDir = path.join(tempDir, 'out');
+        
+        try {
+            await notify.runNotifier(report([alert({})]), { env: { SECAR_WEBHOOK_URL: webhook.url }, outDir, now: new Date('2099-04-03T00:10:00Z') });
+            
+            assert.ok(Object.keys(notify.loadSentState(path.join(outDir, 'cache', 'notified.json')).sent).length > 0);
+        } finally {
+            await webhook.close();
+        }
+    });
+    
+    test('reports an SMTP rejection as a failed channel', async () => {
+        const smtp = await startMockSmtp({ rejectRecipients: true });
+        
+        try {
+            const summary = await notify.runNotifier(report([alert({})]), {
+                env: { SECAR_SMTP_HOST: smtp.host, SECAR_SMTP_PORT: String(smtp.port), SECAR_NOTIFY_EMAILS: 'x@example.org' },
+                statePath: path.join(tempDir, 'notified.json'),
+                now: new Date('2099-04-03T00:10:00Z')
+            });
+            
+            assert.deepEqual(summary.failed, ['email']);
+        } finally {
+            await smtp.close();
+        }
+    });
+    
+    test('sends SMTP credentials unencrypted only to a loopback host or when allowed', async () => {
+        const smtp = await startMockSmtp();
+        // mail.example.org resolves to the mock, which offers no STARTTLS
+        const connect = net.connect;
+        mock.method(net, 'connect', (options, callback) => connect({ ...options, host: smtp.host }, callback));
+        const env = {
+            SECAR_SMTP_HOST: 'mail.example.org',
+            SECAR_SMTP_PORT: String(smtp.port),
+            SECAR_SMTP_USERNAME: 'secar',
+            SECAR_SMTP_PASSWORD: 'secret',
+            SECAR_NOTIFY_EMAILS: 'x@example.org'
+        };
+        const options = { statePath: path.join(tempDir, 'notified.json'), now: new Date('2099-04-03T00:10:00Z') };
+        
+        try {
+            const refused = await notify.runNotifier(report([alert({})]), { ...options, env });
+            assert.deepEqual(refused.failed, ['email']);
+            assert.equal(smtp.messages.length, 0);
+            assert.ok(console.log.mock.calls.some(call => /refusing to send SMTP credentials unencrypted/.test(call.arguments.join(' '))));
+            
+            const allowed = await notify.runNotifier(report([alert({})]), { ...options, env: { ...env, SECAR_SMTP_ALLOW_INSECURE: '1' } });
+            assert.deepEqual(allowed.sent, ['email']);
+            assert.deepEqual(smtp.messages[0].auth, { username: 'secar', password: 'secret' });
+        } finally {
+            await smtp.close();
+        }
+    });
+});
+
+describe('sendMail', () => {
+    test('fails instead of hanging when the server hangs up mid-conversation', async () => {
+        // Greets, then closes cleanly as soon as the client says anything
+        const server = net.createServer(socket => {
+            socket.write('220 ready\r\n');
+            socket.once('data', () => socket.end());
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        
+        try {
+            await assert.rejects(sendMail({ host: '127.0.0.1', port: server.address().port, from: 'a@example.org', to: ['b@example.org'], subject: 's', text: 't' }),
+                /SMTP server closed the connection/);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
+
+describe('isLoopbackHost', () => {
+    test('accepts only addresses on this machine', () => {
+        ['localhost', '127.0.0.1', '127.1.2.3', '::1', '[::1]', '::ffff:127.0.0.1'].forEach(host => assert.ok(isLoopbackHost(host), host));
+        ['mail.example.org', '10.0.0.1', '127.0.0.1.example.org', 'localhost.example.org'].forEach(host => assert.ok(!isLoopbackHost(host), host));
+    });
+});
@@ -0,0 +1,113 @@
+const { test, describe, afterEach, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const outlook = require('../lib/outlook.js');
+const { pointInGeometry } = require('../lib/geo.js');
+const { readFixture, startStandIn, createTestClient } = require('./support/nws-stand-in.js');
+
+const TENNESSEE = {
+    fips: '47',
+    timeZone: 'America/Chicago',
+    forecastPoints: [{ name: 'Nashville', lat: 36.16, lon: -86.78 }]
+};
+
+const NOW = new Date('2099-04-02T15:00:00Z');
+
+let standIn;
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    delete process.env.NWS_API_BASE;
+    delete process.env.SPC_BASE;
+    delete process.env.WPC_BASE;
+    if (standIn) {
+        await standIn.close();
+        standIn = null;
+    }
+});
+
+async function useStandIn(routes) {
+    standIn = await startStandIn(routes);
+    process.env.NWS_API_BASE = standIn.url;
+    process.env.SPC_BASE = standIn.url;
+    process.env.WPC_BASE = standIn.url;
+}
+
+describe('gridpoint forecast hazards', () => {
+    test('collapses day and night periods into one day with hazards and rain chance', () => {
+        const periods = JSON.parse(readFixture('gridpoint-forecast-ohx.json')).properties.periods;
+        const days = outlook.summarizeForecastPeriods([{ point: { name: 'Nashville' }, periods }]);
+        
+        const today = days.get('2099-04-02');
+        assert.deepEqual([...today.hazards.keys()], ['Severe thunderstorms', 'Thunderstorms', 'Fog']);
+        assert.equal(today.maxPrecipChance, 80);
+        
+        const friday = days.get('2099-04-03');
+        assert.deepEqual([...friday.hazards.keys()], ['Freezing temperatures']);
+    });
+});
+
+describe('categorical outlooks', () => {
+    test('pointInGeometry honors polygon holes', () => {
+        const donut = {
+            type: 'Polygon',
+            coordinates: [
+                [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+                [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+            ]
+        };
+        
+        assert.equal(pointInGeometry([2, 2], donut), true);
+        assert.equal(pointInGeometry([5, 5], donut), false);
+    });
+    
+    test('reads SPC labels and WPC outlook text', () => {
+        const spc = JSON.parse(readFixture('spc-day1-slight.json')).features;
+        const ero = JSON.parse(readFixture('ero-day1-marginal.json')).features;
+        
+        assert.equal(outlook.getSpcCategory(spc[1]).label, 'Slight Risk');
+        assert.equal(outlook.getEroCategory(ero[0]).label, 'Marginal Risk');
+    });
+});
+
+describe('getStateOutlook against the stand-in', () => {
+    test('combines the gridpoint forecast with SPC and WPC risk for days 1-3', async () => {
+        await useStandIn({
+            '/points/36.16,-86.78': { fixture: 'points-nashville.json' },
+            '/gridpoints/OHX/50,57/forecast': { fixture: 'gridpoint-forecast-ohx.json' },
+            '/products/outlook/day1otlk_cat.nolyr.geojson': { fixture: 'spc-day1-slight.json' },
+            '/exper/eromap/geojson/Day1_Latest.geojson': { fixture: 'ero-day1-marginal.json' },
+            '*': { fixture: 'alerts-empty.json' }
+        });
+        
+        const client = createTestClient();
+        const spc = await outlook.fetchSpcOutlooks(client);
+        const ero = await outlook.fetchExcessiveRainfallOutlooks(client);
+        const result = await outlook.getStateOutlook(TENNESSEE, spc, ero, NOW, client);
+        
+        assert.equal(result.status, 'live');
+        assert.equal(result.days.length, 5);
+        assert.equal(result.days[0].date, '2099-04-02');
+        assert.equal(result.days[0].convectiveOutlook.label, 'Slight Risk');
+        assert.equal(result.days[0].excessiveRainfall.label, 'Marginal Risk');
+        assert.equal(result.days[1].convectiveOutlook.label, 'No risk');
+        assert.equal(result.days[3].convectiveOutlook, null);
+    });
+    
+    test('reports unavailable when every source fails', async () => {
+        await useStandIn({ '*': { status: 500 } });
+        
+        const client = createTestClient();
+        const spc = await outlook.fetchSpcOutlooks(client);
+        const ero = await outlook.fetchExcessiveRainfallOutlooks(client);
+        const result = await outlook.getStateOutlook(TENNESSEE, spc, ero, NOW, client);
+        
+        assert.equal(result.status, 'unavailable');
+        assert.deepEqual(result.failedPoints, ['Nashville']);
+        assert.equal(result.days[0].convectiveOutlook.label, 'Unavailable');
+    });
+});
@@ -0,0 +1,195 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const weather = require('../update-weather.js');
+const { readFixture } = require('./support/nws-stand-in.js');
+
+function fixtureFeatures(name) {
+    return JSON.parse(readFixture(name)).features;
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('processAlerts', () => {
+    test('keeps active alerts and drops expired ones', () => {
+        const result = weather.processAlerts('Alabama', fixtureFeatures('alerts-al-active.json'), false);
+        
+        assert.equal(result.status, 'live');
+        assert.deepEqual(result.alerts.map(alert => alert.event), ['Tornado Warning', 'Flood Watch']);
+        assert.equal(result.alerts[0].id, 'urn:oid:2.49.0.1.840.0.tor1');
+        assert.equal(result.alerts[0].severity, 'Extreme');
+        assert.equal(result.alerts[0].expires, '2099-04-02T18:45:00-05:00');
+    });
+    
+    test('returns no alerts when every alert has expired', () => {
+        const result = weather.processAlerts('Tennessee', fixtureFeatures('alerts-expired.json'), false);
+        
+        assert.deepEqual(result.alerts, []);
+        assert.deepEqual(result.areas, []);
+        assert.equal(result.notes.length, 1);
+    });
+    
+    test('handles an empty feature collection', () => {
+        const result = weather.processAlerts('Georgia', fixtureFeatures('alerts-empty.json'), true);
+        
+        assert.deepEqual(result.alerts, []);
+        assert.equal(weather.describeAlerts(result.alerts), '');
+    });
+    
+    test('merges county and zone alerts for the same county by FIPS', () => {
+        const result = weather.processAlerts('Alabama', fixtureFeatures('alerts-al-active.json'), false);
+        const autauga = result.areas.find(area => area.fips === '01001');
+        
+        assert.equal(autauga.name, 'Autauga');
+        assert.equal(autauga.type, 'county');
+        assert.deepEqual(autauga.ugc, ['ALC001']);
+        assert.deepEqual(autauga.events, ['Tornado Warning', 'Flood Watch']);
+    });
+    
+    test('places a zone alert on its SAME counties without pairing them to zones by position', () => {
+        const alert = {
+            areaDesc: 'Coastal Broward; Coastal Miami-Dade; Far South Miami-Dade; Inland Broward; Inland Miami-Dade',
+            ugc: ['FLZ071', 'FLZ072', 'FLZ073', 'FLZ172', 'FLZ173'],
+            same: ['012011', '012086']
+        };
+        
+        assert.deepEqual(weather.getAlertAreas(alert), [
+            { fips: '12011', ugc: null, name: 'Broward', type: 'county' },
+            { fips: '12086', ugc: null, name: 'Miami-Dade', type: 'county' }
+        ]);
+        // Same counts, different orders: each county still comes from its own SAME code
+        assert.deepEqual(weather.getAlertAreas({ areaDesc: 'Mobile Inland; Autauga', ugc: ['ALZ263', 'ALZ046'], same: ['001001', '001097'] })
+            .map(area => [area.fips, area.name]), [['01001', 'Autauga'], ['01097', 'Mobile']]);
+    });
+    
+    test('keeps zones as areas when no SAME code is a county', () => {
+        const areas = weather.getAlertAreas({ areaDesc: 'Coastal waters from Jupiter Inlet to Deerfield Beach FL out 20 NM', ugc: ['AMZ650'], same: ['075650'] });
+        
+        assert.deepEqual(areas, [{ fips: null, ugc: 'AMZ650', name: 'Coastal waters from Jupiter Inlet to Deerfield Beach FL out 20 NM', type: 'zone' }]);
+    });
+    
+    test('folds the Spanish copy of an alert into the English one by VTEC', () => {
+        const result = weather.processAlerts('U.S. Virgin Islands', fixtureFeatures('alerts-vi-bilingual.json'), false);
+        const advisory = result.alerts.find(alert => alert.event === 'Flood Advisory');
+        
+        assert.equal(result.alerts.filter(alert => alert.id.startsWith('urn:oid:2.49.0.1.630.0.fa42')).length, 1);
+        assert.equal(advisory.id, 'urn:oid:2.49.0.1.630.0.fa42en');
+        assert.equal(advisory.translations.es.id, 'urn:oid:2.49.0.1.630.0.fa42es');
+        assert.equal(advisory.translations.es.event, 'Advertencia de Inundaciones');
+        assert.equal(advisory.translations.es.headline, 'ADVERTENCIA DE INUNDACIONES EN EFECTO HASTA LAS 9 PM AST ESTA NOCHE');
+        assert.match(advisory.translations.es.instruction, /Dé la vuelta, no se ahogue/);
+    });
+    
+    test('keeps Spanish alerts that have no English twin', () => {
+        const result = weather.processAlerts('U.S. Virgin Islands', fixtureFeatures('alerts-vi-bilingual.json'), false);
+        const statement = result.alerts.find(alert => alert.id === 'urn:oid:2.49.0.1.630.0.sps7es');
+        
+        assert.equal(statement.event, 'Declaración Especial del Tiempo');
+        assert.equal(statement.translations, null);
+    });
+});
+
+describe('getCachedConditions', () => {
+    test('reuses recent cached alerts and re-checks expiry', () => {
+        const now = new Date('2099-04-03T00:30:00Z');
+        const cached = {
+            fetchedAt: '2099-04-02T20:00:00Z',
+            alerts: weather.processAlerts('Alabama', fixtureFeatures('alerts-al-active.json'), false).alerts
+        };
+        
+        const result = weather.getCachedConditions('Alabama', false, cached, now);
+        
+        assert.equal(result.status, 'cached');
+        assert.deepEqual(result.alerts.map(alert => alert.event), ['Flood Watch']);
+    });
+    
+    test('marks the state unavailable when the cache is too old', () => {
+        const cached = { fetchedAt: '2000-01-01T00:00:00Z', alerts: [] };
+        const result = weather.getCachedConditions('Alabama', false, cached, new Date('2000-01-02T00:00:00Z'));
+        
+        assert.equal(result.status, 'unavailable');
+        assert.deepEqual(result.alerts, []);
+    });
+});
+
+describe('parseNWSTropicalOutlook', () => {
+    test('splits the outlook into disturbances with 48-hour and 7-day chances', () => {
+        const outlook = weather.parseNWSTropicalOutlook(readFixture('two-active.txt'));
+        
+        assert.equal(outlook.issuedAt, '800 AM EDT Sat Aug 9 2025');
+        assert.match(outlook.summary, /Tropical Storm Erin/);
+        assert.equal(outlook.disturbances.length, 2);
+        assert.equal(outlook.disturbances[0].location, 'Central Tropical Atlantic (AL97)');
+        assert.deepEqual(outlook.disturbances[0].chance48hour, { category: 'high', percent: 70 });
+        assert.deepEqual(outlook.disturbances[0].chance7day, { category: 'high', percent: 90 });
+        assert.deepEqual(outlook.disturbances[1].chance48hour, { category: 'low', percent: 0 });
+    });
+    
+    test('reports a quiet outlook without disturbances', () => {
+        const outlook = weather.parseNWSTropicalOutlook(
+            'Tropical Weather Outlook\n\nTropical cyclone formation is not expected during the next 7 days.\n\n$$\n'
+        );
+        
+        assert.deepEqual(outlook.disturbances, []);
+        assert.match(outlook.summary, /not expected/);
+    });
+    
+    test('returns null for text with no outlook content', () => {
+        assert.equal(weather.parseNWSTropicalOutlook('Nothing to see here.'), null);
+    });
+});
+
+describe('tropical text fallbacks', () => {
+    test('extractTropicalFromAFD pulls the tropical paragraph', () => {
+        const result = weather.extractTropicalFromAFD(readFixture('afd-tropical.txt'));
+        
+        assert.match(result.summary, /tropical wave over the central Atlantic/);
+    });
+    
+    test('extractTropicalFromMarine pulls the storm synopsis', () => {
+        const result = weather.extractTropicalFromMarine(readFixture('hsp-tropical.txt'));
+        
+        assert.match(result.summary, /TROPICAL STORM ERIN/);
+    });
+    
+    test('text fallbacks return null when nothing tropical is mentioned', () => {
+        assert.equal(weather.extractTropicalFromAFD('Dry and quiet.\nHigh pressure dominates.'), null);
+        assert.equal(weather.extractTropicalFromMarine('Winds light and variable.'), null);
+    });
+});
+
+describe('active storms and tropical alerts', () => {
+    test('parseActiveStorms keeps Atlantic storms and upgrades major hurricanes', () => {
+        const storms = weather.parseActiveStorms(JSON.parse(readFixture('current-storms-erin.json')));
+        
+        assert.equal(storms.length, 1);
+        assert.equal(storms[0].id, 'AL052025');
+        assert.equal(storms[0].classificationLabel, 'Major Hurricane');
+        assert.equal(storms[0].advisoryNumber, '17');
+        assert.deepEqual(storms[0].movement, { direction: 'WNW', speedMph: 15 });
+    });
+    
+    test('processTropicalAlerts links SECAR watches to the named storm', () => {
+        const storms = weather.parseActiveStorms(JSON.parse(readFixture('current-storms-erin.json')));
+        const alerts = weather.processAlerts('Florida', fixtureFeatures('alerts-fl-tropical.json'), false).alerts
+            .map(alert => ({ ...alert, state: 'Florida' }));
+        
+        const tropicalAlerts = weather.processTropicalAlerts(alerts, storms);
+        
+        assert.equal(tropicalAlerts.length, 1);
+        assert.equal(tropicalAlerts[0].event, 'Hurricane Watch');
+        assert.equal(tropicalAlerts[0].stormId, 'AL052025');
+    });
+    
+    test('processTropicalAlerts ignores non-tropical alerts', () => {
+        const alerts = weather.processAlerts('Alabama', fixtureFeatures('alerts-al-active.json'), false).alerts;
+        
+        assert.deepEqual(weather.processTropicalAlerts(alerts, []), []);
+    });
+});
@@ -0,0 +1,184 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadRecommendationRules, validateRule, buildRecommendations } = require('../lib/recommendations.js');
+const { createI18n } = require('../lib/i18n.js');
+
+const RULES = loadRecommendationRules();
+
+const REGIONS = [{
+    id: 'alabama-mississippi',
+    chapters: [
+        { id: 'central-alabama', name: 'Central Alabama Chapter', state: 'AL' },
+        { id: 'south-alabama', name: 'South Alabama Chapter', state: 'AL' }
+    ]
+}];
+
+function alert(overrides) {
+    return {
+        id: 'tor-1',
+        event: 'Tornado Warning',
+        severity: 'Extreme',
+        areaDesc: 'Autauga, AL; Elmore, AL',
+        url: 'https://api.weather.gov/alerts/tor-1',
+        ...overrides
+    };
+}
+
+function report(alerts, { outlook = null, tropical = null } = {}) {
+    return {
+        states: [{ name: 'Alabama', code: 'AL', alerts, outlook }],
+        regions: [{
+            id: 'alabama-mississippi',
+            chapters: [{
+                id: 'central-alabama',
+                name: 'Central Alabama Chapter',
+                areas: [{ name: 'Autauga', alertIds: alerts.map(a => a.id) }]
+            }]
+        }],
+        tropical
+    };
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('buildRecommendations', () => {
+    test('tells people to shelter during a Tornado Warning and cites the warning', () => {
+        const result = buildRecommendations(report([alert()]), RULES, REGIONS);
+        
+        assert.equal(result.immediate.length, 1);
+        assert.match(result.immediate[0].text, /Tornado WARNINGS in effect: take shelter now/);
+        assert.deepEqual(result.immediate[0].citations, [{
+            id: 'tor-1',
+            label: 'Tornado Warning, Alabama: Autauga, AL; Elmore, AL',
+            url: 'https://api.weather.gov/alerts/tor-1'
+        }]);
+        assert.ok(result.operations.every(action => action.rule === 'tornado-warning'));
+        assert.match(result.operations[1].text, /Put Disaster Action Teams in Central Alabama Chapter on standby/);
+        assert.deepEqual(result.operations[1].chapters, [{ id: 'central-alabama', name: 'Central Alabama Chapter' }]);
+    });
+    
+    test('says nothing about heat or lightning when no such hazard is present', () => {
+        const result = buildRecommendations(report([]), RULES, REGIONS);
+        
+        assert.deepEqual(result.operations, []);
+        assert.deepEqual(result.immediate.map(item => item.rule), [null]);
+        assert.match(result.immediate[0].text, /No hazards requiring immediate action/);
+        assert.doesNotMatch(JSON.stringify(result), /heat|lightning|holiday/i);
+    });
+    
+    test('keeps warning wording for warnings: no fire or heat text on a watch', () => {
+        const watches = buildRecommendations(report([
+            alert({ id: 'fww-1', event: 'Fire Weather Watch', severity: 'Moderate' }),
+            alert({ id: 'ehw-1', event: 'Extreme Heat Watch', severity: 'Severe' })
+        ]), RULES, REGIONS);
+        assert.doesNotMatch(JSON.stringify(watches), /Fire weather WARNINGS|Heat WARNINGS/);
+        
+        const warning = buildRecommendations(report([alert({ id: 'rfw-1', event: 'Red Flag Warning', severity: 'Severe' })]), RULES, REGIONS);
+        assert.deepEqual(warning.immediate.map(item => item.rule), ['fire-weather']);
+    });
+    
+    test('cites each alert once and names every chapter it reaches', () => {
+        const floods = [
+            alert({ id: 'ffw-1', event: 'Flash Flood Warning', areaDesc: 'A; B; C; D; E' }),
+            alert({ id: 'flw-1', event: 'Flood Warning', areaDesc: 'Autauga' })
+        ];
+        const data = report(floods);
+        data.states.push({ name: 'Georgia', code: 'GA', alerts: [floods[0]], outlook: null });
+        data.regions[0].chapters.push({ id: 'south-alabama', name: 'South Alabama Chapter', areas: [{ name: 'Mobile', alertIds: ['flw-1'] }] });
+        
+        const result = buildRecommendations(data, RULES, REGIONS);
+        const rule = result.immediate.find(item => item.rule === 'flood-warning');
+        
+        assert.deepEqual(rule.citations.map(citation => citation.label), ['Flash Flood Warning, Alabama: A; B; C and 2 more', 'Flood Warning, Alabama: Autauga']);
+        assert.match(result.operations[0].text, /in Central Alabama Chapter and South Alabama Chapter for flood evacuations/);
+    });
+    
+    test('turns hurricanes, formation chances and outlooks into monitoring items', () => {
+        const result = buildRecommendations(report([], {
+            tropical: {
+                storms: [{ id: 'AL052025', name: 'Erin', classification: 'MH', classificationLabel: 'Major Hurricane', advisoryUrl: null }],
+                disturbances: [
+                    { location: 'Central Tropical Atlantic (AL97)', chance7day: { percent: 60 } },
+                    { location: 'Gulf', chance7day: { percent: 20 } }
+                ],
+                secarAlerts: []
+            },
+            outlook: {
+                days: [
+                    { date: '2099-04-02', convectiveOutlook: { rank: 3, label: 'Slight Risk' }, excessiveRainfall: { rank: 0, label: 'No risk' } },
+                    { date: '2099-04-03', convectiveOutlook: { rank: 5, label: 'Moderate Risk' }, excessiveRainfall: { rank: null, label: 'Unavailable' } }
+                ]
+            }
+        }), RULES, REGIONS);
+        
+        assert.deepEqual(result.monitoring.map(item => item.rule), ['active-tropical-system', 'tropical-development', 'severe-outlook']);
+        assert.equal(result.monitoring[1].citations.length, 1);
+        assert.equal(result.monitoring[2].citations[0].label, 'Moderate Risk of severe storms, Alabama, Fri, Apr 3');
+        
+        const outlookAction = result.operations.find(action => action.rule === 'severe-outlook');
+        assert.match(outlookAction.text, /in Central Alabama Chapter and South Alabama Chapter ahead of/);
+        // No tropical alerts yet, so the storm's action has no chapters to name
+        assert.match(result.operations.find(action => action.rule === 'active-tropical-system').text, /for SECAR chapters:/);
+    });
+    
+    test('words rules, quiet lists and citations in the report\'s language', () => {
+        const es = createI18n('es');
+        const data = report([alert()]);
+        data.regions[0].chapters.push({ id: 'south-alabama', name: 'South Alabama Chapter', areas: [{ name: 'Mobile', alertIds: ['tor-1'] }] });
+        const result = buildRecommendations(data, RULES, REGIONS, es);
+        
+        assert.match(result.immediate[0].text, /^AVISOS de tornado en vigor: refúgiese ahora/);
+        assert.equal(result.immediate[0].citations[0].label, 'Aviso de Tornado, Alabama: Autauga, AL; Elmore, AL');
+        assert.match(result.operations[1].text, /de Central Alabama Chapter y South Alabama Chapter para evaluar daños/);
+        assert.match(result.monitoring[0].text, /^Siga a las oficinas locales del NWS/);
+        
+        // A rule without a Spanish version keeps its own wording
+        const untranslated = { ...RULES, rules: [{ id: 'x', type: 'alert', events: ['Tornado Warning'], priority: 'immediate', recommendation: 'Take cover.' }] };
+        assert.equal(buildRecommendations(report([alert()]), untranslated, REGIONS, es).immediate[0].text, 'Take cover.');
+    });
+});
+
+describe('loadRecommendationRules', () => {
+    test('loads the shipped rules without skipping any', () => {
+        const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'recommendations.json'), 'utf8'));
+        
+        assert.equal(RULES.rules.length, config.rules.length);
+        assert.equal(new Set(RULES.rules.map(rule => rule.id)).size, RULES.rules.length);
+    });
+    
+    test('skips rules with mistakes and keeps the rest', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secar-rules-'));
+        const rulesPath = path.join(dir, 'rules.json');
+        fs.writeFileSync(rulesPath, JSON.stringify({
+            rules: [
+                { id: 'ok', type: 'alert', events: ['Heat Advisory'], priority: 'immediate', recommendation: 'Drink water.' },
+                { id: 'bad-outlook', type: 'outlook', product: 'convectiveOutlook', atLeast: 'Huge Risk', priority: 'monitoring', recommendation: 'x' },
+                { id: 'bad-priority', type: 'alert', priority: 'urgent', recommendation: 'x' }
+            ]
+        }));
+        
+        try {
+            const loaded = loadRecommendationRules(rulesPath);
+            assert.deepEqual(loaded.rules.map(rule => rule.id), ['ok']);
+            assert.deepEqual(loaded.quiet, { immediate: [], monitoring: [] });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+    
+    test('explains what is wrong with a rule', () => {
+        assert.match(validateRule({ id: 'x', type: 'formation', priority: 'monitoring', recommendation: 'x', period: '5day' }), /period \(48hour, 7day\)/);
+        assert.match(validateRule({ id: 'x', type: 'alert', priority: 'monitoring' }), /recommendation or actions/);
+        assert.equal(validateRule({ id: 'x', type: 'storm', priority: 'monitoring', actions: ['Check ERVs.'] }), null);
+    });
+});
@@ -0,0 +1,135 @@
+const { test, describe, afterEach, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const rivers = require('../lib/rivers.js');
+const { readFixture, startStandIn, createTestClient } = require('./support/nws-stand-in.js');
+
+const NASHVILLE = { lid: 'NAST1', name: 'Cumberland River at Nashville', fips: '47037', state: 'Tennessee' };
+const MEMPHIS = { lid: 'MEMT1', name: 'Mississippi River at Memphis', fips: '47157', state: 'Tennessee' };
+const NOW = new Date('2099-04-02T23:00:00Z');
+
+const GAUGE_ROUTES = {
+    '/nwps/v1/gauges/NAST1': { fixture: 'gauge-nast1.json' },
+    '/nwps/v1/gauges/NAST1/stageflow': { fixture: 'stageflow-nast1.json' },
+    '/nwps/v1/gauges/MEMT1': { fixture: 'gauge-memt1.json' },
+    '/nwps/v1/gauges/MEMT1/stageflow': { fixture: 'stageflow-memt1.json' }
+};
+
+let standIn;
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    delete process.env.NWPS_BASE;
+    if (standIn) {
+        await standIn.close();
+        standIn = null;
+    }
+});
+
+async function useStandIn(routes) {
+    standIn = await startStandIn(routes);
+    process.env.NWPS_BASE = `${standIn.url}/nwps/v1`;
+}
+
+describe('flood categories', () => {
+    test('picks the highest stage reached and skips stages NWPS leaves unset', () => {
+        const stages = rivers.getFloodStages({ flood: { categories: { action: { stage: -9999 }, minor: { stage: 10 }, moderate: { stage: 14 }, major: { stage: -9999 } } } });
+        
+        assert.deepEqual(stages, { action: null, minor: 10, moderate: 14, major: null });
+        assert.equal(rivers.getFloodCategory(9.9, stages), null);
+        assert.equal(rivers.getFloodCategory(10, stages), 'minor');
+        assert.equal(rivers.getFloodCategory(30, stages), 'moderate');
+        assert.equal(rivers.getFloodCategory(null, stages), null);
+    });
+});
+
+describe('summarizeGauge', () => {
+    const gaugeData = JSON.parse(readFixture('gauge-nast1.json'));
+    const stageflow = JSON.parse(readFixture('stageflow-nast1.json'));
+    
+    test('flags the gauge by its latest reading and forecast crest', () => {
+        const gauge = rivers.summarizeGauge(NASHVILLE, gaugeData, stageflow, NOW);
+        
+        assert.deepEqual(gauge.stages, { action: 34, minor: 40, moderate: 45, major: 50 });
+        assert.deepEqual(gauge.observed, { stage: 36.4, time: '2099-04-02T22:00:00Z', category: 'action', stale: false });
+        assert.deepEqual(gauge.crest, { stage: 42.7, time: '2099-04-04T12:00:00Z', category: 'minor' });
+        assert.equal(gauge.category, 'minor');
+        assert.equal(gauge.forecastIssuedAt, '2099-04-02T20:41:00Z');
+        assert.equal(gauge.url, 'https://water.noaa.gov/gauges/nast1');
+    });
+    
+    test('takes the crest NWPS reports over the highest forecast point', () => {
+        const status = { ...gaugeData.status, forecast: { ...gaugeData.status.forecast, primary: 43.1, validTime: '2099-04-04T18:00:00Z' } };
+        const gauge = rivers.summarizeGauge(NASHVILLE, { ...gaugeData, status }, stageflow, NOW);
+        
+        assert.deepEqual(gauge.crest, { stage: 43.1, time: '2099-04-04T18:00:00Z', category: 'minor' });
+    });
+    
+    test('reads the stageflow series when the gauge record has no status', () => {
+        const gauge = rivers.summarizeGauge(NASHVILLE, { ...gaugeData, status: undefined }, stageflow, NOW);
+        
+        // The missing 20Z reading is skipped, not read as -999 ft
+        assert.deepEqual(gauge.observed, { stage: 36.4, time: '2099-04-02T22:00:00Z', category: 'action', stale: false });
+        // The river holds 42.7 ft for two forecast points; the crest is when it gets there
+        assert.deepEqual(gauge.crest, { stage: 42.7, time: '2099-04-04T12:00:00Z', category: 'minor' });
+    });
+    
+    test('has no crest for gauges NWPS does not forecast', () => {
+        const status = { ...gaugeData.status, forecast: { primary: -999, primaryUnit: 'ft', floodCategory: 'not_defined', validTime: '' } };
+        const gauge = rivers.summarizeGauge(NASHVILLE, { ...gaugeData, status }, { observed: stageflow.observed }, NOW);
+        
+        assert.equal(gauge.crest, null);
+        assert.equal(gauge.category, 'action');
+    });
+    
+    test('marks an old reading stale and leaves it out of the flood category', () => {
+        const status = { observed: gaugeData.status.observed };
+        const later = new Date(Date.parse('2099-04-02T22:00:00Z') + (rivers.OBSERVATION_MAX_AGE_HOURS + 1) * 3600000);
+        const gauge = rivers.summarizeGauge(NASHVILLE, { ...gaugeData, status }, { observed: stageflow.observed }, later);
+        
+        assert.deepEqual(gauge.observed, { stage: 36.4, time: '2099-04-02T22:00:00Z', category: 'action', stale: true });
+        assert.equal(gauge.category, null);
+        // A forecast crest still counts
+        assert.equal(rivers.summarizeGauge(NASHVILLE, gaugeData, stageflow, later).category, 'minor');
+    });
+    
+    test('refuses a response that is not the gauge asked for', () => {
+        assert.throws(() => rivers.summarizeGauge(MEMPHIS, gaugeData, stageflow), /Response is not gauge MEMT1/);
+        assert.throws(() => rivers.summarizeGauge(NASHVILLE, JSON.parse(readFixture('alerts-empty.json')), null), /not gauge NAST1/);
+    });
+});
+
+describe('fetchRiverGauges against the stand-in', () => {
+    test('fetches every gauge live and caches it', async () => {
+        await useStandIn(GAUGE_ROUTES);
+        const cache = {};
+        const result = await rivers.fetchRiverGauges([NASHVILLE, MEMPHIS], { cache, client: createTestClient(), now: NOW });
+        
+        assert.equal(result.status, 'live');
+        assert.deepEqual(result.gauges.map(gauge => [gauge.lid, gauge.state, gauge.status, gauge.category]), [
+            ['NAST1', 'Tennessee', 'live', 'minor'],
+            ['MEMT1', 'Tennessee', 'live', null]
+        ]);
+        assert.equal(cache.NAST1.fetchedAt, NOW.toISOString());
+    });
+    
+    test('falls back to the cached gauge, then to unavailable', async () => {
+        await useStandIn({ '*': { status: 500 } });
+        const fetchedAt = '2099-04-02T20:00:00Z';
+        const cache = { NAST1: { status: 'live', fetchedAt, ...rivers.summarizeGauge(NASHVILLE, JSON.parse(readFixture('gauge-nast1.json')), JSON.parse(readFixture('stageflow-nast1.json')), NOW) } };
+        const result = await rivers.fetchRiverGauges([NASHVILLE, MEMPHIS], { cache, client: createTestClient(), now: NOW });
+        
+        assert.equal(result.status, 'partial');
+        assert.deepEqual(result.gauges.map(gauge => [gauge.lid, gauge.status]), [['NAST1', 'cached'], ['MEMT1', 'unavailable']]);
+        assert.equal(result.gauges[0].fetchedAt, fetchedAt);
+        assert.equal(result.gauges[0].crest.stage, 42.7);
+        
+        // Too old to trust
+        const stale = await rivers.fetchRiverGauges([NASHVILLE], { cache, client: createTestClient(), now: new Date('2099-04-03T12:00:00Z') });
+        assert.equal(stale.status, 'unavailable');
+    });
+});
@@ -0,0 +1,115 @@
+// Local SMTP and webhook sinks that record what the notifier sends
+const http = require('http');
+const net = require('net');
+
+// Speaks just enough SMTP for lib/smtp.js; no STARTTLS is advertised
+function startMockSmtp({ rejectRecipients = false } = {}) {
+    const messages = [];
+    
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        let authStep = 0;
+        let current = { from: null, to: [], auth: null, data: '' };
+        
+        socket.write('220 mock-smtp ready\r\n');
+        
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            
+            while (true) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) {
+                        return;
+                    }
+                    current.data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+                    messages.push(current);
+                    current = { from: null, to: [], auth: current.auth, data: '' };
+                    socket.write('250 queued\r\n');
+                    continue;
+                }
+                
+                const lineEnd = buffer.indexOf('\r\n');
+                if (lineEnd === -1) {
+                    return;
+                }
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+                
+                if (authStep === 1) {
+                    current.auth = { username: Buffer.from(line, 'base64').toString() };
+                    authStep = 2;
+                    socket.write('334 UGFzc3dvcmQ6\r\n');
+                } else if (authStep === 2) {
+                    current.auth.password = Buffer.from(line, 'base64').toString();
+                    authStep = 0;
+                    socket.write('235 authenticated\r\n');
+                } else if (/^EHLO/i.test(line)) {
+                    socket.write('250-mock-smtp\r\n250 AUTH LOGIN\r\n');
+                } else if (/^AUTH LOGIN/i.test(line)) {
+                    authStep = 1;
+                    socket.write('334 VXNlcm5hbWU6\r\n');
+                } else if (/^MAIL FROM:/i.test(line)) {
+                    current.from = line.match(/<([^>]*)>/)[1];
+                    socket.write('250 ok\r\n');
+                } else if (/^RCPT TO:/i.test(line)) {
+                    current.to.push(line.match(/<([^>]*)>/)[1]);
+                    socket.write(rejectRecipients ? '550 no such user\r\n' : '250 ok\r\n');
+                } else if (/^DATA/i.test(line)) {
+                    inData = true;
+                    socket.write('354 end with .\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('502 not implemented\r\n');
+                }
+            }
+        });
+    });
+    
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                host: '127.0.0.1',
+                port: server.address().port,
+                messages,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Records JSON posts; status and delayMs let a test simulate a failing or hung endpoint
+function startMockWebhook({ status = 200, delayMs = 0 } = {}) {
+    const posts = [];
+    
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            posts.push({ path: req.url, body: JSON.parse(body || 'null') });
+            setTimeout(() => {
+                res.writeHead(status, { 'Content-Type': 'text/plain' });
+                res.end(status < 400 ? 'ok' : 'error');
+            }, delayMs);
+        });
+    });
+    
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                posts,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = {
+    startMockSmtp,
+    startMockWebhook
+};
@@ -0,0 +1,81 @@
+// Local stand-in for api.weather.gov and nhc.noaa.gov that replays recorded fixtures
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createHttpClient } = require('../../lib/http');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+// routes maps a request path (with query string) to { status, fixture, productText, delayMs, headers, etag }.
+// A '*' route answers anything not listed; unmatched requests get a 404. A route's failures list
+// ({ status, headers, delayMs } each) is answered in turn before the route itself, and a route
+// with an etag answers a matching If-None-Match with 304.
+function startStandIn(routes = {}) {
+    const requests = [];
+    const headers = [];
+    const hits = new Map();
+    
+    const server = http.createServer((req, res) => {
+        const url = decodeURIComponent(req.url);
+        requests.push(url);
+        headers.push(req.headers);
+        
+        const matched = routes[url] || routes['*'] || { status: 404 };
+        const hit = hits.get(matched) || 0;
+        hits.set(matched, hit + 1);
+        
+        const route = (matched.failures || [])[hit] || matched;
+        const status = route.status || 200;
+        const responseHeaders = { 'Content-Type': 'application/geo+json', ...route.headers };
+        if (route.etag) {
+            responseHeaders.ETag = route.etag;
+            if (req.headers['if-none-match'] === route.etag) {
+                res.writeHead(304, responseHeaders);
+                res.end();
+                return;
+            }
+        }
+        
+        let body;
+        if (route.fixture) {
+            body = readFixture(route.fixture).replace(/\{\{base\}\}/g, server.baseUrl);
+        } else if (route.productText) {
+            body = JSON.stringify({ productText: readFixture(route.productText) });
+        } else {
+            body = JSON.stringify({ status, title: status >= 400 ? 'Stand-in error' : 'OK' });
+        }
+        
+        setTimeout(() => {
+            res.writeHead(status, responseHeaders);
+            res.end(body);
+        }, route.delayMs || 0);
+    });
+    
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            server.baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                url: server.baseUrl,
+                requests,
+                headers,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Same client as a real run, with retries close together so failure tests stay quick
+function createTestClient(options = {}) {
+    return createHttpClient({ backoffMs: 5, timeoutMs: 2000, ...options });
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    createTestClient,
+    readFixture,
+    startStandIn
+};
@@ -0,0 +1,514 @@
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const weather = require('../update-weather.js');
+const { startStandIn, createTestClient } = require('./support/nws-stand-in.js');
+
+const ALL_STATES_EMPTY = { '*': { fixture: 'alerts-empty.json' } };
+
+const TWO_ROUTES = {
+    '/products/types/TWO': { fixture: 'products-two.json' },
+    '/products/two-atlantic': { productText: 'two-active.txt' },
+    '/CurrentStorms.json': { fixture: 'current-storms-erin.json' }
+};
+
+let tempDir;
+let standIn;
+
+async function useStandIn(routes) {
+    standIn = await startStandIn(routes);
+    process.env.NWS_API_BASE = standIn.url;
+    process.env.NHC_BASE = standIn.url;
+    process.env.SPC_BASE = standIn.url;
+    process.env.WPC_BASE = standIn.url;
+    process.env.NWPS_BASE = `${standIn.url}/nwps/v1`;
+    return standIn;
+}
+
+function cachePath() {
+    return path.join(tempDir, 'cache', 'last-good.json');
+}
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secar-weather-'));
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    fs.rmSync(path.join(tempDir, 'cache'), { recursive: true, force: true });
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    delete process.env.NWS_API_BASE;
+    delete process.env.NHC_BASE;
+    delete process.env.SPC_BASE;
+    delete process.env.WPC_BASE;
+    delete process.env.NWPS_BASE;
+    if (standIn) {
+        await standIn.close();
+        standIn = null;
+    }
+});
+
+describe('fetchWeatherConditions against the stand-in', () => {
+    test('builds live state data and caches it', async () => {
+        await useStandIn({
+            ...ALL_STATES_EMPTY,
+            ...TWO_ROUTES,
+            '/alerts?area=AL': { fixture: 'alerts-al-active.json' }
+        });
+        
+        const conditions = await weather.fetchWeatherConditions({ cachePath: cachePath(), client: createTestClient() });
+        
+        assert.equal(conditions.Alabama.status, 'live');
+        assert.equal(conditions.Alabama.alerts.length, 2);
+        assert.equal(conditions.Tennessee.status, 'live');
+        assert.deepEqual(conditions.Tennessee.alerts, []);
+        
+        const cache = JSON.parse(fs.readFileSync(cachePath(), 'utf8'));
+        assert.equal(cache.Alabama.alerts.length, 2);
+    });
+    
+    test('keeps quarantined items for a week in the quarantine file', async () => {
+        const quarantinePath = path.join(tempDir, 'cache', 'quarantine.json');
+        fs.mkdirSync(path.dirname(quarantinePath), { recursive: true });
+        fs.writeFileSync(quarantinePath, JSON.stringify({ items: [
+            { quarantinedAt: '2099-03-20T12:00:00.000Z', url: 'old', at: 'features[0]', problems: [], item: {} },
+            { quarantinedAt: '2099-03-30T12:00:00.000Z', url: 'recent', at: 'features[0]', problems: [], item: {} }
+        ] }));
+        await useStandIn({ ...ALL_STATES_EMPTY, '/alerts?area=AL': { fixture: 'alerts-al-malformed.json' } });
+        
+        const now = new Date('2099-04-02T23:00:00Z');
+        await weather.fetchWeatherConditions({ cachePath: cachePath(), client: createTestClient(), now });
+        
+        const { updatedAt, items } = JSON.parse(fs.readFileSync(quarantinePath, 'utf8'));
+        assert.equal(updatedAt, now.toISOString());
+        assert.deepEqual(items.map(entry => [entry.quarantinedAt, entry.at]), [
+            ['2099-03-30T12:00:00.000Z', 'features[0]'],
+            [now.toISOString(), 'features[1]'],
+            [now.toISOString(), 'features[2]']
+        ]);
+        assert.match(items[1].url, /\/alerts\?area=AL$/);
+        assert.deepEqual(items[1].problems, ['features[1].properties.expires: is required']);
+        assert.equal(items[2].item.properties.id, 'urn:oid:2.49.0.1.840.0.bad-link');
+    });
+    
+    test('falls back to cached data on HTTP errors, then to unavailable', async () => {
+        await useStandIn({ ...ALL_STATES_EMPTY, '/alerts?area=AL': { fixture: 'alerts-al-active.json' } });
+        await weather.fetchWeatherConditions({ cachePath: cachePath(), client: createTestClient() });
+        await standIn.close();
+        
+        await useStandIn({ '*': { status: 503 } });
+        const conditions = await weather.fetchWeatherConditions({ cachePath: cachePath(), client: createTestClient() });
+        
+        assert.equal(conditions.Alabama.status, 'cached');
+        assert.equal(conditions.Alabama.alerts.length, 2);
+        
+        fs.rmSync(cachePath());
+        const uncached = await weather.fetchWeatherConditions({ cachePath: cachePath(), client: createTestClient() });
+        
+        assert.equal(uncached.Alabama.status, 'unavailable');
+        assert.match(weather.describeNote(uncached.Alabama.notes[0]), /could not be retrieved/);
+    });
+    
+    test('rides out a transient outage and a slow response without falling back', async () => {
+        await useStandIn({
+            ...ALL_STATES_EMPTY,
+            '/alerts?area=AL': { fixture: 'alerts-al-active.json', failures: [{ status: 502 }, { status: 503 }] },
+            '/alerts?area=GA': { fixture: 'alerts-empty.json', failures: [{ status: 200, delayMs: 400 }] }
+        });
+        const client = createTestClient({ timeoutMs: 150 });
+        
+        const conditions = await weather.fetchWeatherConditions({ cachePath: cachePath(), client });
+        
+        assert.equal(conditions.Alabama.status, 'live');
+        assert.equal(conditions.Alabama.alerts.length, 2);
+        assert.equal(conditions.Georgia.status, 'live');
+        
+        const alerts = client.getSummary().find(entry => entry.endpoint.endsWith('/alerts'));
+        assert.equal(alerts.requests, 8);
+        assert.equal(alerts.failed, 0);
+        assert.equal(alerts.retries, 3);
+        assert.ok(console.log.mock.calls.some(call => /^HTTP run summary/.test(call.arguments[0])));
+    });
+});
+
+describe('getTropicalOutlook fallback chain', () => {
+    test('uses the NHC outlook and active storms when available', async () => {
+        await useStandIn(TWO_ROUTES);
+        
+        const tropical = await weather.getTropicalOutlook(createTestClient());
+        
+        assert.equal(tropical.status, 'live');
+        assert.equal(tropical.source, 'NHC Tropical Weather Outlook');
+        assert.equal(tropical.disturbances.length, 2);
+        assert.equal(tropical.storms[0].name, 'Erin');
+        assert.equal(tropical.maxFormationChance7day, 90);
+    });
+    
+    test('is partial when the outlook parses but the storm feed fails', async () => {
+        await useStandIn({ ...TWO_ROUTES, '/CurrentStorms.json': { status: 500 } });
+        
+        const tropical = await weather.getTropicalOutlook(createTestClient());
+        
+        assert.equal(tropical.status, 'partial');
+        assert.deepEqual(tropical.storms, []);
+    });
+    
+    test('falls back to the Miami AFD when the outlook fails', async () => {
+        await useStandIn({
+            '/products/types/TWO': { status: 500 },
+            '/products/types/MIAAFDEMF': { fixture: 'products-afd.json' },
+            '/products/afd-miami': { productText: 'afd-tropical.txt' }
+        });
+        
+        const tropical = await weather.getTropicalOutlook(createTestClient());
+        
+        assert.equal(tropical.status, 'text-only');
+        assert.equal(tropical.source, 'NWS Miami Area Forecast Discussion');
+        assert.match(tropical.summary, /tropical wave/);
+    });
+    
+    test('falls back to the High Seas forecast after the AFD', async () => {
+        await useStandIn({
+            '/products/types/TWO': { status: 500 },
+            '/products/types/MIAAFDEMF': { status: 404 },
+            '/products/types/MIAHSP': { fixture: 'products-hsp.json' },
+            '/products/hsp-atlantic': { productText: 'hsp-tropical.txt' }
+        });
+        
+        const tropical = await weather.getTropicalOutlook(createTestClient());
+        
+        assert.equal(tropical.source, 'NWS High Seas Forecast');
+        assert.match(tropical.summary, /TROPICAL STORM ERIN/);
+    });
+    
+    test('marks the outlook unavailable when every source fails', async () => {
+        await useStandIn({ '*': { status: 500 } });
+        
+        const tropical = await weather.getTropicalOutlook(createTestClient());
+        
+        assert.equal(tropical.status, 'unavailable');
+        assert.equal(tropical.maxFormationChance7day, null);
+    });
+});
+
+describe('rendered report', () => {
+    async function renderFromStandIn(routes) {
+        await useStandIn(routes);
+        const conditions = await weather.fetchWeatherConditions({ cachePath: cachePath(), client: createTestClient() });
+        const report = weather.buildReport(conditions, new Date('2099-04-02T23:00:00Z'));
+        return { report, html: weather.renderPage(report) };
+    }
+    
+    test('renders states, chapters and tropical systems into the template', async () => {
+        const { report, html } = await renderFromStandIn({
+            ...ALL_STATES_EMPTY,
+            ...TWO_ROUTES,
+            '/alerts?area=AL': { fixture: 'alerts-al-active.json' },
+            '/alerts?area=FL': { fixture: 'alerts-fl-tropical.json' }
+        });
+        
+        assert.equal(report.version, weather.REPORT_VERSION);
+        assert.match(html, /<!-- SECAR-REPORT:START -->/);
+        assert.match(html, /<span class="state-name">Alabama:<\/span> <span class="data-status data-live">Live<\/span>/);
+        assert.match(html, /<span class="area-names">Autauga<\/span>: Tornado Warning, Flood Watch/);
+        assert.match(html, /Central and Southeast Alabama Chapter/);
+        assert.match(html, /Major Hurricane Erin<\/span> \(AL052025\)/);
+        assert.match(html, /SECAR watches\/warnings: Hurricane Watch \(Florida\)/);
+        assert.match(html, /7-day formation chance: high \(90%\)/);
+        assert.doesNotMatch(html, /Heat Advisory/);
+        
+        // Alabama's tornado warning puts it first in both the matrix and the state list
+        assert.equal(report.hazards.states[0].name, 'Alabama');
+        assert.match(html, /<tr data-state="AL"><th scope="row">Alabama<\/th>(<td[^>]*>[^<]*<\/td>){2}<td class="hazard-warning" title="Tornado Warning">Warning<\/td><td class="hazard-watch" title="Flood Watch">Watch<\/td>/);
+        assert.ok(html.indexOf('data-section="state-AL"') < html.indexOf('data-section="state-TN"'));
+    });
+    
+    test('expands each alert with its text, local times and NWS link', async () => {
+        const { html } = await renderFromStandIn({
+            ...ALL_STATES_EMPTY,
+            '/alerts?area=AL': { fixture: 'alerts-al-active.json' }
+        });
+        
+        assert.match(html, /Weather.gov map checked at 6:00\sPM CDT \/ 7:00\sPM EDT \/ 7:00\sPM AST/);
+        assert.match(html, /<summary><span class="alert-event hazard-warning">Tornado Warning<\/span> Autauga, AL; Elmore, AL <span class="alert-timing">\(From Apr 2, 6:05\sPM CDT until Apr 2, 6:45\sPM CDT\)<\/span><\/summary>/);
+        assert.match(html, /<p class="alert-description">At 605 PM CDT, a severe thunderstorm capable of producing a tornado was located near Prattville, moving northeast at 35 mph.<\/p><p class="alert-description">HAZARD...Tornado.<\/p>/);
+        assert.match(html, /<p class="alert-instruction">TAKE COVER NOW!/);
+        assert.match(html, /<a href="https:\/\/api.weather.gov\/alerts\/urn:oid:2.49.0.1.840.0.tor1" target="_blank" rel="noopener">NWS alert<\/a>/);
+    });
+    
+    test('keeps a potential tropical cyclone from the storm feed', async () => {
+        const { report, html } = await renderFromStandIn({
+            ...ALL_STATES_EMPTY,
+            ...TWO_ROUTES,
+            '/CurrentStorms.json': { fixture: 'current-storms-ptc.json' }
+        });
+        
+        assert.deepEqual(report.tropical.storms.map(storm => [storm.id, storm.classification]), [['AL032099', 'PTC']]);
+        assert.match(html, /<span class="system-name">Potential Tropical Cyclone Three<\/span> \(AL032099\): Advisory 2/);
+        assert.ok(!console.log.mock.calls.some(call => /^Quarantined/.test(String(call.arguments[0]))));
+    });
+    
+    test('escapes NWS text and leaves out alerts that fail validation', async () => {
+        const { report, html } = await renderFromStandIn({
+            ...ALL_STATES_EMPTY,
+            '/alerts?area=AL': { fixture: 'alerts-al-malformed.json' }
+        });
+        const loggedLines = console.log.mock.calls.map(call => String(call.arguments[0]));
+        
+        // The alert with no expiry and the one linking to javascript: are quarantined and logged
+        assert.deepEqual(report.states.find(state => state.code === 'AL').alerts.map(alert => alert.id), ['urn:oid:2.49.0.1.840.0.svr-markup']);
+        assert.ok(loggedLines.some(line => /^Quarantined features\[1\] from .*features\[1\]\.properties\.expires: is required/.test(line)));
+        assert.ok(loggedLines.some(line => /^Quarantined features\[2\] from .*"javascript:alert\(1\)" is not a valid url/.test(line)));
+        
+        const body = html.slice(html.indexOf('<!-- SECAR-REPORT:START -->'), html.indexOf('<!-- SECAR-REPORT:END -->'));
+        assert.doesNotMatch(body, /<script>|<img |<b>|<\/summary><b>|href="javascript:/);
+        assert.match(body, /<span class="alert-event hazard-\w+">Severe Thunderstorm Warning&quot;&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/span> Autauga &lt;img src=x onerror=alert\(1\)&gt;/);
+        assert.match(body, /<span class="area-names">Autauga &lt;img src=x onerror=alert\(1\)&gt;<\/span>/);
+        assert.match(body, /<p class="alert-headline">Severe Thunderstorm Warning &lt;\/summary&gt;&lt;b&gt;until 7:00PM CDT&lt;\/b&gt;<\/p>/);
+        
+        // Tropical outlook text goes through the same escaping
+        report.tropical = {
+            ...report.tropical,
+            source: 'NWS Miami Area Forecast Discussion',
+            summary: 'Tropical wave near <iframe src="https://example.com">',
+            disturbances: [{ number: 1, location: 'Gulf <b>', description: '"><script>alert(1)</script>', chance48hour: null, chance7day: null }]
+        };
+        const tropical = weather.generateReport(report);
+        assert.match(tropical, /<p>Tropical wave near &lt;iframe src=&quot;https:\/\/example.com&quot;&gt;<\/p>/);
+        assert.match(tropical, /<span class="system-name">1\. Gulf &lt;b&gt;<\/span>: &quot;&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    });
+    
+    test('allows only its own inline script and style through its Content-Security-Policy', async () => {
+        const { html } = await renderFromStandIn(ALL_STATES_EMPTY);
+        const hash = text => `'sha256-${crypto.createHash('sha256').update(text).digest('base64')}'`;
+        const policy = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]+)">/)[1];
+        
+        assert.match(policy, /^default-src 'none'; /);
+        assert.ok(policy.includes(`script-src ${hash(html.match(/<script>([\s\S]*?)<\/script>/)[1])};`));
+        assert.ok(policy.includes(`style-src ${hash(html.match(/<style>([\s\S]*?)<\/style>/)[1])};`));
+        assert.match(policy, /connect-src 'self' https:\/\/api\.weather\.gov/);
+        
+        // Inline handlers and style attributes would be blocked, so the page has none
+        assert.doesNotMatch(html, /\son[a-z]+="/);
+        assert.doesNotMatch(html, /\sstyle="/);
+    });
+    
+    test('keys sections and records the alert ids for live refresh', async () => {
+        const { report, html } = await renderFromStandIn({
+            ...ALL_STATES_EMPTY,
+            '/alerts?area=AL': { fixture: 'alerts-al-active.json' }
+        });
+        const alertIds = report.states.flatMap(state => state.alerts.map(alert => alert.id));
+        
+        assert.match(html, /data-section="summary" data-generated-at="2099-04-02T23:00:00.000Z" data-states="TN,MS,AL,GA,FL,NC,SC,VI"/);
+        assert.ok(html.includes(`data-alert-ids="${alertIds.join(' ')}"`));
+        ['changes', 'tropical', 'state-AL', 'state-VI', 'chapters', 'recommendations'].forEach(key => {
+            assert.match(html, new RegExp(`data-section="${key}"`));
+        });
+    });
+    
+    test('marks states, chapters and alert levels for the embed API', async () => {
+        const { html } = await renderFromStandIn({
+            ...ALL_STATES_EMPTY,
+            '/alerts?area=AL': { fixture: 'alerts-al-active.json' }
+        });
+        
+        // Alabama's top level is the tornado warning, boxed by its polygon
+        assert.match(html, /data-section="state-AL" data-state="AL" data-level="warning" data-bounds="-86\.\d+,32\.\d+,-86\.\d+,32\.\d+"/);
+        assert.match(html, /data-section="state-TN" data-state="TN" data-level="none" data-bounds=""/);
+        assert.match(html, /<div class="region-report" data-region="[\w-]+">/);
+        assert.match(html, /<div class="chapter-report" data-chapter="[\w-]+" data-state="AL">/);
+        
+        const settings = JSON.parse(html.match(/id="embedConfig">(.*?)<\/script>/)[1]);
+        assert.deepEqual(settings.allowedOrigins, ['https://experience.arcgis.com']);
+        assert.ok(settings.chapters.some(chapter => chapter.state === 'AL'));
+    });
+    
+    test('lists the river gauges at or forecast to reach flood stage with their crest', async () => {
+        const { report, html } = await renderFromStandIn({
+            ...ALL_STATES_EMPTY,
+            '/nwps/v1/gauges/NAST1': { fixture: 'gauge-nast1.json' },
+            '/nwps/v1/gauges/NAST1/stageflow': { fixture: 'stageflow-nast1.json' },
+            '/nwps/v1/gauges/MEMT1': { fixture: 'gauge-memt1.json' },
+            '/nwps/v1/gauges/MEMT1/stageflow': { fixture: 'stageflow-memt1.json' }
+        });
+        const nashville = report.rivers.gauges.find(gauge => gauge.lid === 'NAST1');
+        
+        assert.equal(report.rivers.status, 'partial');
+        assert.equal(nashville.chapter, 'nashville-area');
+        assert.equal(nashville.timeZone, 'America/Chicago');
+        assert.match(html, /<li><span class="gauge-name flood-minor">Cumberland River at Nashville<\/span> \(Nashville Area Chapter, Tennessee\): Minor flooding · observed 36.4 ft at Apr 2, 5:00\sPM CDT \(Action stage\) · forecast crest 42.7 ft Apr 4, 7:00\sAM CDT \(Minor flooding\) · flood stage 40 ft <a href="https:\/\/water.noaa.gov\/gauges\/nast1"/);
+        assert.doesNotMatch(html, /gauge-name[^>]*>Mississippi River at Memphis/);
+        assert.match(html, /<p class="river-gauges-quiet">1 other gauge below action stage. No data: Pearl River at Jackson, /);
+        
+        assert.match(weather.renderPage(report, undefined, 'es'), /Inundación menor · observado 36.4 ft el 2 abr/);
+        
+        // A reading past its age limit is shown as such, without a category
+        nashville.observed.stale = true;
+        assert.match(weather.renderPage(report), /Minor flooding · last observed 36.4 ft at Apr 2, 5:00\sPM CDT, not current · forecast crest 42.7 ft/);
+    });
+    
+    test('shows the population and facilities under each alert and state', async () => {
+        await useStandIn({
+            ...ALL_STATES_EMPTY,
+            '/alerts?area=AL': { fixture: 'alerts-al-active.json' }
+        });
+        const conditions = await weather.fetchWeatherConditions({ cachePath: cachePath(), client: createTestClient() });
+        const report = weather.buildReport(conditions, new Date('2099-04-02T23:00:00Z'), null, {
+            counties: {
+                '01001': { name: 'Autauga', landSqMi: 594.4, population: 58805 },
+                '01051': { name: 'Elmore', landSqMi: 618.5, population: 87977 },
+                '01097': { name: 'Mobile', landSqMi: 1229.4, population: 414809 }
+            },
+            facilities: [
+                { id: 'prattville', name: 'Prattville Shelter', type: 'shelter', county: '01001', lat: 32.46, lon: -86.47 },
+                { id: 'mobile', name: 'Mobile Warehouse', type: 'warehouse', county: '01097' }
+            ]
+        });
+        const html = weather.renderPage(report);
+        const alabama = report.states.find(state => state.name === 'Alabama');
+        
+        assert.equal(alabama.alerts[0].exposure.method, 'polygon');
+        assert.deepEqual(alabama.alerts[0].exposure.facilities.map(facility => facility.id), ['prattville']);
+        assert.equal(alabama.exposure.population, 58805 + 414809 + alabama.alerts[0].exposure.population);
+        assert.match(html, /<p class="alert-exposure">Estimated population: ~[\d,]+ \(warning polygon\) · Facilities at risk: Prattville Shelter \(shelter\)<\/p>/);
+        assert.match(html, /<div class="state-exposure">Estimated population: [\d,]+ · Facilities at risk: Prattville Shelter \(shelter\), Mobile Warehouse \(warehouse\)<\/div>/);
+    });
+    
+    test('renders the Spanish page with the NWS Spanish text where it was issued', async () => {
+        const { report } = await renderFromStandIn({
+            ...ALL_STATES_EMPTY,
+            '/alerts?area=AL': { fixture: 'alerts-al-active.json' },
+            '/alerts?area=VI': { fixture: 'alerts-vi-bilingual.json' }
+        });
+        const html = weather.renderPage(report, undefined, 'es');
+        
+        assert.match(html, /^<!DOCTYPE html>\s*<html lang="es">/);
+        assert.match(html, /<h1 data-i18n="page.title">Informe del Tiempo de SECAR<\/h1>/);
+        assert.match(html, /<span class="state-name">Islas Vírgenes de EE. UU.:<\/span> <span class="data-status data-live">En vivo<\/span>/);
+        // San Juan's own Spanish text, and a translated event name where NWS sent English only
+        assert.match(html, /<summary><span class="alert-event hazard-advisory">Advertencia de Inundaciones<\/span> St. Thomas and St. John; St. Croix/);
+        assert.match(html, /<p class="alert-headline">ADVERTENCIA DE INUNDACIONES EN EFECTO HASTA LAS 9 PM AST ESTA NOCHE<\/p>/);
+        assert.match(html, /<span class="alert-event hazard-warning">Aviso de Tornado<\/span> Autauga, AL; Elmore, AL <span class="alert-timing">\(Desde 2 abr, 6:05\sp\.\s?m\. CDT hasta 2 abr, 6:45\sp\.\s?m\. CDT\)<\/span>/);
+        assert.match(html, /<h4>Acciones inmediatas<\/h4>/);
+        assert.match(html, /data-alert-ids="[^"]*urn:oid:2.49.0.1.630.0.fa42en urn:oid:2.49.0.1.630.0.fa42es/);
+        assert.match(html, /<span class="warning">AVISOS<\/span> de tornado en vigor/);
+        assert.equal(report.translations.es.recommendations.immediate[0].rule, report.recommendations.immediate[0].rule);
+        
+        // The English page keeps the English text
+        assert.match(weather.renderPage(report), /<span class="alert-event hazard-advisory">Flood Advisory<\/span>/);
+    });
+    
+    test('marks unavailable states and is byte-identical when re-rendered', async () => {
+        const { report, html } = await renderFromStandIn({ '*': { status: 500 } });
+        
+        assert.match(html, /<span class="state-name">Georgia:<\/span> <span class="data-status data-unavailable">Data unavailable<\/span>/);
+        assert.match(html, /5-day outlook data unavailable/);
+        assert.equal(weather.injectReport(html, weather.generateReport(report)), html);
+    });
+});
+
+describe('exports', () => {
+    test('build every format from the same sections as the page', async () => {
+        await useStandIn({
+            ...ALL_STATES_EMPTY,
+            ...TWO_ROUTES,
+            '/alerts?area=AL': { fixture: 'alerts-al-active.json' }
+        });
+        const conditions = await weather.fetchWeatherConditions({ cachePath: cachePath(), client: createTestClient() });
+        const report = weather.buildReport(conditions, new Date('2099-04-02T23:00:00Z'));
+        const outline = weather.buildBriefingOutline(report);
+        
+        assert.deepEqual(outline.sections.slice(0, 5).map(section => section.id), ['hazards', 'changes', 'tropical', 'rivers', 'state-AL']);
+        assert.deepEqual(outline.sections.slice(-2).map(section => section.id), ['chapters', 'recommendations']);
+        
+        const alabama = outline.sections.find(section => section.id === 'state-AL');
+        assert.equal(alabama.blocks[0].text, 'Data status: Live');
+        assert.match(alabama.blocks[1].text, /^Active Tornado Warning WARNINGS in effect\. Flood Watch WATCHES in effect\./);
+        
+        const tornado = alabama.blocks.find(block => block.title === 'Alerts').items[0];
+        assert.equal(tornado.label, 'Tornado Warning');
+        assert.match(tornado.text, /Autauga, AL; Elmore, AL \(From Apr 2, 6:05\sPM CDT until Apr 2, 6:45\sPM CDT\)/);
+        assert.equal(tornado.tone, 'warning');
+        assert.equal(tornado.paragraphs[1], 'HAZARD...Tornado.');
+        assert.equal(tornado.link.href, 'https://api.weather.gov/alerts/urn:oid:2.49.0.1.840.0.tor1');
+        
+        const recommendations = outline.sections.find(section => section.id === 'recommendations');
+        assert.deepEqual(recommendations.blocks.map(block => block.title), ['Immediate Actions', 'Red Cross Operations', '5-Day Monitoring']);
+        assert.match(recommendations.blocks[0].items.find(item => /Tornado/.test(item.text)).note, /^Triggered by: Tornado Warning, Alabama: Autauga, AL; Elmore, AL$/);
+        
+        const dir = fs.mkdtempSync(path.join(tempDir, 'exports-'));
+        const cwd = process.cwd();
+        process.chdir(dir);
+        try {
+            weather.writeExports(report);
+        } finally {
+            process.chdir(cwd);
+        }
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['briefing.es.html', 'briefing.html', 'email.es.html', 'email.html', 'report.es.md', 'report.md']);
+        assert.match(fs.readFileSync(path.join(dir, 'report.md'), 'utf8'), /- \*\*Major Hurricane Erin:\*\* \(AL052025\) Advisory 17/);
+        assert.match(fs.readFileSync(path.join(dir, 'report.es.md'), 'utf8'), /- \*\*Huracán Mayor Erin:\*\* \(AL052025\) Boletín 17/);
+    });
+});
+
+describe('getAlertTimeZone', () => {
+    test('follows the county time zone line inside a state', () => {
+        assert.equal(weather.getAlertTimeZone({ same: ['047037'] }, 'Tennessee'), 'America/Chicago');
+        assert.equal(weather.getAlertTimeZone({ same: ['047093', '047009', '047037'] }, 'Tennessee'), 'America/New_York');
+        assert.equal(weather.getAlertTimeZone({ same: ['012033'] }, 'Florida'), 'America/Chicago');
+        assert.equal(weather.getAlertTimeZone({ same: [] }, 'U.S. Virgin Islands'), 'America/St_Thomas');
+    });
+});
+
+describe('routeAlertsToChapters', () => {
+    test('routes a zone-based alert to the chapters of its SAME counties', () => {
+        const feature = {
+            id: 'urn:oid:2.49.0.1.840.0.hu-south-florida',
+            properties: {
+                event: 'Hurricane Warning',
+                expires: '2099-04-03T11:00:00-04:00',
+                areaDesc: 'Coastal Broward; Coastal Miami-Dade; Far South Miami-Dade; Inland Broward; Inland Miami-Dade',
+                geocode: { UGC: ['FLZ071', 'FLZ072', 'FLZ073', 'FLZ172', 'FLZ173'], SAME: ['012011', '012086'] }
+            }
+        };
+        const florida = weather.processAlerts('Florida', [feature], false, new Date('2099-04-02T23:00:00Z'));
+        const chapters = weather.routeAlertsToChapters([{ name: 'Florida', ...florida }])
+            .flatMap(region => region.chapters)
+            .filter(chapter => chapter.areas.length > 0);
+        
+        assert.deepEqual(chapters.map(chapter => [chapter.id, chapter.areas.map(area => area.name)]),
+            [['broward', ['Broward']], ['greater-miami-keys', ['Miami-Dade']]]);
+        assert.deepEqual(chapters[0].areas[0].alertIds, ['urn:oid:2.49.0.1.840.0.hu-south-florida']);
+    });
+});
+
+describe('injectReport', () => {
+    test('refuses pages with missing or duplicated markers', () => {
+        assert.throws(() => weather.injectReport('<div></div>', 'x'), /markers/);
+        assert.throws(() => weather.injectReport(
+            '<!-- SECAR-REPORT:START --><!-- SECAR-REPORT:END --><!-- SECAR-REPORT:START -->', 'x'), /markers/);
+    });
+});
+
+describe('decorateLevels', () => {
+    test('wraps catalog level words literally and only as whole words', () => {
+        const words = { 'levelWords.warnings': 'AVISOS', 'levelWords.watches': 'VIGILANCIAS (A)', 'levelWords.advisories': 'ADV.' };
+        const i18n = { t: key => words[key] };
+        
+        assert.equal(weather.decorateLevels('AVISOS y CONTRAAVISOS; VIGILANCIAS (A); ADVX y ADV.', i18n),
+            '<span class="warning">AVISOS</span> y CONTRAAVISOS; <span class="watch">VIGILANCIAS (A)</span>; ADVX y <span class="advisory">ADV.</span>');
+        assert.equal(weather.decorateLevels('Tornado WARNINGS in effect'), 'Tornado <span class="warning">WARNINGS</span> in effect');
+    });
+});
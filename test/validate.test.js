@@ -0,0 +1,120 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { validate, validateResponse } = require('../lib/validate.js');
+const schemas = require('../lib/schemas.js');
+const { FIXTURES_DIR, readFixture } = require('./support/nws-stand-in.js');
+
+const PERIODS = {
+    type: 'object',
+    required: ['periods'],
+    properties: {
+        periods: {
+            type: 'array',
+            quarantine: true,
+            items: {
+                type: 'object',
+                required: ['startTime'],
+                properties: {
+                    startTime: { type: 'string', format: 'date-time' },
+                    temperature: { type: 'number' },
+                    hazards: { type: 'array', quarantine: true, items: { type: 'string', enum: ['Fog', 'Snow'] } }
+                }
+            }
+        }
+    }
+};
+
+describe('validate', () => {
+    test('accepts a fitting value and treats null properties as absent', () => {
+        const value = { periods: [{ startTime: '2099-04-02T06:00:00-05:00', temperature: null }] };
+        const result = validate(value, PERIODS);
+        
+        assert.deepEqual(result.problems, []);
+        assert.equal(result.value, value);
+    });
+    
+    test('reports each problem with its path', () => {
+        const { problems } = validate({ periods: 'none' }, PERIODS);
+        assert.deepEqual(problems, ['periods: expected array, got string']);
+        
+        assert.deepEqual(validate(null, PERIODS).problems, ['response: expected object, got null']);
+        assert.deepEqual(validate({ id: 'AL1' }, { type: 'object', properties: { id: { type: 'string', pattern: '^[A-Z]+$' } } }).problems,
+            ['id: does not match ^[A-Z]+$']);
+        assert.deepEqual(validate({ url: 'javascript:alert(1)' }, { type: 'object', properties: { url: { type: 'string', format: 'url' } } }).problems,
+            ['url: "javascript:alert(1)" is not a valid url']);
+        assert.deepEqual(validate(Infinity, { type: 'number' }).problems, ['response: expected number, got Infinity']);
+    });
+    
+    test('quarantines the items of a quarantine list that fail, leaving the input alone', () => {
+        const value = {
+            periods: [
+                { startTime: '2099-04-02T06:00:00-05:00', hazards: ['Fog', 'Hail'] },
+                { temperature: 78 },
+                { startTime: 'Thursday', hazards: ['Volcano'] }
+            ]
+        };
+        const quarantined = [];
+        const result = validate(value, PERIODS, '', quarantined);
+        
+        assert.deepEqual(result.problems, []);
+        assert.deepEqual(result.value.periods, [{ startTime: '2099-04-02T06:00:00-05:00', hazards: ['Fog'] }]);
+        assert.equal(value.periods.length, 3);
+        
+        // The third period's bad hazard isn't listed: the period went as a whole
+        assert.deepEqual(quarantined.map(entry => [entry.at, entry.problems]), [
+            ['periods[0].hazards[1]', ['periods[0].hazards[1]: "Hail" is not one of Fog, Snow']],
+            ['periods[1]', ['periods[1].startTime: is required']],
+            ['periods[2]', ['periods[2].startTime: "Thursday" is not a valid date-time']]
+        ]);
+    });
+    
+    test('validateResponse throws when the response itself does not fit', () => {
+        assert.throws(() => validateResponse({}, PERIODS), { message: 'Invalid response: periods: is required' });
+        assert.deepEqual(validateResponse({ periods: [{}] }, PERIODS), {
+            value: { periods: [] },
+            quarantined: [{ at: 'periods[0]', problems: ['periods[0].startTime: is required'], item: {} }]
+        });
+    });
+});
+
+describe('response schemas', () => {
+    test('accept every recorded fixture as it is', () => {
+        const fixtureSchemas = {
+            alerts: schemas.ALERTS,
+            'current-storms': schemas.CURRENT_STORMS,
+            ero: schemas.OUTLOOK_FEATURES,
+            spc: schemas.OUTLOOK_FEATURES,
+            gauge: schemas.GAUGE,
+            stageflow: schemas.STAGEFLOW,
+            'gridpoint-forecast': schemas.GRIDPOINT_FORECAST,
+            points: schemas.POINT,
+            products: schemas.PRODUCT_LIST
+        };
+        
+        fs.readdirSync(FIXTURES_DIR)
+            .filter(name => name.endsWith('.json') && name !== 'routes.json' && name !== 'alerts-al-malformed.json')
+            .forEach(name => {
+                const prefix = Object.keys(fixtureSchemas).find(key => name.startsWith(`${key}-`));
+                assert.ok(prefix, `no schema for ${name}`);
+                const data = JSON.parse(readFixture(name).replace(/\{\{base\}\}/g, 'http://127.0.0.1:8080'));
+                assert.deepEqual(validateResponse(data, fixtureSchemas[prefix]).quarantined, [], name);
+            });
+    });
+    
+    test('quarantine alerts with no expiry time or a non-web link', () => {
+        const data = JSON.parse(readFixture('alerts-al-malformed.json'));
+        const { value, quarantined } = validateResponse(data, schemas.ALERTS);
+        
+        assert.deepEqual(value.features.map(feature => feature.properties.id), ['urn:oid:2.49.0.1.840.0.svr-markup']);
+        assert.deepEqual(quarantined.map(entry => entry.problems), [
+            ['features[1].properties.expires: is required'],
+            ['features[2].properties.@id: "javascript:alert(1)" is not a valid url']
+        ]);
+    });
+    
+    test('refuse a gauge response for something that is not a gauge', () => {
+        assert.throws(() => validateResponse({ type: 'FeatureCollection', features: [] }, schemas.GAUGE), /lid: is required/);
+    });
+});
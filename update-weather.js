@@ -1,408 +1,717 @@
 // update-weather.js
 const fs = require('fs');
+const path = require('path');
 
-// Use built-in fetch in Node 18+
-const fetch = globalThis.fetch;
-
-// Weather office mapping for SECAR states
-const WEATHER_OFFICES = {
-    'Tennessee': 'Nashville, TN',
-    'Mississippi': 'Jackson, MS', 
-    'Alabama': 'Birmingham, AL',
-    'Georgia': 'Atlanta, GA',
-    'Florida': 'Miami, FL',
-    'North Carolina': 'Raleigh, NC',
-    'South Carolina': 'Charleston, SC',
-    'U.S. Virgin Islands': 'San Juan, PR'
+const { getNwsApiBase, getNhcBase } = require('./lib/endpoints');
+const { createHttpClient } = require('./lib/http');
+const { ALERTS, PRODUCT_LIST, PRODUCT, CURRENT_STORMS } = require('./lib/schemas');
+const { createFixtureFetch } = require('./lib/fixtures');
+const { EXIT_CODES, USAGE, parseCliArgs, getRunStatus } = require('./lib/cli');
+const { fetchFiveDayOutlook } = require('./lib/outlook');
+const { fetchRiverGauges, compareFloodCategory } = require('./lib/rivers');
+const { diffReports } = require('./lib/changes');
+const { runNotifier } = require('./lib/notify');
+const { roundGeometry } = require('./lib/geo');
+const { renderAlertMap, getAlertBounds } = require('./lib/map');
+const { escapeHtml, safeUrl } = require('./lib/html');
+const { LANGUAGES, DEFAULT_LANGUAGE, createI18n, localizeAlert, localizePath, localizePage } = require('./lib/i18n');
+const { ARCHIVE_DIR, archiveReport } = require('./lib/archive');
+const { loadRecommendationRules, buildRecommendations } = require('./lib/recommendations');
+const { loadCountyPopulation, loadFacilities, estimateAlertExposure, summarizeStateExposure } = require('./lib/exposure');
+const { renderMarkdown, renderEmailHtml, renderPrintBriefing } = require('./lib/export');
+const { loadEmbedConfig, buildEmbedSettings, applyEmbedSettings } = require('./lib/embed');
+const { applyContentSecurityPolicy } = require('./lib/csp');
+const { getProductLevel, getLevelName, compareAlertRank, dedupeAlerts, compareStateThreat, buildHazardMatrix } = require('./lib/hazards');
+
+// Bump when the shape of report.json changes in a way consumers must notice
+const REPORT_VERSION = 10;
+const REPORT_JSON_PATH = 'report.json';
+
+// Last successful NWS data per state, reused (and labeled with its age) when a fetch fails
+const CACHE_PATH = 'cache/last-good.json';
+const CACHE_MAX_AGE_HOURS = 12;
+// ETag/Last-Modified validators and bodies for conditional requests, kept beside the cache
+const HTTP_CACHE_FILE = 'http.json';
+// Upstream items that failed their schema, kept a week beside the cache so they can be reviewed
+const QUARANTINE_FILE = 'quarantine.json';
+const QUARANTINE_MAX_AGE_DAYS = 7;
+
+// index.html is always rebuilt from the clean template; the report lives between these markers
+const TEMPLATE_PATH = 'template.html';
+const OUTPUT_HTML_PATH = 'index.html';
+const REPORT_START_MARKER = '<!-- SECAR-REPORT:START -->';
+const REPORT_END_MARKER = '<!-- SECAR-REPORT:END -->';
+
+// Other formats published next to the page, all from the same report model
+const EXPORT_PATHS = {
+    briefing: 'briefing.html',
+    email: 'email.html',
+    markdown: 'report.md'
+};
+
+// The page and every export are also published in each other language, e.g. index.es.html
+const TRANSLATED_LANGUAGES = Object.keys(LANGUAGES).filter(language => language !== DEFAULT_LANGUAGE);
+
+// SECAR regions, chapters, their counties and responsible NWS offices (WFOs).
+// Territory changes belong in the config file, not here.
+const SECAR_CONFIG_PATH = path.join(__dirname, 'config', 'secar-regions.json');
+const SECAR_CONFIG = loadSecarConfig(SECAR_CONFIG_PATH);
+
+// Host pages allowed to drive the page through its embed API (lib/embed.js)
+const EMBED_CONFIG = loadEmbedConfig();
+
+// Hazard-to-action rules, kept in config/recommendations.json for operations staff to edit
+const RECOMMENDATION_RULES = loadRecommendationRules();
+
+// Bundled county population and the chapter offices, warehouses and shelters in config/facilities.json
+const EXPOSURE_DATA = {
+    counties: loadCountyPopulation(),
+    facilities: loadFacilities()
 };
 
-async function fetchWeatherConditions() {
+function loadSecarConfig(configPath) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    
+    // Index county FIPS and zone UGC codes to their chapter for alert routing
+    config.areaIndex = new Map();
+    config.countyNames = new Map();
+    config.regions.forEach(region => {
+        region.chapters.forEach(chapter => {
+            const target = { region, chapter };
+            Object.entries(chapter.counties || {}).forEach(([fips, name]) => {
+                config.areaIndex.set(fips, target);
+                config.countyNames.set(fips, name);
+            });
+            (chapter.zones || []).forEach(ugc => config.areaIndex.set(ugc, target));
+        });
+    });
+    
+    // Counties observing a different time zone from the rest of their state (east Tennessee, west Florida)
+    config.timeZoneIndex = new Map();
+    Object.values(config.states).forEach(stateConfig => {
+        Object.entries(stateConfig.countyTimeZones || {}).forEach(([timeZone, counties]) => {
+            counties.forEach(fips => config.timeZoneIndex.set(fips, timeZone));
+        });
+    });
+    
+    return config;
+}
+
+// client is the run's shared HTTP client (lib/http.js); every request below goes through it,
+// so the states, tropical sources and outlooks are fetched side by side within its limit.
+// now is the time alerts are judged against; persist: false leaves both caches untouched.
+async function fetchWeatherConditions({
+    cachePath = CACHE_PATH,
+    client,
+    now = new Date(),
+    states = Object.keys(SECAR_CONFIG.states),
+    persist = true
+} = {}) {
     const conditions = {};
+    const http = client || createHttpClient({ cachePath: path.join(path.dirname(cachePath), HTTP_CACHE_FILE) });
     
     // Current date for weather analysis
-    const today = new Date();
+    const today = now;
     const isHotSeason = today.getMonth() >= 4 && today.getMonth() <= 9; // May-October
+    const cache = loadCache(cachePath);
+    const stateConfigs = Object.fromEntries(states.map(state => [state, SECAR_CONFIG.states[state]]));
+    const gauges = states.flatMap(state => (SECAR_CONFIG.states[state].riverGauges || []).map(gauge => ({ ...gauge, state })));
+    cache.rivers = cache.rivers || {};
     
     try {
-        // Fetch conditions for each state
-        for (const [state, office] of Object.entries(WEATHER_OFFICES)) {
-            try {
-                conditions[state] = await generateStateConditions(state, isHotSeason);
-            } catch (error) {
-                console.log(`Using fallback for ${state}`);
-                conditions[state] = generateFallbackConditions(state, isHotSeason);
-            }
-        }
-        
-        // Get tropical outlook from NWS/NOAA sources
-        conditions.tropical = await getTropicalOutlook();
+        const [stateConditions, tropical, outlooks, rivers] = await Promise.all([
+            // Fetch conditions for each state
+            Promise.all(states.map(state => generateStateConditions(state, isHotSeason, cache, http, now))),
+            
+            // Get tropical outlook from NWS/NOAA sources
+            getTropicalOutlook(http),
+            
+            // Forward-looking hazards from gridpoint forecasts and SPC/WPC outlooks
+            fetchFiveDayOutlook(stateConfigs, today, http),
+            
+            // Observed stages and forecast crests at the configured river gauges
+            fetchRiverGauges(gauges, { cache: cache.rivers, client: http, now, maxAgeHours: CACHE_MAX_AGE_HOURS })
+        ]);
         
+        states.forEach((state, i) => {
+            conditions[state] = stateConditions[i];
+        });
+        conditions.tropical = tropical;
+        conditions.outlooks = outlooks;
+        conditions.rivers = rivers;
+    
     } catch (error) {
         console.error('Error fetching weather data:', error);
         throw new Error('Unable to fetch current weather data');
+    } finally {
+        http.logSummary();
+    }
+    
+    if (persist) {
+        saveCache(cache, cachePath);
+        http.saveCache();
+        saveQuarantine(http.getQuarantine(), path.join(path.dirname(cachePath), QUARANTINE_FILE), now);
     }
     
     return conditions;
 }
 
+function loadCache(cachePath = CACHE_PATH) {
+    try {
+        return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    } catch (error) {
+        console.log(`No usable cache at ${cachePath}, starting empty`);
+        return {};
+    }
+}
+
+function saveCache(cache, cachePath = CACHE_PATH) {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2) + '\n');
+}
+
+// Adds this run's quarantined items ({ url, at, problems, item }) to the file, stamped with the
+// run time, and drops entries older than QUARANTINE_MAX_AGE_DAYS
+function saveQuarantine(entries, quarantinePath, now = new Date()) {
+    let items = [];
+    try {
+        items = JSON.parse(fs.readFileSync(quarantinePath, 'utf8')).items || [];
+    } catch (error) {
+        // No earlier quarantine file: start a new one
+    }
+    
+    const cutoff = now.getTime() - QUARANTINE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const kept = items.filter(entry => Date.parse(entry.quarantinedAt) >= cutoff);
+    if (entries.length === 0 && kept.length === items.length && fs.existsSync(quarantinePath)) {
+        return;
+    }
+    
+    const quarantinedAt = now.toISOString();
+    const quarantine = { updatedAt: quarantinedAt, items: [...kept, ...entries.map(entry => ({ quarantinedAt, ...entry }))] };
+    fs.mkdirSync(path.dirname(quarantinePath), { recursive: true });
+    fs.writeFileSync(quarantinePath, JSON.stringify(quarantine, null, 2) + '\n');
+}
+
 function getStateCode(state) {
-    const codes = {
-        'Tennessee': 'TN',
-        'Mississippi': 'MS',
-        'Alabama': 'AL', 
-        'Georgia': 'GA',
-        'Florida': 'FL',
-        'North Carolina': 'NC',
-        'South Carolina': 'SC',
-        'U.S. Virgin Islands': 'VI'
-    };
-    return codes[state] || 'US';
+    return SECAR_CONFIG.states[state]?.code || 'US';
 }
 
-async function generateStateConditions(state, isHotSeason) {
+// Time zone most of an alert's counties observe; the state's zone when it lists none
+function getAlertTimeZone(alert, state) {
+    const stateZone = SECAR_CONFIG.states[state].timeZone;
+    const counts = new Map();
+    
+    (alert.same || []).forEach(code => {
+        const timeZone = SECAR_CONFIG.timeZoneIndex.get(code.slice(-5)) || stateZone;
+        counts.set(timeZone, (counts.get(timeZone) || 0) + 1);
+    });
+    
+    const [majority] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    return majority ? majority[0] : stateZone;
+}
+
+async function generateStateConditions(state, isHotSeason, cache = {}, client = createHttpClient(), now = new Date()) {
     try {
         // Try to fetch real alerts from weather.gov
         const stateCode = getStateCode(state);
-        const alertsUrl = `https://api.weather.gov/alerts?area=${stateCode}`;
-        
-        const response = await fetch(alertsUrl, {
-            headers: {
-                'User-Agent': 'SECAR-Weather-Report (github.com/franzenjb/SECAR-claude)'
-            }
-        });
+        const alertsUrl = `${getNwsApiBase()}/alerts?area=${stateCode}`;
         
-        if (response.ok) {
-            const data = await response.json();
-            return processAlerts(state, data.features || [], isHotSeason);
-        } else {
-            throw new Error(`API returned ${response.status}`);
-        }
+        const data = await client.getJson(alertsUrl, { accept: 'application/geo+json', schema: ALERTS });
+        const conditions = processAlerts(state, data.features || [], isHotSeason, now);
+        cache[state] = { fetchedAt: conditions.fetchedAt, alerts: conditions.alerts };
+        return conditions;
     } catch (error) {
-        console.log(`API fetch failed for ${state}, using fallback`);
-        return generateFallbackConditions(state, isHotSeason);
+        console.log(`API fetch failed for ${state} (${error.message}), checking cache`);
+        return getCachedConditions(state, isHotSeason, cache[state], now);
     }
 }
 
-function processAlerts(state, alerts, isHotSeason) {
-    let condition = '';
-    const activeAlerts = alerts.filter(alert => 
-        new Date(alert.properties.expires) > new Date()
-    );
-
-    if (activeAlerts.length > 0) {
-        const warnings = activeAlerts.filter(a => 
-            a.properties.severity === 'Severe' || 
-            a.properties.severity === 'Extreme' ||
-            a.properties.event.includes('Warning')
-        );
-        const watches = activeAlerts.filter(a => 
-            a.properties.event.includes('Watch')
-        );
-        const advisories = activeAlerts.filter(a => 
-            a.properties.severity === 'Moderate' ||
-            a.properties.event.includes('Advisory')
-        );
-        
-        if (warnings.length > 0) {
-            const warningTypes = warnings.map(w => w.properties.event).join(', ');
-            condition += `Active ${warningTypes} WARNINGS in effect. `;
-        }
-        
-        if (watches.length > 0) {
-            const watchTypes = watches.map(w => w.properties.event).join(', ');
-            condition += `${watchTypes} WATCHES in effect. `;
-        }
-        
-        if (advisories.length > 0) {
-            const advisoryTypes = advisories.map(a => a.properties.event).join(', ');
-            condition += `${advisoryTypes} ADVISORIES in effect. `;
-        }
+// Reuse the last good fetch if it is recent enough, re-checking expiry against the current time
+function getCachedConditions(state, isHotSeason, cached, now = new Date()) {
+    const ageHours = cached ? (now - new Date(cached.fetchedAt)) / 3600000 : Infinity;
+    
+    if (!(ageHours <= CACHE_MAX_AGE_HOURS)) {
+        console.log(`No cached data within ${CACHE_MAX_AGE_HOURS} hours for ${state}, marking unavailable`);
+        return generateUnavailableConditions(state);
     }
     
-    // Add seasonal conditions
-    condition += getSeasonalConditions(state, isHotSeason);
+    console.log(`Using cached data for ${state} from ${cached.fetchedAt}`);
+    const alerts = cached.alerts.filter(alert => new Date(alert.expires) > now);
     
-    return condition || `No significant weather hazards reported for ${state} at this time.`;
+    return {
+        status: 'cached',
+        fetchedAt: cached.fetchedAt,
+        alerts,
+        areas: groupAlertsByArea(alerts),
+        notes: [getSeasonalConditions(state, isHotSeason)]
+    };
 }
 
-function generateFallbackConditions(state, isHotSeason) {
-    let conditions = '';
+function processAlerts(state, alerts, isHotSeason, now = new Date()) {
+    const activeAlerts = alerts.filter(alert => 
+        new Date(alert.properties.expires) > now
+    );
     
-    if (isHotSeason) {
-        conditions += `Hot and humid conditions with ADVISORIES for heat index values near or above 100°F. `;
-        
-        if (state === 'Florida') {
-            conditions += 'WATCHES for heavy rainfall and potential flash flooding. Scattered to numerous thunderstorms with frequent lightning and locally heavy rainfall. ';
-        } else if (state === 'Mississippi' || state === 'Alabama') {
-            conditions += 'Isolated to scattered thunderstorms possible with frequent lightning and brief heavy downpours. Monitor for heat-related illnesses. ';
-        } else if (state === 'Georgia' || state === 'South Carolina') {
-            conditions += 'Scattered afternoon thunderstorms with dangerous lightning and locally heavy rainfall. ';
-        } else if (state === 'Tennessee' || state === 'North Carolina') {
-            conditions += 'ADVISORIES for scattered thunderstorms with lightning and brief heavy rainfall. ';
-        } else if (state === 'U.S. Virgin Islands') {
-            conditions += 'ADVISORIES for isolated showers and thunderstorms with dangerous lightning. ';
-        }
-    } else {
-        conditions += `Seasonal temperatures expected for ${state}. `;
-        
-        if (state === 'Florida' || state === 'U.S. Virgin Islands') {
-            conditions += 'Mild temperatures with occasional shower activity. ';
-        } else {
-            conditions += 'Monitor for potential winter weather impacts and changing conditions. ';
-        }
-    }
+    const normalized = dedupeAlerts(pairTranslatedAlerts(activeAlerts).map(normalizeAlert));
     
-    return conditions;
+    return {
+        status: 'live',
+        fetchedAt: now.toISOString(),
+        alerts: normalized,
+        areas: groupAlertsByArea(normalized),
+        notes: [getSeasonalConditions(state, isHotSeason)]
+    };
 }
 
-function getSeasonalConditions(state, isHotSeason) {
-    if (isHotSeason) {
-        return 'Monitor for heat stress during outdoor activities. Stay hydrated and seek air conditioning during peak heating hours. ';
-    } else {
-        return 'Typical seasonal weather patterns expected. Monitor for changing conditions. ';
-    }
+// Reduce an /alerts GeoJSON feature to the fields the report model carries
+function normalizeAlert(feature) {
+    const props = feature.properties || {};
+    return {
+        id: props.id || feature.id || null,
+        event: props.event || 'Unknown Event',
+        severity: props.severity || 'Unknown',
+        urgency: props.urgency || 'Unknown',
+        certainty: props.certainty || 'Unknown',
+        onset: props.onset || props.effective || null,
+        expires: props.expires || null,
+        ends: props.ends || null,
+        areaDesc: props.areaDesc || '',
+        ugc: props.geocode?.UGC || [],
+        same: props.geocode?.SAME || [],
+        references: (props.references || []).map(ref => ref.identifier).filter(Boolean),
+        headline: props.headline || null,
+        description: props.description || null,
+        instruction: props.instruction || null,
+        // Link to the NWS alert record itself
+        url: props['@id'] || (/^https?:/.test(feature.id) ? feature.id : null),
+        senderName: props.senderName || null,
+        // Storm-based warnings carry their own polygon; zone-based alerts have none
+        geometry: roundGeometry(feature.geometry),
+        // Text of the same alert NWS issued in another language, by language code
+        translations: feature.translations || null
+    };
 }
 
-async function getTropicalOutlook() {
-    try {
-        console.log('Fetching tropical outlook from NWS/NOAA sources...');
-        
-        // Method 1: NWS Tropical Weather Outlook Text Products
-        try {
-            console.log('Trying NWS Tropical Weather Outlook products...');
-            const response = await fetch('https://api.weather.gov/products/types/MIATWO', {
-                headers: {
-                    'User-Agent': 'SECAR-Weather-Report (github.com/franzenjb/SECAR-claude)',
-                    'Accept': 'application/json'
-                }
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                console.log('NWS TWO products received:', data['@graph']?.length || 0, 'products');
-                
-                if (data['@graph'] && data['@graph'].length > 0) {
-                    // Get the most recent tropical weather outlook
-                    const latestOutlook = data['@graph'][0];
-                    
-                    // Fetch the actual product text
-                    const productResponse = await fetch(latestOutlook['@id'], {
-                        headers: {
-                            'User-Agent': 'SECAR-Weather-Report (github.com/franzenjb/SECAR-claude)',
-                            'Accept': 'application/json'
-                        }
-                    });
-                    
-                    if (productResponse.ok) {
-                        const productData = await productResponse.json();
-                        return parseNWSTropicalOutlook(productData.productText);
+// NWS San Juan sends many products in English and Spanish as two alerts with the same VTEC
+// (or, without one, the same send time and zones), the Spanish one marked by its language.
+// Each Spanish copy is folded into its English alert; one without an English twin stays as is.
+function pairTranslatedAlerts(features) {
+    const isSpanish = feature => /^es\b/i.test(feature.properties?.language || '');
+    const pairingKey = props => props.parameters?.VTEC?.[0] || `${props.sent}|${(props.geocode?.UGC || []).join(',')}`;
+    
+    const spanish = new Map(features.filter(isSpanish).map(feature => [pairingKey(feature.properties), feature]));
+    const paired = new Set();
+    
+    return features
+        .map(feature => {
+            const twin = !isSpanish(feature) && spanish.get(pairingKey(feature.properties || {}));
+            if (!twin) {
+                return feature;
+            }
+            paired.add(twin);
+            const props = twin.properties;
+            return {
+                ...feature,
+                translations: {
+                    es: {
+                        id: props.id || null,
+                        event: props.event || null,
+                        headline: props.parameters?.NWSheadline?.[0] || props.headline || null,
+                        description: props.description || null,
+                        instruction: props.instruction || null
                     }
                 }
-            }
-        } catch (error) {
-            console.log('NWS TWO failed:', error.message);
-        }
+            };
+        })
+        .filter(feature => !paired.has(feature));
+}
 
-        // Method 2: NWS Tropical Alerts
-        try {
-            console.log('Trying NWS tropical alerts...');
-            const tropicalEvents = [
-                'Tropical Storm Watch', 'Tropical Storm Warning',
-                'Hurricane Watch', 'Hurricane Warning',
-                'Tropical Depression', 'Tropical Cyclone'
-            ];
-            
-            const eventQuery = tropicalEvents.join(',');
-            const response = await fetch(`https://api.weather.gov/alerts?event=${encodeURIComponent(eventQuery)}`, {
-                headers: {
-                    'User-Agent': 'SECAR-Weather-Report (github.com/franzenjb/SECAR-claude)'
-                }
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                console.log('Tropical alerts received:', data.features?.length || 0, 'alerts');
-                
-                if (data.features && data.features.length > 0) {
-                    return processTropicalAlerts(data.features);
-                }
+// Split an alert into its affected counties/zones. A county UGC code (ALC001) carries the
+// county's own FIPS number. NWS doesn't list SAME codes in step with zone UGC codes, so a
+// zone-based product is placed on every county in its SAME set instead; its zones are kept
+// as areas only when none of those codes is a county we cover (marine and offshore zones).
+// areaDesc lists names in UGC order when the counts agree; otherwise our county name or the
+// code itself is the label.
+function getAlertAreas(alert) {
+    const names = alert.areaDesc.split(';')
+        .map(name => name.trim().replace(/,\s*[A-Z]{2}$/, ''))
+        .filter(Boolean);
+    
+    if (alert.ugc.length === 0) {
+        return names.map(name => ({ fips: null, ugc: null, name, type: 'zone' }));
+    }
+    
+    const label = (ugc, i, fallback = ugc) => names.length === alert.ugc.length ? names[i] : fallback;
+    const counties = alert.ugc
+        .map((ugc, i) => {
+            if (ugc.charAt(2) !== 'C') {
+                return null;
             }
-        } catch (error) {
-            console.log('NWS tropical alerts failed:', error.message);
-        }
+            const stateFips = Object.values(SECAR_CONFIG.states).find(state => state.code === ugc.slice(0, 2))?.fips;
+            const fips = stateFips ? stateFips + ugc.slice(3) : null;
+            return { fips, ugc, name: label(ugc, i, SECAR_CONFIG.countyNames.get(fips) || ugc), type: 'county' };
+        })
+        .filter(Boolean);
+    const zones = alert.ugc
+        .map((ugc, i) => ugc.charAt(2) === 'C' ? null : { fips: null, ugc, name: label(ugc, i), type: 'zone' })
+        .filter(Boolean);
+    
+    if (zones.length === 0) {
+        return counties;
+    }
+    
+    const zoneCounties = [...new Set(alert.same.map(code => code.slice(-5)))]
+        .filter(fips => SECAR_CONFIG.countyNames.has(fips) && !counties.some(county => county.fips === fips))
+        .map(fips => ({ fips, ugc: null, name: SECAR_CONFIG.countyNames.get(fips), type: 'county' }));
+    
+    return [...counties, ...(zoneCounties.length > 0 ? zoneCounties : zones)];
+}
 
-        // Method 3: NWS Miami Area Forecast Discussion (often mentions tropical activity)
-        try {
-            console.log('Trying NWS Miami AFD...');
-            const response = await fetch('https://api.weather.gov/products/types/MIAAFDEMF', {
-                headers: {
-                    'User-Agent': 'SECAR-Weather-Report (github.com/franzenjb/SECAR-claude)',
-                    'Accept': 'application/json'
-                }
-            });
+// One entry per county/zone, with every overlapping alert merged into it
+function groupAlertsByArea(alerts) {
+    const areas = new Map();
+    
+    alerts.forEach(alert => {
+        getAlertAreas(alert).forEach(area => {
+            const key = area.fips || area.ugc || area.name;
+            if (!areas.has(key)) {
+                areas.set(key, {
+                    name: area.name,
+                    type: area.type,
+                    fips: area.fips,
+                    ugc: [],
+                    alertIds: [],
+                    events: []
+                });
+            }
             
-            if (response.ok) {
-                const data = await response.json();
-                console.log('Miami AFD products received:', data['@graph']?.length || 0, 'products');
-                
-                if (data['@graph'] && data['@graph'].length > 0) {
-                    const latestAFD = data['@graph'][0];
-                    
-                    const productResponse = await fetch(latestAFD['@id'], {
-                        headers: {
-                            'User-Agent': 'SECAR-Weather-Report (github.com/franzenjb/SECAR-claude)',
-                            'Accept': 'application/json'
-                        }
-                    });
-                    
-                    if (productResponse.ok) {
-                        const productData = await productResponse.json();
-                        const tropicalInfo = extractTropicalFromAFD(productData.productText);
-                        if (tropicalInfo) {
-                            return tropicalInfo;
-                        }
-                    }
-                }
+            const entry = areas.get(key);
+            // Prefer the county name when a zone and a county describe the same place
+            if (area.type === 'county' && entry.type !== 'county') {
+                entry.name = area.name;
+                entry.type = 'county';
             }
-        } catch (error) {
-            console.log('Miami AFD failed:', error.message);
-        }
+            if (area.ugc && !entry.ugc.includes(area.ugc)) {
+                entry.ugc.push(area.ugc);
+            }
+            entry.alertIds.push(alert.id);
+            if (!entry.events.includes(alert.event)) {
+                entry.events.push(alert.event);
+            }
+        });
+    });
+    
+    return [...areas.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
 
-        // Method 4: NWS High Seas Forecast (marine forecasts often mention tropical activity)
-        try {
-            console.log('Trying NWS High Seas forecast...');
-            const response = await fetch('https://api.weather.gov/products/types/MIAHSP', {
-                headers: {
-                    'User-Agent': 'SECAR-Weather-Report (github.com/franzenjb/SECAR-claude)',
-                    'Accept': 'application/json'
+// Build the "Active X WARNINGS in effect." sentence from structured alerts
+function describeAlerts(alerts, i18n = createI18n()) {
+    // Each alert counts once, at the level its product type ranks
+    const sentences = [
+        [4, 'conditions.warnings'],
+        [3, 'conditions.watches'],
+        [2, 'conditions.advisories'],
+        [1, 'conditions.statements'],
+        [0, 'conditions.other']
+    ];
+    const ranked = [...alerts].sort((a, b) => compareAlertRank(b, a));
+    
+    return sentences.map(([level, key]) => {
+        // One name per event, in the first such alert's wording
+        const events = new Map();
+        ranked
+            .filter(alert => getProductLevel(alert) === level && !events.has(alert.event))
+            .forEach(alert => events.set(alert.event, localizeAlert(alert, i18n).event));
+        return events.size > 0 ? i18n.t(key, { events: [...events.values()].join(', ') }) : '';
+    }).join('');
+}
+
+// Say plainly that there is no data rather than inventing plausible-looking conditions
+function generateUnavailableConditions(state) {
+    return {
+        status: 'unavailable',
+        fetchedAt: null,
+        alerts: [],
+        areas: [],
+        notes: [{ key: 'notes.unavailable', params: { state } }]
+    };
+}
+
+// Notes are catalog keys so each language's report words them itself
+function getSeasonalConditions(state, isHotSeason) {
+    return { key: isHotSeason ? 'notes.hotSeason' : 'notes.coolSeason', params: { state } };
+}
+
+// Reports saved before notes were catalog keys hold the English text itself
+function describeNote(note, i18n = createI18n()) {
+    return typeof note === 'string' ? note : i18n.t(note.key, note.params);
+}
+
+// NHC products. The Atlantic Tropical Weather Outlook is WMO heading ABNT20 (AWIPS MIATWOAT).
+const ATLANTIC_TWO_WMO_ID = 'ABNT20';
+
+const TROPICAL_EVENTS = [
+    'Hurricane Warning', 'Hurricane Watch',
+    'Tropical Storm Warning', 'Tropical Storm Watch',
+    'Storm Surge Warning', 'Storm Surge Watch',
+    'Extreme Wind Warning', 'Hurricane Local Statement',
+    'Tropical Cyclone Statement'
+];
+
+const STORM_CLASSIFICATIONS = {
+    TD: 'Tropical Depression',
+    STD: 'Subtropical Depression',
+    TS: 'Tropical Storm',
+    STS: 'Subtropical Storm',
+    HU: 'Hurricane',
+    MH: 'Major Hurricane',
+    PTC: 'Potential Tropical Cyclone',
+    PC: 'Post-Tropical Cyclone',
+    TC: 'Tropical Cyclone'
+};
+
+async function getTropicalOutlook(client = createHttpClient()) {
+    try {
+        console.log('Fetching tropical outlook from NHC/NWS sources...');
+        
+        // Method 1: NHC Atlantic Tropical Weather Outlook, parsed per disturbance (alongside the storm feed)
+        const [storms, outlook] = await Promise.all([
+            fetchActiveStorms(client),
+            (async () => {
+                try {
+                    console.log('Trying NHC Tropical Weather Outlook products...');
+                    const productText = await fetchLatestProductText('TWO', product =>
+                        !product.wmoCollectiveId || product.wmoCollectiveId === ATLANTIC_TWO_WMO_ID, client);
+                    return productText ? parseNWSTropicalOutlook(productText) : null;
+                } catch (error) {
+                    console.log('NHC TWO failed:', error.message);
+                    return null;
                 }
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                console.log('High Seas products received:', data['@graph']?.length || 0, 'products');
-                
-                if (data['@graph'] && data['@graph'].length > 0) {
-                    const latestForecast = data['@graph'][0];
-                    
-                    const productResponse = await fetch(latestForecast['@id'], {
-                        headers: {
-                            'User-Agent': 'SECAR-Weather-Report (github.com/franzenjb/SECAR-claude)',
-                            'Accept': 'application/json'
-                        }
-                    });
-                    
-                    if (productResponse.ok) {
-                        const productData = await productResponse.json();
-                        const tropicalInfo = extractTropicalFromMarine(productData.productText);
-                        if (tropicalInfo) {
-                            return tropicalInfo;
-                        }
-                    }
+            })()
+        ]);
+        
+        if (outlook) {
+            return buildTropicalOutlook(storms === null ? 'partial' : 'live', 'NHC Tropical Weather Outlook', storms, outlook);
+        }
+        
+        // Without the TWO, fall back to free-text mentions of tropical activity
+        const textFallbacks = [
+            ['MIAAFDEMF', 'NWS Miami Area Forecast Discussion', extractTropicalFromAFD],
+            ['MIAHSP', 'NWS High Seas Forecast', extractTropicalFromMarine]
+        ];
+        
+        for (const [productType, source, extract] of textFallbacks) {
+            try {
+                console.log(`Trying ${source}...`);
+                const productText = await fetchLatestProductText(productType, undefined, client);
+                const tropicalInfo = productText && extract(productText);
+                if (tropicalInfo) {
+                    return buildTropicalOutlook('text-only', source, storms, tropicalInfo);
                 }
+            } catch (error) {
+                console.log(`${source} failed:`, error.message);
             }
-        } catch (error) {
-            console.log('High Seas forecast failed:', error.message);
         }
-
-        // Fallback: Hurricane season status
-        const month = new Date().getMonth();
-        const isHurricaneSeason = month >= 5 && month <= 10; // June-November
         
-        if (isHurricaneSeason) {
-            console.log('All NWS sources failed, using hurricane season message');
-            return {
-                outlook: 'National Weather Service tropical data temporarily unavailable via automated systems. During hurricane season, conditions can change rapidly and tropical development is possible.',
-                formation_chance: 'Monitor NWS'
-            };
-        } else {
-            return {
-                outlook: 'Outside of peak hurricane season. No significant tropical activity expected in the Atlantic basin at this time.',
-                formation_chance: '0%'
-            };
+        if (storms && storms.length > 0) {
+            return buildTropicalOutlook('partial', 'NHC Current Storms', storms, {
+                summary: 'The Tropical Weather Outlook could not be retrieved; active storm data from NHC is shown below.'
+            });
         }
         
+        console.log('All tropical sources failed, marking tropical outlook unavailable');
+        return buildTropicalOutlook('unavailable', null, storms, {
+            summary: 'Tropical weather information could not be retrieved from the National Hurricane Center. Check nhc.noaa.gov directly.'
+        });
+    
     } catch (error) {
         console.error('All tropical data sources failed:', error);
-        return {
-            outlook: 'Tropical weather information temporarily unavailable. Monitor local National Weather Service offices for current conditions.',
-            formation_chance: 'Check NWS'
-        };
+        return buildTropicalOutlook('unavailable', null, null, {
+            summary: 'Tropical weather information could not be retrieved from the National Hurricane Center. Check nhc.noaa.gov directly.'
+        });
+    }
+}
+
+function buildTropicalOutlook(status, source, storms, outlook) {
+    const disturbances = outlook.disturbances || [];
+    const chances = disturbances
+        .map(d => d.chance7day?.percent)
+        .filter(percent => typeof percent === 'number');
+    
+    return {
+        status,
+        source,
+        issuedAt: outlook.issuedAt || null,
+        summary: outlook.summary || null,
+        storms: storms || [],
+        disturbances,
+        maxFormationChance7day: chances.length > 0 ? Math.max(...chances) : null,
+        secarAlerts: []
+    };
+}
+
+// Fetch the newest issuance of an NWS text product type, optionally filtered (e.g. by WMO heading)
+async function fetchLatestProductText(productType, filter = () => true, client = createHttpClient()) {
+    const data = await client.getJson(`${getNwsApiBase()}/products/types/${productType}`, { schema: PRODUCT_LIST });
+    console.log(`${productType} products received:`, data['@graph']?.length || 0, 'products');
+    
+    const latest = (data['@graph'] || []).find(filter);
+    if (!latest) {
+        return null;
+    }
+    
+    const productData = await client.getJson(latest['@id'], { schema: PRODUCT });
+    return productData.productText || null;
+}
+
+// Active Atlantic storms from NHC. Returns null (not []) when the feed itself could not be read.
+async function fetchActiveStorms(client = createHttpClient()) {
+    try {
+        console.log('Fetching NHC active storms...');
+        const data = await client.getJson(`${getNhcBase()}/CurrentStorms.json`, { schema: CURRENT_STORMS });
+        return parseActiveStorms(data);
+    } catch (error) {
+        console.log('NHC active storms failed:', error.message);
+        return null;
     }
 }
 
+function parseActiveStorms(data) {
+    return (data.activeStorms || [])
+        .filter(storm => String(storm.id || '').toLowerCase().startsWith('al'))
+        .map(storm => {
+            const intensityKt = parseInt(storm.intensity, 10);
+            const classification = storm.classification === 'HU' && intensityKt >= 96 ? 'MH' : storm.classification;
+            
+            return {
+                id: storm.id.toUpperCase(),
+                name: storm.name,
+                classification,
+                classificationLabel: STORM_CLASSIFICATIONS[classification] || classification,
+                intensityKt: Number.isNaN(intensityKt) ? null : intensityKt,
+                intensityMph: Number.isNaN(intensityKt) ? null : Math.round(intensityKt * 1.15078 / 5) * 5,
+                pressureMb: parseInt(storm.pressure, 10) || null,
+                latitude: storm.latitude || null,
+                longitude: storm.longitude || null,
+                movement: storm.movementDir !== undefined && storm.movementSpeed !== undefined ? {
+                    direction: toCompassDirection(storm.movementDir),
+                    speedMph: storm.movementSpeed
+                } : null,
+                advisoryNumber: storm.publicAdvisory?.advNum || null,
+                advisoryIssued: storm.publicAdvisory?.issuance || storm.lastUpdate || null,
+                advisoryUrl: storm.publicAdvisory?.url || null
+            };
+        });
+}
+
+function toCompassDirection(degrees) {
+    const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    const value = Number(degrees);
+    return Number.isNaN(value) ? String(degrees) : points[Math.round(value / 22.5) % 16];
+}
+
+// Split the TWO into its numbered disturbances, each with 48-hour and 7-day formation chances
 function parseNWSTropicalOutlook(productText) {
     try {
-        console.log('Parsing NWS tropical outlook text...');
+        console.log('Parsing NHC tropical weather outlook text...');
         
-        // Look for formation probabilities and disturbance information
-        const lines = productText.split('\n');
-        let outlookText = '';
-        let maxFormationChance = 0;
+        const text = productText.replace(/\r/g, '');
+        const body = text.split(/^\$\$/m)[0];
         
-        // Search for key tropical outlook phrases
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].toLowerCase();
+        const issuedMatch = body.match(/^\s*(\d{3,4} [AP]M [A-Z]{3,4} \w{3} \w{3} \d{1,2} \d{4})\s*$/m);
+        const activeMatch = body.match(/Active Systems:\s*\n([\s\S]*?)(?=\n\s*\n\s*\d+\.\s|\n\s*\n\s*[A-Z][^\n]*:\s*\n|$)/);
+        
+        const disturbances = [];
+        const headerPattern = /^(\d+)\.\s+([^\n]+?):?\s*$/gm;
+        const headers = [...body.matchAll(headerPattern)];
+        
+        headers.forEach((header, i) => {
+            const start = header.index + header[0].length;
+            const end = i + 1 < headers.length ? headers[i + 1].index : body.length;
+            const section = body.slice(start, end);
             
-            // Look for disturbance descriptions
-            if (line.includes('disturbance') || line.includes('tropical') || line.includes('development')) {
-                // Collect this line and next few lines for context
-                const contextLines = lines.slice(i, Math.min(i + 3, lines.length));
-                const contextText = contextLines.join(' ').trim();
-                
-                // Look for percentage in this context
-                const percentMatch = contextText.match(/(\d+)\s*percent/i);
-                if (percentMatch) {
-                    const percentage = parseInt(percentMatch[1]);
-                    if (percentage > maxFormationChance) {
-                        maxFormationChance = percentage;
-                        outlookText = contextText.substring(0, 300) + '...';
-                    }
-                }
-                
-                // If no percentage but good tropical content, save it
-                if (!outlookText && contextText.length > 50) {
-                    outlookText = contextText.substring(0, 300) + '...';
-                }
+            const chance48hour = parseFormationChance(section, '48 hours');
+            const chance7day = parseFormationChance(section, '7 days');
+            if (!chance48hour && !chance7day) {
+                return;
             }
-        }
+            
+            const description = section
+                .split(/^\s*\*/m)[0]
+                .replace(/\s+/g, ' ')
+                .trim();
+            
+            disturbances.push({
+                number: parseInt(header[1], 10),
+                location: header[2].trim(),
+                description,
+                chance48hour,
+                chance7day
+            });
+        });
         
-        if (outlookText || maxFormationChance > 0) {
-            return {
-                outlook: outlookText || 'The National Weather Service is monitoring tropical activity in the Atlantic basin.',
-                formation_chance: maxFormationChance > 0 ? `${maxFormationChance}%` : 'Low'
-            };
+        const noFormation = /formation is not expected/i.test(body);
+        
+        if (disturbances.length === 0 && !noFormation && !activeMatch) {
+            return null;
         }
         
-        return null;
+        return {
+            issuedAt: issuedMatch ? issuedMatch[1] : null,
+            summary: activeMatch
+                ? activeMatch[1].replace(/\s+/g, ' ').trim()
+                : (noFormation && disturbances.length === 0 ? 'Tropical cyclone formation is not expected during the next 7 days.' : null),
+            disturbances
+        };
     } catch (error) {
-        console.log('Error parsing NWS tropical outlook:', error.message);
+        console.log('Error parsing NHC tropical outlook:', error.message);
         return null;
     }
 }
 
-function processTropicalAlerts(alerts) {
+function parseFormationChance(section, period) {
+    const pattern = new RegExp(`Formation chance through ${period}\\.+\\s*(low|medium|high)\\.+\\s*(?:near\\s+)?(\\d+)\\s*percent`, 'i');
+    const match = section.replace(/\s+/g, ' ').match(pattern);
+    
+    return match ? {
+        category: match[1].toLowerCase(),
+        percent: parseInt(match[2], 10)
+    } : null;
+}
+
+// Tropical watches/warnings from the SECAR state alerts, attached to a storm when its name appears
+function processTropicalAlerts(alerts, storms = [], now = new Date()) {
     try {
         console.log('Processing tropical alerts...');
         
-        const activeAlerts = alerts.filter(alert => 
-            new Date(alert.properties.expires) > new Date()
-        );
+        const seen = new Set();
         
-        if (activeAlerts.length > 0) {
-            const alertTypes = activeAlerts.map(alert => alert.properties.event).join(', ');
-            const areas = [...new Set(activeAlerts.map(alert => alert.properties.areaDesc))].join(', ');
-            
-            return {
-                outlook: `Active tropical weather alerts: ${alertTypes} affecting ${areas}. Monitor National Weather Service for updates and follow all evacuation orders.`,
-                formation_chance: 'Active System'
-            };
-        }
-        
-        return null;
+        return alerts
+            .filter(alert => TROPICAL_EVENTS.includes(alert.event))
+            .filter(alert => new Date(alert.expires) > now)
+            .filter(alert => {
+                const key = alert.id || `${alert.event}|${alert.areaDesc}`;
+                if (seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            })
+            .map(alert => {
+                const storm = storms.find(s => s.name &&
+                    new RegExp(`\\b${s.name}\\b`, 'i').test(`${alert.headline || ''} ${alert.description || ''}`));
+                return {
+                    id: alert.id,
+                    event: alert.event,
+                    state: alert.state || null,
+                    areaDesc: alert.areaDesc,
+                    expires: alert.expires,
+                    stormId: storm ? storm.id : null
+                };
+            });
     } catch (error) {
         console.log('Error processing tropical alerts:', error.message);
-        return null;
+        return [];
     }
 }
 
@@ -431,13 +740,8 @@ function extractTropicalFromAFD(productText) {
         }
         
         if (tropicalContent) {
-            // Look for formation probability
-            const percentMatch = tropicalContent.match(/(\d+)\s*percent/i);
-            const formationChance = percentMatch ? `${percentMatch[1]}%` : 'Monitor';
-            
             return {
-                outlook: tropicalContent,
-                formation_chance: formationChance
+                summary: tropicalContent
             };
         }
         
@@ -473,8 +777,7 @@ function extractTropicalFromMarine(productText) {
         
         if (marineContent) {
             return {
-                outlook: marineContent,
-                formation_chance: 'See Marine Forecast'
+                summary: marineContent
             };
         }
         
@@ -485,87 +788,1016 @@ function extractTropicalFromMarine(productText) {
     }
 }
 
-function generateReport(weatherData) {
-    const now = new Date();
-    const startDate = new Date();
-    const endDate = new Date();
-    endDate.setDate(startDate.getDate() + 4);
+// Assemble the versioned report model that both report.json and the HTML render from.
+// previousReport is the last run's report.json, used for the "changes since" section.
+// exposureData ({ counties, facilities }) defaults to the bundled population and configured facilities
+function buildReport(weatherData, now = new Date(), previousReport = null, exposureData = EXPOSURE_DATA) {
+    const endDate = new Date(now);
+    endDate.setDate(now.getDate() + 4);
+    
+    const states = Object.keys(SECAR_CONFIG.states)
+        .filter(state => weatherData[state])
+        .map(state => {
+            const alerts = weatherData[state].alerts.map(alert => ({
+                ...alert,
+                timeZone: getAlertTimeZone(alert, state),
+                exposure: estimateAlertExposure(alert, exposureData.counties, exposureData.facilities)
+            }));
+            
+            return {
+                name: state,
+                code: getStateCode(state),
+                offices: SECAR_CONFIG.states[state].wfos.map(id => ({ id, name: SECAR_CONFIG.offices[id] })),
+                status: weatherData[state].status,
+                fetchedAt: weatherData[state].fetchedAt,
+                alerts,
+                areas: weatherData[state].areas,
+                notes: weatherData[state].notes,
+                exposure: summarizeStateExposure(alerts, exposureData.counties),
+                outlook: weatherData.outlooks?.[state] || null
+            };
+        });
+    
+    const report = {
+        version: REPORT_VERSION,
+        generatedAt: now.toISOString(),
+        dateRange: {
+            start: now.toISOString(),
+            end: endDate.toISOString()
+        },
+        states,
+        // How many facilities were checked, so "none at risk" can be told from "none listed"
+        exposure: { facilitiesListed: exposureData.facilities.length },
+        // Most-threatened states first; states keeps config order for stable diffs
+        hazards: buildHazardMatrix([...states].sort(compareStateThreat)),
+        regions: routeAlertsToChapters(states),
+        tropical: weatherData.tropical ? {
+            ...weatherData.tropical,
+            secarAlerts: processTropicalAlerts(
+                states.flatMap(stateReport => stateReport.alerts.map(alert => ({ ...alert, state: stateReport.name }))),
+                weatherData.tropical.storms,
+                now
+            )
+        } : null,
+        // Gauges keep config order; each is routed to the chapter covering its county
+        rivers: weatherData.rivers ? {
+            status: weatherData.rivers.status,
+            gauges: weatherData.rivers.gauges.map(gauge => ({
+                ...gauge,
+                chapter: SECAR_CONFIG.areaIndex.get(gauge.fips)?.chapter.id || null,
+                timeZone: SECAR_CONFIG.timeZoneIndex.get(gauge.fips) || SECAR_CONFIG.states[gauge.state].timeZone
+            }))
+        } : null
+    };
+    
+    report.changes = diffReports(previousReport, report);
+    report.recommendations = buildRecommendations(report, RECOMMENDATION_RULES, SECAR_CONFIG.regions);
+    // Everything else is worded as it is rendered; recommendations are built with their citations
+    report.translations = Object.fromEntries(TRANSLATED_LANGUAGES.map(language => [language, {
+        recommendations: buildRecommendations(report, RECOMMENDATION_RULES, SECAR_CONFIG.regions, createI18n(language))
+    }]));
+    
+    return report;
+}
+
+// Regroup each state's affected counties/zones under the SECAR region and chapter that covers them.
+// Zone-based alerts arrive here as the counties of their SAME codes (getAlertAreas), so they route
+// by FIPS like county warnings; a chapter's zones list is only needed for zones with no county.
+function routeAlertsToChapters(states) {
+    const chapters = new Map();
+    
+    states.forEach(stateReport => {
+        (stateReport.areas || []).forEach(area => {
+            const target = [area.fips, ...area.ugc]
+                .map(code => code && SECAR_CONFIG.areaIndex.get(code))
+                .find(Boolean);
+            if (!target) {
+                return;
+            }
+            
+            if (!chapters.has(target.chapter.id)) {
+                chapters.set(target.chapter.id, []);
+            }
+            chapters.get(target.chapter.id).push({ state: stateReport.name, ...area });
+        });
+    });
     
-    const checkTime = now.toLocaleTimeString('en-US', {
+    return SECAR_CONFIG.regions.map(region => ({
+        id: region.id,
+        name: region.name,
+        chapters: region.chapters.map(chapter => ({
+            id: chapter.id,
+            name: chapter.name,
+            state: chapter.state,
+            wfos: chapter.wfos,
+            areas: chapters.get(chapter.id) || []
+        }))
+    }));
+}
+
+// Recommendation sections in page and export order; titles are recommendations.<key>
+const RECOMMENDATION_GROUPS = ['immediate', 'operations', 'monitoring'];
+const MAX_CITATIONS_SHOWN = 3;
+
+// Every zone SECAR spans, so Central, Eastern and Atlantic readers each see their own clock
+function getCheckTime(report, i18n = createI18n()) {
+    const timeZones = [...new Set(Object.values(SECAR_CONFIG.states).map(stateConfig => stateConfig.timeZone))];
+    return timeZones.map(timeZone => i18n.formatDate(report.generatedAt, {
         hour: 'numeric',
         minute: '2-digit',
         hour12: true,
-        timeZone: 'America/New_York'
-    }) + ' EDT';
-    
-    let report = `
-        <div class="weather-check-time">Weather.gov map checked at ${checkTime}. NWS office verification completed for all SECAR state offices.</div>
+        timeZone,
+        timeZoneName: 'short'
+    })).join(' / ');
+}
+
+function describeStateConditions(stateReport, i18n = createI18n()) {
+    return describeAlerts(stateReport.alerts, i18n) + stateReport.notes.map(note => describeNote(note, i18n)).join('') ||
+        i18n.t('conditions.none', { state: i18n.term(stateReport.name) });
+}
+
+// text is already escaped HTML. Catalog words are matched as literal text, never as patterns,
+// and only as whole words, so "WARNINGS" inside a longer word isn't wrapped.
+function decorateLevels(text, i18n = createI18n()) {
+    return [['warning', 'levelWords.warnings'], ['watch', 'levelWords.watches'], ['advisory', 'levelWords.advisories']]
+        .reduce((result, [className, key]) => {
+            const word = escapeHtml(i18n.t(key));
+            const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'gu');
+            return result.replace(pattern, () => `<span class="${className}">${word}</span>`);
+        }, text);
+}
+
+// options.expandAlerts opens every alert entry, for print where nobody can click;
+// options.language picks the catalog (lib/i18n.js) the report is worded from
+function generateReport(report, options = {}) {
+    const i18n = createI18n(options.language);
+    const startDate = new Date(report.dateRange.start);
+    const endDate = new Date(report.dateRange.end);
+    const checkTime = getCheckTime(report, i18n);
+    
+    // Sections carry stable keys so the page's live mode can swap only the ones that changed.
+    // Folded-in Spanish copies count as known alerts, or live refresh would take them for new ones.
+    const alertIds = report.states.flatMap(stateReport => stateReport.alerts.flatMap(alert =>
+        [alert.id, ...Object.values(alert.translations || {}).map(translation => translation.id)].filter(Boolean)));
+    const stateCodes = report.states.map(stateReport => stateReport.code).join(',');
+    
+    let html = `
+        <div class="report-section" data-section="summary" data-generated-at="${escapeHtml(report.generatedAt)}" data-states="${escapeHtml(stateCodes)}" data-alert-ids="${escapeHtml(alertIds.join(' '))}">
+            <div class="weather-check-time">${escapeHtml(i18n.t('report.checkTime', { time: checkTime }))}</div>
+            
+            <div class="date-range">${formatDate(startDate, i18n)} – ${formatDate(endDate, i18n)}</div>
+        </div>
         
-        <div class="date-range">${formatDate(startDate)} – ${formatDate(endDate)}</div>
+        <div class="report-section" data-section="hazards">${renderHazardMatrix(report.hazards, i18n)}</div>
         
-        <div class="tropical-outlook">
-            <h3>Tropical Weather Outlook</h3>
-            <p>${weatherData.tropical?.outlook || 'Tropical outlook not available.'}</p>
-            <div class="formation-chance">
-                <div class="formation-badge">
-                    Formation Chance: <span class="formation-percentage">${weatherData.tropical?.formation_chance || 'N/A'}</span>
+        <div class="report-section" data-section="changes">${renderChanges(report.changes, i18n)}</div>
+        
+        <div class="report-section" data-section="map">${renderAlertMap(report, i18n)}</div>
+        
+        <div class="report-section" data-section="tropical">${renderTropicalOutlook(report.tropical, i18n)}</div>
+        
+        <div class="report-section" data-section="rivers">${renderRiverGauges(report, i18n)}</div>
+        
+        <div class="section-title">${i18n.t('report.severeThreats')}</div>
+    `;
+    
+    // Add state conditions with proper formatting, most-threatened state first
+    [...report.states].sort(compareStateThreat).forEach(stateReport => {
+        // Event names are NWS text: escape the sentence before marking it up
+        const stateCondition = decorateLevels(escapeHtml(describeStateConditions(stateReport, i18n)), i18n);
+        
+        const alertLevel = describeAlertLevel(stateReport);
+        
+        html += `
+                <div class="state-report report-section" data-section="state-${stateReport.code}" data-state="${stateReport.code}" data-level="${alertLevel.level}" data-bounds="${alertLevel.bounds ? alertLevel.bounds.join(',') : ''}">
+                    <span class="state-name">${escapeHtml(i18n.term(stateReport.name))}:</span> ${renderDataStatus(stateReport, report.generatedAt, i18n)}
+                    <span class="state-conditions">${stateCondition}</span>
+                    ${renderAreaBreakdown(stateReport.areas, i18n)}
+                    ${renderStateExposure(stateReport, report.exposure, i18n)}
+                    ${renderAlertDetails(stateReport.alerts, options.expandAlerts, i18n)}
+                    ${renderStateOutlook(stateReport.outlook, i18n)}
                 </div>
-            </div>
+            `;
+    });
+    
+    html += `<div class="report-section" data-section="chapters">${renderChapterImpacts(report.regions, i18n)}</div>`;
+    
+    html += `
+        <div class="recommendations report-section" data-section="recommendations">
+            <div class="section-title">${i18n.t('recommendations.title')}</div>
+            ${renderRecommendations(getRecommendations(report, i18n), i18n)}
         </div>
         
-        <div class="section-title">Severe Weather Threats (5-Day Outlook)</div>
+        <div class="sources">${i18n.t('report.sources')}</div>
     `;
+    
+    return html;
+}
+
+// Highest alert level in a state for the embed API's alert-level events, lowercased
+// ("warning", ... or "none"; "unknown" when alerts couldn't be fetched) with the bounds of
+// the areas under it so a host map can zoom there
+function describeAlertLevel(stateReport) {
+    if (stateReport.status === 'unavailable') {
+        return { level: 'unknown', bounds: null };
+    }
+    if (!stateReport.alerts.length) {
+        return { level: 'none', bounds: null };
+    }
+    
+    const topLevel = Math.max(...stateReport.alerts.map(getProductLevel));
+    return {
+        level: getLevelName(topLevel).toLowerCase(),
+        bounds: getAlertBounds(stateReport.alerts.filter(alert => getProductLevel(alert) === topLevel))
+    };
+}
+
+// State-by-hazard grid; each cell shows the highest level in effect for that hazard
+function renderHazardMatrix(hazards, i18n = createI18n()) {
+    if (!hazards) {
+        return '';
+    }
+    
+    const header = hazards.categories.map(category => `<th>${escapeHtml(i18n.term(category.label))}</th>`).join('');
+    const rows = hazards.states.map(state => {
+        const cells = hazards.categories.map(category => {
+            const cell = state.cells[category.id];
+            if (!cell) {
+                return state.status === 'unavailable' ? '<td class="hazard-unknown">?</td>' : '<td class="hazard-none">–</td>';
+            }
+            return `<td class="hazard-${cell.label.toLowerCase()}" title="${escapeHtml(cell.events.map(i18n.term).join(', '))}">${escapeHtml(i18n.term(cell.label))}</td>`;
+        }).join('');
+        
+        return `<tr data-state="${escapeHtml(state.code)}"><th scope="row">${escapeHtml(i18n.term(state.name))}</th>${cells}</tr>`;
+    }).join('');
+    
+    return `<div class="hazard-matrix">
+            <div class="section-title">${i18n.t('hazards.title')}</div>
+            <table>
+                <thead><tr><th>${i18n.t('hazards.state')}</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
+
+// Change kinds in display order; labels are changes.<kind>
+const CHANGE_TYPES = ['new', 'upgraded', 'downgraded', 'extended', 'expired'];
 
-    // Add state conditions with proper formatting
-    Object.keys(WEATHER_OFFICES).forEach(state => {
-        if (weatherData[state]) {
-            let stateCondition = weatherData[state]
-                .replace(/WARNINGS/g, '<span class="warning">WARNINGS</span>')
-                .replace(/WATCHES/g, '<span class="watch">WATCHES</span>')
-                .replace(/ADVISORIES/g, '<span class="advisory">ADVISORIES</span>')
-                .replace(/frequent lightning/g, '<strong>frequent lightning</strong>')
-                .replace(/dangerous lightning/g, '<strong>dangerous lightning</strong>')
-                .replace(/cloud-to-ground lightning/g, '<strong>cloud-to-ground lightning</strong>');
+// New/upgraded/downgraded/extended/expired alerts per state and tropical changes since the last run
+function renderChanges(changes, i18n = createI18n()) {
+    if (!changes || !changes.since) {
+        return `<div class="changes">
+            <div class="section-title">${i18n.t('changes.title')}</div>
+            <p>${i18n.t('changes.noPrevious')}</p>
+        </div>`;
+    }
+    
+    const since = formatChangesSince(changes.since, i18n);
+    
+    const stateItems = changes.states
+        .filter(state => !state.compared || state.changed)
+        .map(state => {
+            if (!state.compared) {
+                return `
+                <li><span class="state-name">${escapeHtml(i18n.term(state.name))}:</span> ${i18n.t('changes.notCompared')}</li>`;
+            }
             
-            report += `
-                <div class="state-report">
-                    <span class="state-name">${state}:</span> 
-                    <span class="state-conditions">${stateCondition}</span>
+            const parts = CHANGE_TYPES
+                .filter(key => state[key].length > 0)
+                .map(key => `<span class="change-${key}">${i18n.t(`changes.${key}`)}:</span> ${state[key].map(alert => escapeHtml(describeChangedAlert(alert, i18n))).join('; ')}`);
+            return `
+                <li><span class="state-name">${escapeHtml(i18n.term(state.name))}:</span> ${parts.join(' · ')}</li>`;
+        }).join('');
+    
+    const tropicalItems = changes.tropical.map(change => `
+                <li><span class="state-name">${i18n.t('changes.tropical')}:</span> ${escapeHtml(describeTropicalChange(change, i18n))}</li>`).join('');
+    
+    const body = stateItems || tropicalItems
+        ? `<ul class="change-list">${stateItems}${tropicalItems}
+            </ul>`
+        : `<p>${i18n.t('changes.none')}</p>`;
+    
+    return `<div class="changes">
+            <div class="section-title">${escapeHtml(i18n.t('changes.titleSince', { since }))}</div>
+            ${body}
+        </div>`;
+}
+
+function formatChangesSince(since, i18n = createI18n()) {
+    return i18n.formatDate(since, {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: 'America/New_York',
+        timeZoneName: 'short'
+    });
+}
+
+function describeChangedAlert(alert, i18n = createI18n()) {
+    const from = alert.from ? i18n.t('changes.was', { event: i18n.term(alert.from) }) : '';
+    return i18n.t('changes.alert', { event: i18n.term(alert.event), from, area: alert.areaDesc });
+}
+
+function describeTropicalChange(change, i18n = createI18n()) {
+    const system = change.system;
+    switch (change.type) {
+        case 'new-storm':
+            return i18n.t('tropicalChange.newStorm', { system });
+        case 'reclassified':
+            return i18n.t('tropicalChange.reclassified', { system, from: i18n.term(change.from), to: i18n.term(change.to) });
+        case 'storm-ended':
+            return i18n.t('tropicalChange.stormEnded', { system });
+        case 'new-disturbance':
+            return change.to !== null
+                ? i18n.t('tropicalChange.newDisturbanceChance', { system, percent: change.to })
+                : i18n.t('tropicalChange.newDisturbance', { system });
+        case 'formation-chance':
+            return i18n.t('tropicalChange.formationChance', {
+                system,
+                from48: change.from.chance48hour,
+                to48: change.to.chance48hour,
+                from7: change.from.chance7day,
+                to7: change.to.chance7day
+            });
+        case 'disturbance-dropped':
+            return i18n.t('tropicalChange.dropped', { system });
+        default:
+            return system;
+    }
+}
+
+const UNAVAILABLE_TROPICAL = { status: 'unavailable', storms: [], disturbances: [], secarAlerts: [], summary: null };
+
+// One entry per active storm and per TWO disturbance instead of a single merged blurb
+function renderTropicalOutlook(tropical, i18n = createI18n()) {
+    tropical = tropical || UNAVAILABLE_TROPICAL;
+    
+    const sourceLine = tropical.source
+        ? `<div class="tropical-source">${escapeHtml(describeTropicalSource(tropical, i18n))}</div>`
+        : '';
+    
+    const storms = tropical.storms.map(storm => {
+        const details = describeStorm(storm, i18n);
+        const stormAlerts = tropical.secarAlerts.filter(alert => alert.stormId === storm.id);
+        const alertLine = stormAlerts.length > 0
+            ? `<div class="storm-alerts">${escapeHtml(i18n.t('tropical.stormAlerts', { alerts: stormAlerts.map(alert => `${i18n.term(alert.event)} (${i18n.term(alert.state)})`).join('; ') }))}</div>`
+            : '';
+        
+        return `
+                <div class="tropical-system">
+                    <span class="system-name">${escapeHtml(`${i18n.term(storm.classificationLabel)} ${storm.name}`)}</span> (${escapeHtml(storm.id)}): ${escapeHtml(details)}.${alertLine}
+                </div>`;
+    }).join('');
+    
+    const disturbances = tropical.disturbances.map(disturbance => `
+                <div class="tropical-system">
+                    <span class="system-name">${escapeHtml(`${disturbance.number}. ${disturbance.location}`)}</span>: ${escapeHtml(disturbance.description)}
+                    <div class="formation-odds">${escapeHtml(describeFormationChances(disturbance, i18n))}</div>
+                </div>`).join('');
+    
+    const unmatchedAlerts = tropical.secarAlerts.filter(alert => !alert.stormId);
+    const alertSection = unmatchedAlerts.length > 0
+        ? `
+                <div class="tropical-system">
+                    <span class="system-name">${i18n.t('tropical.secarAlerts')}</span>: ${escapeHtml(unmatchedAlerts.map(alert => `${i18n.term(alert.event)} (${i18n.term(alert.state)}: ${alert.areaDesc})`).join('; '))}
+                </div>`
+        : '';
+    
+    const summary = tropical.summary ||
+        (storms || disturbances ? '' : i18n.t('tropical.unavailable'));
+    
+    const badgeValue = describeFormationBadge(tropical, i18n);
+    
+    return `<div class="tropical-outlook">
+            <h3>${i18n.t('tropical.title')}</h3>
+            ${summary ? `<p>${escapeHtml(summary)}</p>` : ''}${storms}${disturbances}${alertSection}
+            <div class="formation-chance">
+                <div class="formation-badge">
+                    ${i18n.t('tropical.highestChanceLabel')} <span class="formation-percentage">${escapeHtml(badgeValue)}</span>
                 </div>
-            `;
+            </div>
+            ${sourceLine}
+        </div>`;
+}
+
+function describeTropicalSource(tropical, i18n = createI18n()) {
+    return i18n.t('tropical.source', { source: tropical.source }) +
+        (tropical.issuedAt ? i18n.t('tropical.issued', { time: tropical.issuedAt }) : '');
+}
+
+function describeFormationChances(disturbance, i18n = createI18n()) {
+    return i18n.t('tropical.chances', {
+        chance48: formatFormationChance(disturbance.chance48hour, i18n),
+        chance7: formatFormationChance(disturbance.chance7day, i18n)
+    });
+}
+
+function describeFormationBadge(tropical, i18n = createI18n()) {
+    return tropical.maxFormationChance7day !== null && tropical.maxFormationChance7day !== undefined
+        ? `${tropical.maxFormationChance7day}%`
+        : i18n.t(tropical.status === 'unavailable' ? 'tropical.chanceUnavailable' : 'tropical.chanceNotApplicable');
+}
+
+function describeStorm(storm, i18n = createI18n()) {
+    return [
+        storm.advisoryNumber ? i18n.t('tropical.advisory', { number: storm.advisoryNumber }) : null,
+        storm.intensityMph ? i18n.t('tropical.maxWinds', { mph: storm.intensityMph }) : null,
+        storm.pressureMb ? i18n.t('tropical.pressure', { mb: storm.pressureMb }) : null,
+        storm.latitude && storm.longitude ? i18n.t('tropical.near', { lat: storm.latitude, lon: storm.longitude }) : null,
+        storm.movement ? i18n.t('tropical.moving', { direction: storm.movement.direction, mph: storm.movement.speedMph }) : null
+    ].filter(Boolean).join(', ');
+}
+
+function formatFormationChance(chance, i18n = createI18n()) {
+    return chance ? `${i18n.term(chance.category)} (${chance.percent}%)` : i18n.t('tropical.chanceNotGiven');
+}
+
+// Label every state with where its data came from so cached or missing data is never mistaken for live
+function describeDataStatus(stateReport, generatedAt, i18n = createI18n()) {
+    if (stateReport.status === 'live') {
+        return i18n.t('status.live');
+    }
+    
+    if (stateReport.status === 'cached') {
+        const ageMinutes = Math.round((new Date(generatedAt) - new Date(stateReport.fetchedAt)) / 60000);
+        const age = ageMinutes >= 120
+            ? i18n.t('status.hours', { count: Math.round(ageMinutes / 60) })
+            : i18n.plural('status.minutes', ageMinutes);
+        return i18n.t('status.cached', { age });
+    }
+    
+    return i18n.t('status.unavailable');
+}
+
+function renderDataStatus(stateReport, generatedAt, i18n = createI18n()) {
+    const className = ['live', 'cached'].includes(stateReport.status) ? stateReport.status : 'unavailable';
+    return `<span class="data-status data-${className}">${describeDataStatus(stateReport, generatedAt, i18n)}</span>`;
+}
+
+// Day-by-day forecast hazards with SPC and WPC risk levels for days 1-3
+function renderStateOutlook(outlook, i18n = createI18n()) {
+    if (!outlook) {
+        return '';
+    }
+    
+    if (outlook.status === 'unavailable') {
+        return `<div class="state-outlook outlook-unavailable">${i18n.t('outlook.unavailable')}</div>`;
+    }
+    
+    const items = outlook.days.map(day => {
+        const highlight = (day.convectiveOutlook?.rank || 0) >= 3 || (day.excessiveRainfall?.rank || 0) >= 2
+            ? ' class="outlook-elevated"'
+            : '';
+        
+        return `
+                        <li${highlight}><span class="outlook-day">${escapeHtml(formatOutlookDay(day.date, i18n))}:</span> ${escapeHtml(describeOutlookDay(day, i18n))}</li>`;
+    }).join('');
+    
+    return `<ul class="state-outlook">${items}
+                    </ul>`;
+}
+
+function describeOutlookDay(day, i18n = createI18n()) {
+    const parts = [];
+    
+    parts.push(day.hazards.length > 0
+        ? day.hazards.map(h => i18n.term(h.hazard)).join(', ')
+        : i18n.t('outlook.noHazards'));
+    if (day.maxPrecipChance !== null) {
+        parts.push(i18n.t('outlook.rainChance', { percent: day.maxPrecipChance }));
+    }
+    if (day.convectiveOutlook) {
+        parts.push(i18n.t('outlook.spc', { label: i18n.term(day.convectiveOutlook.label) }));
+    }
+    if (day.excessiveRainfall) {
+        parts.push(i18n.t('outlook.wpc', { label: i18n.term(day.excessiveRainfall.label) }));
+    }
+    
+    return parts.join('; ');
+}
+
+function formatOutlookDay(isoDate, i18n = createI18n()) {
+    return i18n.formatDate(`${isoDate}T12:00:00Z`, {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+// Counties/zones sharing the same set of alerts are listed together on one line
+function renderAreaBreakdown(areas, i18n = createI18n()) {
+    if (!areas || areas.length === 0) {
+        return '';
+    }
+    
+    const groups = new Map();
+    areas.forEach(area => {
+        const key = area.events.join(', ');
+        if (!groups.has(key)) {
+            groups.set(key, []);
         }
+        groups.get(key).push(area.name);
     });
+    
+    const items = [...groups.entries()].map(([events, names]) => `
+                        <li><span class="area-names">${escapeHtml(names.join(', '))}</span>: ${escapeHtml(describeAreaEvents(events, i18n))}</li>`).join('');
+    
+    return `<ul class="area-breakdown">${items}
+                    </ul>`;
+}
 
-    report += `
-        <div class="recommendations">
-            <div class="section-title">Recommendations</div>
-            
-            <h4>Immediate Actions</h4>
-            <ul>
-                <li>Follow all local <span class="warning">WARNINGS</span>, <span class="watch">WATCHES</span>, and <span class="advisory">ADVISORIES</span> for heat, thunderstorms, and flooding.</li>
-                <li>Monitor local conditions for rapidly developing thunderstorms, especially during peak heating hours.</li>
-                <li>Practice lightning safety: move indoors immediately when thunder is heard; avoid open fields, water, and tall objects.</li>
-                <li>Never drive through flooded roadways—Turn Around, Don't Drown.</li>
-                <li>Stay hydrated and limit outdoor activity during periods of excessive heat.</li>
-            </ul>
-            
-            <h4>5-Day Monitoring</h4>
-            <ul>
-                <li>Monitor NWS local offices for updated <span class="warning">WARNINGS</span>, <span class="watch">WATCHES</span>, and <span class="advisory">ADVISORIES</span>.</li>
-                <li>Track National Weather Service tropical weather updates for any changes in development probability.</li>
-                <li>Monitor river and stream levels in flood-prone areas, especially after heavy rainfall.</li>
-                <li>Remain alert for rapidly changing weather conditions, especially during holiday events and outdoor gatherings.</li>
-            </ul>
-        </div>
+// Area groups are keyed by their English event list ("Tornado Warning, Flood Watch")
+function describeAreaEvents(events, i18n = createI18n()) {
+    return events.split(', ').map(i18n.term).join(', ');
+}
+
+// "Estimated population: ~4,200 (warning polygon) · Facilities at risk: Selma Shelter (shelter)".
+// The facility part is left out when none is at risk; the state line says so instead.
+function describeExposure(exposure, i18n = createI18n()) {
+    let population = i18n.t('exposure.unavailable');
+    if (exposure.population !== null) {
+        population = i18n.t('exposure.population', { population: `${exposure.method === 'polygon' ? '~' : ''}${i18n.formatNumber(exposure.population)}` }) +
+            (exposure.method === 'polygon' ? i18n.t('exposure.polygon') : '') +
+            (exposure.populationComplete ? '' : i18n.t('exposure.incomplete'));
+    }
+    
+    const facilities = exposure.facilities.length > 0
+        ? i18n.t('exposure.facilities', { facilities: exposure.facilities.map(facility => `${facility.name} (${i18n.term(facility.type)})`).join(', ') })
+        : '';
+    return population + facilities;
+}
+
+// Population under all of a state's alerts and every listed facility inside any of them
+function describeStateExposure(stateReport, reportExposure, i18n = createI18n()) {
+    let text = describeExposure({ method: 'counties', ...stateReport.exposure }, i18n);
+    if (stateReport.exposure.facilities.length === 0 && reportExposure?.facilitiesListed > 0) {
+        text += i18n.t('exposure.noFacilities', { count: reportExposure.facilitiesListed });
+    }
+    return text;
+}
+
+function renderStateExposure(stateReport, reportExposure, i18n = createI18n()) {
+    if (!stateReport.exposure || stateReport.alerts.length === 0) {
+        return '';
+    }
+    return `<div class="state-exposure">${escapeHtml(describeStateExposure(stateReport, reportExposure, i18n))}</div>`;
+}
+
+// "Apr 2, 6:45 PM CDT" in the zone the alert's area keeps
+function formatAlertTime(isoTime, timeZone, i18n = createI18n()) {
+    if (!isoTime || Number.isNaN(Date.parse(isoTime))) {
+        return null;
+    }
+    
+    return i18n.formatDate(isoTime, {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: timeZone || 'America/New_York',
+        timeZoneName: 'short'
+    });
+}
+
+function describeAlertTiming(alert, i18n = createI18n()) {
+    const onset = formatAlertTime(alert.onset, alert.timeZone, i18n);
+    const ends = formatAlertTime(alert.ends || alert.expires, alert.timeZone, i18n);
+    return [
+        onset ? i18n.t('alerts.from', { time: onset }) : null,
+        ends ? i18n.t('alerts.until', { time: ends }) : null
+    ].filter(Boolean).join(' ');
+}
+
+// NWS text is hard-wrapped at ~70 columns; rejoin lines and keep the blank-line paragraphs
+function splitProductText(text) {
+    if (!text) {
+        return [];
+    }
+    
+    return text.split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+        .filter(Boolean);
+}
+
+function renderProductText(text, className) {
+    return splitProductText(text)
+        .map(paragraph => `<p class="${className}">${escapeHtml(paragraph)}</p>`)
+        .join('');
+}
+
+// One expandable entry per alert, strongest first, with the full NWS text inside
+function renderAlertDetails(alerts, open = false, i18n = createI18n()) {
+    if (!alerts || alerts.length === 0) {
+        return '';
+    }
+    
+    const entries = [...alerts].sort((a, b) => compareAlertRank(b, a)).map(alert => {
+        const timing = describeAlertTiming(alert, i18n);
+        const levelClass = `hazard-${getLevelName(getProductLevel(alert)).toLowerCase()}`;
+        const text = localizeAlert(alert, i18n);
+        const url = safeUrl(alert.url);
         
-        <div class="sources">Sources: NWS local offices, National Weather Service, NOAA.</div>
+        return `
+                        <details class="alert-entry"${open ? ' open' : ''}>
+                            <summary><span class="alert-event ${levelClass}">${escapeHtml(text.event)}</span> ${escapeHtml(alert.areaDesc)}${timing ? ` <span class="alert-timing">(${escapeHtml(timing)})</span>` : ''}</summary>
+                            ${text.headline ? `<p class="alert-headline">${escapeHtml(text.headline)}</p>` : ''}
+                            ${alert.exposure ? `<p class="alert-exposure">${escapeHtml(describeExposure(alert.exposure, i18n))}</p>` : ''}
+                            ${renderProductText(text.description, 'alert-description')}
+                            ${renderProductText(text.instruction, 'alert-instruction')}
+                            ${url ? `<p class="alert-link"><a href="${escapeHtml(url)}" target="_blank" rel="noopener">${i18n.t('alerts.link')}</a></p>` : ''}
+                        </details>`;
+    }).join('');
+    
+    return `<div class="alert-details">${entries}
+                    </div>`;
+}
+
+// Gauges at or forecast to reach action stage, worst first; ties keep config order
+function getFloodingGauges(rivers) {
+    return rivers.gauges
+        .filter(gauge => gauge.category)
+        .sort((a, b) => compareFloodCategory(b.category, a.category));
+}
+
+// "Nashville Area Chapter, Tennessee"
+function describeGaugeLocation(gauge, regions, i18n = createI18n()) {
+    const chapter = (regions || []).flatMap(region => region.chapters).find(entry => entry.id === gauge.chapter);
+    return [chapter ? chapter.name : null, i18n.term(gauge.state)].filter(Boolean).join(', ');
+}
+
+// "Minor flooding · observed 38.2 ft at Apr 2, 5:00 PM CDT · forecast crest 42.7 ft Apr 4, 7:00 AM CDT (Minor flooding) · flood stage 40 ft"
+function describeGauge(gauge, generatedAt, i18n = createI18n()) {
+    const stage = value => i18n.t('rivers.stage', { value: i18n.formatNumber(value), units: gauge.units });
+    const category = value => i18n.t(`rivers.categories.${value}`);
+    const parts = [category(gauge.category)];
+    
+    if (gauge.observed) {
+        // A stale reading doesn't count toward the gauge's category, so it carries none here either
+        const key = gauge.observed.stale ? 'rivers.observedStale' : 'rivers.observed';
+        parts.push(i18n.t(key, { stage: stage(gauge.observed.stage), time: formatAlertTime(gauge.observed.time, gauge.timeZone, i18n) }) +
+            (gauge.observed.category && !gauge.observed.stale ? ` (${category(gauge.observed.category)})` : ''));
+    }
+    if (gauge.crest) {
+        parts.push(i18n.t('rivers.crest', { stage: stage(gauge.crest.stage), time: formatAlertTime(gauge.crest.time, gauge.timeZone, i18n) }) +
+            (gauge.crest.category ? ` (${category(gauge.crest.category)})` : ''));
+    }
+    if (gauge.stages.minor !== null) {
+        parts.push(i18n.t('rivers.floodStage', { stage: stage(gauge.stages.minor) }));
+    }
+    if (gauge.status === 'cached') {
+        parts.push(describeDataStatus(gauge, generatedAt, i18n));
+    }
+    
+    return parts.join(' · ');
+}
+
+// "3 other gauges below action stage. No data: Flint River at Albany."
+function describeQuietGauges(rivers, i18n = createI18n()) {
+    const quiet = rivers.gauges.filter(gauge => !gauge.category && gauge.status !== 'unavailable');
+    const missing = rivers.gauges.filter(gauge => gauge.status === 'unavailable');
+    const flooding = getFloodingGauges(rivers).length;
+    
+    return [
+        quiet.length > 0 && flooding > 0 ? i18n.plural('rivers.quiet', quiet.length) : null,
+        quiet.length > 0 && flooding === 0 ? i18n.t('rivers.none', { count: quiet.length }) : null,
+        missing.length > 0 ? i18n.t('rivers.missing', { gauges: missing.map(gauge => gauge.name).join(', ') }) : null
+    ].filter(Boolean).join(' ');
+}
+
+function renderRiverGauges(report, i18n = createI18n()) {
+    const rivers = report.rivers;
+    if (!rivers || rivers.gauges.length === 0) {
+        return '';
+    }
+    
+    let html = `
+        <div class="section-title">${i18n.t('rivers.title')}</div>
     `;
+    
+    if (rivers.status === 'unavailable') {
+        return html + `
+        <p class="river-gauges">${i18n.t('rivers.unavailable')}</p>
+    `;
+    }
+    
+    const items = getFloodingGauges(rivers).map(gauge => {
+        const url = safeUrl(gauge.url);
+        return `
+                <li><span class="gauge-name flood-${gauge.category}">${escapeHtml(gauge.name)}</span> (${escapeHtml(describeGaugeLocation(gauge, report.regions, i18n))}): ${escapeHtml(describeGauge(gauge, report.generatedAt, i18n))}${url ? ` <a href="${escapeHtml(url)}" target="_blank" rel="noopener">${i18n.t('rivers.link')}</a>` : ''}</li>`;
+    }).join('');
+    
+    const quiet = describeQuietGauges(rivers, i18n);
+    return html + `${items ? `
+        <ul class="river-gauges">${items}
+        </ul>` : ''}${quiet ? `
+        <p class="river-gauges-quiet">${escapeHtml(quiet)}</p>` : ''}
+    `;
+}
 
-    return report;
+function renderChapterImpacts(regions, i18n = createI18n()) {
+    const affectedRegions = (regions || [])
+        .map(region => ({ ...region, chapters: region.chapters.filter(chapter => chapter.areas.length > 0) }))
+        .filter(region => region.chapters.length > 0);
+    
+    let html = `
+        <div class="section-title">${i18n.t('chapters.title')}</div>
+    `;
+    
+    if (affectedRegions.length === 0) {
+        return html + `
+        <p class="chapter-report">${i18n.t('chapters.none')}</p>
+    `;
+    }
+    
+    affectedRegions.forEach(region => {
+        const chapterItems = region.chapters.map(chapter => {
+            const areaList = describeChapterAreas(chapter, i18n);
+            return `
+                <div class="chapter-report" data-chapter="${escapeHtml(chapter.id)}" data-state="${escapeHtml(chapter.state)}">
+                    <span class="chapter-name">${escapeHtml(chapter.name)}</span> <span class="chapter-offices">[NWS ${escapeHtml(chapter.wfos.join('/'))}]</span>: ${escapeHtml(areaList)}
+                </div>`;
+        }).join('');
+        
+        html += `
+            <div class="region-report" data-region="${escapeHtml(region.id)}">
+                <h4 class="region-name">${escapeHtml(region.name)}</h4>${chapterItems}
+            </div>
+        `;
+    });
+    
+    return html;
+}
+
+// "Autauga (Tornado Warning, Flood Watch); Elmore (Tornado Warning)"
+function describeChapterAreas(chapter, i18n = createI18n()) {
+    return chapter.areas
+        .map(area => `${area.name} (${area.events.map(i18n.term).join(', ')})`)
+        .join('; ');
+}
+
+// Reports saved before the rules engine existed (or before this language was published)
+// are given recommendations from their own hazards
+function getRecommendations(report, i18n = createI18n()) {
+    const stored = i18n.language === DEFAULT_LANGUAGE
+        ? report.recommendations
+        : report.translations?.[i18n.language]?.recommendations;
+    return stored || buildRecommendations(report, RECOMMENDATION_RULES, SECAR_CONFIG.regions, i18n);
+}
+
+// "Tornado Warning, Alabama: Autauga; Elmore; Flood Watch, ... and 4 more"
+function describeCitations(citations, i18n = createI18n()) {
+    const shown = citations.slice(0, MAX_CITATIONS_SHOWN).map(citation => citation.label);
+    const more = citations.length - shown.length;
+    return shown.join('; ') + (more > 0 ? i18n.t('list.more', { count: more }) : '');
+}
+
+function renderRecommendations(recommendations, i18n = createI18n()) {
+    const renderCitations = citations => {
+        if (citations.length === 0) {
+            return '';
+        }
+        const shown = citations.slice(0, MAX_CITATIONS_SHOWN).map(citation => {
+            const url = safeUrl(citation.url);
+            return url
+                ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(citation.label)}</a>`
+                : escapeHtml(citation.label);
+        });
+        const more = citations.length - shown.length;
+        const list = shown.join('; ') + (more > 0 ? i18n.t('list.more', { count: more }) : '');
+        return ` <span class="recommendation-source">${i18n.t('recommendations.triggeredBy', { citations: list })}</span>`;
+    };
+    
+    return RECOMMENDATION_GROUPS
+        .filter(key => recommendations[key].length > 0)
+        .map(key => `
+            <h4>${i18n.t(`recommendations.${key}`)}</h4>
+            <ul>${recommendations[key].map(item => `
+                <li>${decorateLevels(escapeHtml(item.text), i18n)}${renderCitations(item.citations)}</li>`).join('')}
+            </ul>`).join('\n            ');
+}
+
+// Format-neutral copy of the report for the print, email and Markdown exports (lib/export.js),
+// built from the same describe* helpers as the page so every format says the same thing
+function buildBriefingOutline(report, i18n = createI18n()) {
+    const levelTone = alert => getLevelName(getProductLevel(alert)).toLowerCase();
+    const sections = [];
+    
+    if (report.hazards) {
+        sections.push({
+            id: 'hazards',
+            title: i18n.t('hazards.title'),
+            blocks: [{
+                type: 'table',
+                header: [i18n.t('hazards.state'), ...report.hazards.categories.map(category => i18n.term(category.label))],
+                rows: report.hazards.states.map(state => ({
+                    label: i18n.term(state.name),
+                    cells: report.hazards.categories.map(category => {
+                        const cell = state.cells[category.id];
+                        if (!cell) {
+                            return state.status === 'unavailable' ? { text: '?', tone: 'unknown' } : { text: '–', tone: null };
+                        }
+                        return { text: i18n.term(cell.label), tone: cell.label.toLowerCase() };
+                    })
+                }))
+            }]
+        });
+    }
+    
+    const changes = report.changes;
+    const changeItems = changes && changes.since ? [
+        ...changes.states
+            .filter(state => !state.compared || state.changed)
+            .map(state => ({
+                label: i18n.term(state.name),
+                text: state.compared
+                    ? CHANGE_TYPES
+                        .filter(key => state[key].length > 0)
+                        .map(key => `${i18n.t(`changes.${key}`)}: ${state[key].map(alert => describeChangedAlert(alert, i18n)).join('; ')}`)
+                        .join(' · ')
+                    : i18n.t('changes.notCompared')
+            })),
+        ...changes.tropical.map(change => ({ label: i18n.t('changes.tropical'), text: describeTropicalChange(change, i18n) }))
+    ] : [];
+    
+    sections.push({
+        id: 'changes',
+        title: changes && changes.since ? i18n.t('changes.titleSince', { since: formatChangesSince(changes.since, i18n) }) : i18n.t('changes.title'),
+        blocks: !changes || !changes.since
+            ? [{ type: 'paragraph', text: i18n.t('changes.noPrevious') }]
+            : changeItems.length > 0
+                ? [{ type: 'list', items: changeItems }]
+                : [{ type: 'paragraph', text: i18n.t('changes.none') }]
+    });
+    
+    const tropical = report.tropical || UNAVAILABLE_TROPICAL;
+    const tropicalItems = [
+        ...tropical.storms.map(storm => {
+            const stormAlerts = tropical.secarAlerts.filter(alert => alert.stormId === storm.id);
+            return {
+                label: `${i18n.term(storm.classificationLabel)} ${storm.name}`,
+                text: `(${storm.id}) ${describeStorm(storm, i18n)}.` +
+                    (stormAlerts.length > 0 ? ` ${i18n.t('tropical.stormAlerts', { alerts: stormAlerts.map(alert => `${i18n.term(alert.event)} (${i18n.term(alert.state)})`).join('; ') })}` : '')
+            };
+        }),
+        ...tropical.disturbances.map(disturbance => ({
+            label: `${disturbance.number}. ${disturbance.location}`,
+            text: `${disturbance.description} ${describeFormationChances(disturbance, i18n)}`
+        }))
+    ];
+    const unmatchedAlerts = tropical.secarAlerts.filter(alert => !alert.stormId);
+    if (unmatchedAlerts.length > 0) {
+        tropicalItems.push({
+            label: i18n.t('tropical.secarAlerts'),
+            text: unmatchedAlerts.map(alert => `${i18n.term(alert.event)} (${i18n.term(alert.state)}: ${alert.areaDesc})`).join('; ')
+        });
+    }
+    const tropicalSummary = tropical.summary || (tropicalItems.length > 0 ? '' : i18n.t('tropical.unavailable'));
+    
+    sections.push({
+        id: 'tropical',
+        title: i18n.t('tropical.title'),
+        blocks: [
+            tropicalSummary ? { type: 'paragraph', text: tropicalSummary } : null,
+            tropicalItems.length > 0 ? { type: 'list', items: tropicalItems } : null,
+            { type: 'paragraph', text: i18n.t('tropical.highestChance', { chance: describeFormationBadge(tropical, i18n) }), tone: 'emphasis' },
+            tropical.source ? { type: 'paragraph', text: describeTropicalSource(tropical, i18n), tone: 'note' } : null
+        ].filter(Boolean)
+    });
+    
+    const rivers = report.rivers;
+    if (rivers && rivers.gauges.length > 0) {
+        const flooding = rivers.status === 'unavailable' ? [] : getFloodingGauges(rivers);
+        sections.push({
+            id: 'rivers',
+            title: i18n.t('rivers.title'),
+            blocks: [
+                flooding.length > 0 ? {
+                    type: 'list',
+                    items: flooding.map(gauge => ({
+                        label: gauge.name,
+                        text: `(${describeGaugeLocation(gauge, report.regions, i18n)}) ${describeGauge(gauge, report.generatedAt, i18n)}`,
+                        tone: `flood-${gauge.category}`,
+                        link: { text: i18n.t('rivers.link'), href: gauge.url }
+                    }))
+                } : null,
+                {
+                    type: 'paragraph',
+                    text: rivers.status === 'unavailable' ? i18n.t('rivers.unavailable') : describeQuietGauges(rivers, i18n),
+                    tone: 'note'
+                }
+            ].filter(block => block && (block.type !== 'paragraph' || block.text))
+        });
+    }
+    
+    [...report.states].sort(compareStateThreat).forEach(stateReport => {
+        const groups = new Map();
+        (stateReport.areas || []).forEach(area => {
+            const key = area.events.join(', ');
+            groups.set(key, [...(groups.get(key) || []), area.name]);
+        });
+        
+        const outlook = stateReport.outlook;
+        const blocks = [
+            { type: 'paragraph', text: i18n.t('status.label', { status: describeDataStatus(stateReport, report.generatedAt, i18n) }), tone: `data-${stateReport.status}` },
+            { type: 'paragraph', text: describeStateConditions(stateReport, i18n).trim() },
+            stateReport.exposure && stateReport.alerts.length > 0
+                ? { type: 'paragraph', text: describeStateExposure(stateReport, report.exposure, i18n), tone: 'emphasis' }
+                : null,
+            groups.size > 0 ? {
+                type: 'list',
+                title: i18n.t('alerts.areas'),
+                items: [...groups.entries()].map(([events, names]) => ({ label: names.join(', '), text: describeAreaEvents(events, i18n) }))
+            } : null,
+            stateReport.alerts.length > 0 ? {
+                type: 'list',
+                title: i18n.t('alerts.title'),
+                items: [...stateReport.alerts].sort((a, b) => compareAlertRank(b, a)).map(alert => {
+                    const timing = describeAlertTiming(alert, i18n);
+                    const text = localizeAlert(alert, i18n);
+                    return {
+                        label: text.event,
+                        text: `${alert.areaDesc}${timing ? ` (${timing})` : ''}`,
+                        tone: levelTone(alert),
+                        note: [text.headline, alert.exposure ? describeExposure(alert.exposure, i18n) : null].filter(Boolean).join(' · ') || null,
+                        paragraphs: [...splitProductText(text.description), ...splitProductText(text.instruction)],
+                        link: alert.url ? { text: i18n.t('alerts.link'), href: alert.url } : null
+                    };
+                })
+            } : null,
+            outlook && outlook.status === 'unavailable'
+                ? { type: 'paragraph', text: i18n.t('outlook.unavailable'), tone: 'note' }
+                : null,
+            outlook && outlook.status !== 'unavailable' ? {
+                type: 'list',
+                title: i18n.t('outlook.title'),
+                items: outlook.days.map(day => ({
+                    label: formatOutlookDay(day.date, i18n),
+                    text: describeOutlookDay(day, i18n),
+                    tone: (day.convectiveOutlook?.rank || 0) >= 3 || (day.excessiveRainfall?.rank || 0) >= 2 ? 'elevated' : null
+                }))
+            } : null
+        ].filter(Boolean);
+        
+        sections.push({ id: `state-${stateReport.code}`, title: i18n.term(stateReport.name), blocks });
+    });
+    
+    const affectedRegions = (report.regions || [])
+        .map(region => ({ ...region, chapters: region.chapters.filter(chapter => chapter.areas.length > 0) }))
+        .filter(region => region.chapters.length > 0);
+    
+    sections.push({
+        id: 'chapters',
+        title: i18n.t('chapters.title'),
+        blocks: affectedRegions.length > 0
+            ? affectedRegions.map(region => ({
+                type: 'list',
+                title: region.name,
+                items: region.chapters.map(chapter => ({
+                    label: chapter.name,
+                    text: `[NWS ${chapter.wfos.join('/')}] ${describeChapterAreas(chapter, i18n)}`
+                }))
+            }))
+            : [{ type: 'paragraph', text: i18n.t('chapters.none') }]
+    });
+    
+    const recommendations = getRecommendations(report, i18n);
+    sections.push({
+        id: 'recommendations',
+        title: i18n.t('recommendations.title'),
+        blocks: RECOMMENDATION_GROUPS
+            .filter(key => recommendations[key].length > 0)
+            .map(key => ({
+                type: 'list',
+                title: i18n.t(`recommendations.${key}`),
+                items: recommendations[key].map(item => ({
+                    text: item.text,
+                    note: item.citations.length > 0 ? i18n.t('recommendations.triggeredBy', { citations: describeCitations(item.citations, i18n) }) : null
+                }))
+            }))
+    });
+    
+    return {
+        language: i18n.language,
+        locale: i18n.locale,
+        title: i18n.t('page.title'),
+        subtitle: i18n.t('page.subtitle'),
+        generatedAt: report.generatedAt,
+        checkTime: i18n.t('report.checkTime', { time: getCheckTime(report, i18n) }),
+        dateRange: `${formatDate(new Date(report.dateRange.start), i18n)} – ${formatDate(new Date(report.dateRange.end), i18n)}`,
+        sections,
+        sources: i18n.t('report.sources'),
+        labels: {
+            generated: i18n.t('export.generated'),
+            briefing: i18n.t('export.briefing', { title: i18n.t('page.title') }),
+            organization: i18n.t('export.organization')
+        }
+    };
 }
 
-function formatDate(date) {
-    return date.toLocaleDateString('en-US', {
+function formatDate(date, i18n = createI18n()) {
+    return i18n.formatDate(date, {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
@@ -573,34 +1805,291 @@ function formatDate(date) {
     });
 }
 
-async function updateHtmlFile() {
+// The last published report.json is the baseline for change detection
+function loadPreviousReport(reportPath = REPORT_JSON_PATH) {
     try {
-        console.log('Fetching weather data...');
-        const weatherData = await fetchWeatherConditions();
+        return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    } catch (error) {
+        console.log(`No previous report at ${reportPath}, skipping change detection`);
+        return null;
+    }
+}
+
+// Replace everything between the report markers, refusing pages whose markers are missing or duplicated
+function injectReport(pageHtml, reportHtml) {
+    const start = pageHtml.indexOf(REPORT_START_MARKER);
+    const end = pageHtml.indexOf(REPORT_END_MARKER);
+    
+    if (start === -1 || end === -1 || end < start ||
+        pageHtml.indexOf(REPORT_START_MARKER, start + 1) !== -1 ||
+        pageHtml.indexOf(REPORT_END_MARKER, end + 1) !== -1) {
+        throw new Error('Report markers missing or malformed in page template');
+    }
+    
+    return pageHtml.slice(0, start + REPORT_START_MARKER.length) +
+        reportHtml.replace(/\s+$/, '') + '\n            ' +
+        pageHtml.slice(end);
+}
+
+function loadTemplate(templatePath = TEMPLATE_PATH) {
+    if (fs.existsSync(templatePath)) {
+        return fs.readFileSync(templatePath, 'utf8');
+    }
+    
+    // Without a template the published page is only usable if its markers are intact
+    console.log(`${templatePath} not found, reusing ${OUTPUT_HTML_PATH} as template`);
+    return fs.readFileSync(OUTPUT_HTML_PATH, 'utf8');
+}
+
+function renderPage(report, templatePath = TEMPLATE_PATH, language = DEFAULT_LANGUAGE) {
+    const i18n = createI18n(language);
+    const pageHtml = injectReport(loadTemplate(templatePath), generateReport(report, { language }));
+    const embedded = applyEmbedSettings(localizePage(pageHtml, i18n), buildEmbedSettings(EMBED_CONFIG, SECAR_CONFIG.regions));
+    return applyContentSecurityPolicy(embedded);
+}
+
+// index.html and its translations (index.es.html, ...); returns { language: page } for the archive
+function writePages(report, outDir = '.', templatePath = TEMPLATE_PATH) {
+    return Object.fromEntries(Object.keys(LANGUAGES).map(language => {
+        const pageHtml = renderPage(report, templatePath, language);
+        fs.writeFileSync(path.join(outDir, localizePath(OUTPUT_HTML_PATH, language)), pageHtml);
+        return [language, pageHtml];
+    }));
+}
+
+function writeExports(report, outDir = '.') {
+    Object.keys(LANGUAGES).forEach(language => {
+        const outline = buildBriefingOutline(report, createI18n(language));
+        fs.writeFileSync(path.join(outDir, localizePath(EXPORT_PATHS.briefing, language)), renderPrintBriefing(outline));
+        fs.writeFileSync(path.join(outDir, localizePath(EXPORT_PATHS.email, language)), renderEmailHtml(outline));
+        fs.writeFileSync(path.join(outDir, localizePath(EXPORT_PATHS.markdown, language)), renderMarkdown(outline));
+    });
+}
+
+// Fetch everything and assemble the report model. fetchOptions go to fetchWeatherConditions,
+// and its now (default: the current time) also dates the report.
+async function createReport({ previousReport = null, ...fetchOptions } = {}) {
+    console.log('Fetching weather data...');
+    const weatherData = await fetchWeatherConditions(fetchOptions);
+    
+    console.log('Generating report...');
+    return buildReport(weatherData, fetchOptions.now || new Date(), previousReport);
+}
+
+// Re-render index.html from the template and the last report.json without fetching anything
+function rebuildHtmlFile({ outDir = '.', templatePath = TEMPLATE_PATH } = {}) {
+    try {
+        const reportPath = path.join(outDir, REPORT_JSON_PATH);
+        console.log(`Rebuilding ${OUTPUT_HTML_PATH} from ${templatePath} and ${reportPath}...`);
+        const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+        writePages(report, outDir, templatePath);
+        writeExports(report, outDir);
+        console.log('Weather report rebuilt successfully');
+        return report;
+    } catch (error) {
+        console.error('Error rebuilding weather report:', error);
+        throw error;
+    }
+}
+
+// notifier receives the finished report and { outDir }; pass null to publish without sending anything.
+// archive: false skips the dated snapshot; the remaining options go to fetchWeatherConditions.
+async function updateHtmlFile({
+    notifier = runNotifier,
+    outDir = '.',
+    templatePath = TEMPLATE_PATH,
+    archive = true,
+    ...fetchOptions
+} = {}) {
+    try {
+        const report = await createReport({
+            ...fetchOptions,
+            previousReport: loadPreviousReport(path.join(outDir, REPORT_JSON_PATH))
+        });
         
-        console.log('Generating report...');
-        const reportHtml = generateReport(weatherData);
+        // Publish the structured model for dashboards and GIS layers
+        fs.mkdirSync(outDir, { recursive: true });
+        fs.writeFileSync(path.join(outDir, REPORT_JSON_PATH), JSON.stringify(report, null, 2) + '\n');
         
-        // Read the current HTML template
-        const htmlTemplate = fs.readFileSync('index.html', 'utf8');
+        // Build the pages from the clean template so identical input gives identical output
+        const pages = writePages(report, outDir, templatePath);
+        writeExports(report, outDir);
         
-        // Replace the loading div with actual weather data (NO TIMESTAMP ADDED)
-        const updatedHtml = htmlTemplate
-            .replace(
-                /<div id="reportOutput" class="report-text">[\s\S]*?<\/div>/,
-                `<div id="reportOutput" class="report-text">${reportHtml}</div>`
-            );
+        console.log('Weather report updated successfully');
         
-        // Write the updated HTML back to file
-        fs.writeFileSync('index.html', updatedHtml);
+        // Keep a dated copy for after-action reviews; losing one snapshot shouldn't fail the run
+        if (archive) {
+            try {
+                const snapshot = archiveReport(report, pages, { archiveDir: path.join(outDir, ARCHIVE_DIR) });
+                console.log(`Archived snapshot ${snapshot.id}`);
+            } catch (error) {
+                console.log('Error archiving weather report:', error.message);
+            }
+        }
         
-        console.log('Weather report updated successfully');
+        // A failed notification must never block publishing the report
+        if (notifier) {
+            try {
+                await notifier(report, { outDir });
+            } catch (error) {
+                console.log('Error sending notifications:', error.message);
+            }
+        }
         
+        return report;
     } catch (error) {
         console.error('Error updating weather report:', error);
-        process.exit(1);
+        throw error;
+    }
+}
+
+// What --dry-run prints instead of writing files
+function renderDryRun(report, format, templatePath = TEMPLATE_PATH, language = DEFAULT_LANGUAGE) {
+    if (format === 'json') {
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+    if (format === 'md') {
+        return renderMarkdown(buildBriefingOutline(report, createI18n(language)));
     }
+    return renderPage(report, templatePath, language);
 }
 
-// Run the update
-updateHtmlFile();
+// Command-line entry point (see lib/cli.js); resolves to the process exit code
+async function main(argv = process.argv.slice(2)) {
+    let options;
+    try {
+        options = parseCliArgs(argv, SECAR_CONFIG.states);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.usage;
+    }
+    
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_CODES.complete;
+    }
+    
+    const templatePath = options.templatePath || TEMPLATE_PATH;
+    if (options.rebuild) {
+        try {
+            rebuildHtmlFile({ outDir: options.outDir, templatePath });
+            return EXIT_CODES.complete;
+        } catch (error) {
+            return EXIT_CODES.failed;
+        }
+    }
+    
+    // stdout is reserved for the dry-run output, so progress goes to stderr until main returns
+    const log = console.log;
+    if (options.dryRun) {
+        console.log = (...args) => console.error(...args);
+    }
+    
+    try {
+        const fetchOptions = {
+            now: options.asOf || new Date(),
+            persist: options.persist
+        };
+        if (options.states) {
+            fetchOptions.states = options.states;
+        }
+        if (options.fixturesDir) {
+            // Replays never fall back to this machine's real cache
+            fetchOptions.client = createHttpClient({ fetch: createFixtureFetch(options.fixturesDir), retries: 0 });
+            fetchOptions.cachePath = path.join(options.fixturesDir, 'last-good.json');
+        }
+        
+        let report;
+        if (options.dryRun) {
+            report = await createReport({
+                ...fetchOptions,
+                previousReport: loadPreviousReport(path.join(options.outDir, REPORT_JSON_PATH))
+            });
+            process.stdout.write(renderDryRun(report, options.format, templatePath, options.language));
+        } else {
+            report = await updateHtmlFile({
+                ...fetchOptions,
+                notifier: options.notify ? runNotifier : null,
+                outDir: options.outDir,
+                templatePath,
+                archive: options.persist
+            });
+        }
+        
+        const status = getRunStatus(report);
+        console.log(`Run status: ${status}`);
+        return EXIT_CODES[status];
+    } catch (error) {
+        console.error('Error running weather report:', error.message);
+        return EXIT_CODES.failed;
+    } finally {
+        console.log = log;
+    }
+}
+
+module.exports = {
+    REPORT_VERSION,
+    SECAR_CONFIG,
+    loadSecarConfig,
+    fetchWeatherConditions,
+    loadCache,
+    saveCache,
+    getStateCode,
+    getAlertTimeZone,
+    generateStateConditions,
+    getCachedConditions,
+    processAlerts,
+    normalizeAlert,
+    getAlertAreas,
+    groupAlertsByArea,
+    describeAlerts,
+    generateUnavailableConditions,
+    getSeasonalConditions,
+    describeNote,
+    pairTranslatedAlerts,
+    getTropicalOutlook,
+    fetchLatestProductText,
+    fetchActiveStorms,
+    parseActiveStorms,
+    parseNWSTropicalOutlook,
+    parseFormationChance,
+    processTropicalAlerts,
+    extractTropicalFromAFD,
+    extractTropicalFromMarine,
+    buildReport,
+    routeAlertsToChapters,
+    generateReport,
+    buildBriefingOutline,
+    decorateLevels,
+    renderHazardMatrix,
+    renderChanges,
+    renderTropicalOutlook,
+    renderDataStatus,
+    renderAreaBreakdown,
+    describeExposure,
+    renderStateExposure,
+    renderAlertDetails,
+    formatAlertTime,
+    renderStateOutlook,
+    renderChapterImpacts,
+    renderRecommendations,
+    formatDate,
+    loadPreviousReport,
+    injectReport,
+    loadTemplate,
+    renderPage,
+    writePages,
+    writeExports,
+    createReport,
+    rebuildHtmlFile,
+    updateHtmlFile,
+    renderDryRun,
+    main
+};
+
+// Run the update only when executed directly, not when required by tests
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    });
+}